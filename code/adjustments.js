@@ -0,0 +1,398 @@
+/**
+ * The adjustments object holds the image adjustments and filters offered by the Image menu. Each adjustment has an
+ * array of params which are shown as sliders {{name: string, label: string, min: number, max: number, step: number,
+ * value: number}}. A color adjustment has a color function(color, params) which returns the new Color of a pixel, while
+ * a filter has a kernel function(params) which returns the convolution kernel created by the createKernel function.
+ */
+var adjustments = Object.create(null);
+
+/**
+ * Returns the perceived brightness of a color from 0 to 255.
+ *
+ * @param color A color object.
+ * @returns {number} The luminance of the color.
+ */
+function luminance(color) {
+    return 0.299 * color.r + 0.587 * color.g + 0.114 * color.b;
+}
+
+adjustments.Grayscale = {
+    params: [],
+    color: function(color) {
+        var value = Math.round(luminance(color));
+        return new Color(value, value, value, color.a);
+    }
+};
+
+adjustments.Invert = {
+    params: [],
+    color: function(color) {
+        return new Color(255 - color.r, 255 - color.g, 255 - color.b, color.a);
+    }
+};
+
+adjustments.Sepia = {
+    params: [{name: 'amount', label: 'Amount', min: 0, max: 100, step: 1, value: 100}],
+    color: function(color, params) {
+        var amount = params.amount / 100;
+        function mix(original, toned) {
+            return Math.round(original + (Math.min(255, toned) - original) * amount);
+        }
+        return new Color(mix(color.r, 0.393 * color.r + 0.769 * color.g + 0.189 * color.b),
+                         mix(color.g, 0.349 * color.r + 0.686 * color.g + 0.168 * color.b),
+                         mix(color.b, 0.272 * color.r + 0.534 * color.g + 0.131 * color.b),
+                         color.a);
+    }
+};
+
+adjustments['Brightness/Contrast'] = {
+    params: [{name: 'brightness', label: 'Brightness', min: -100, max: 100, step: 1, value: 0},
+             {name: 'contrast', label: 'Contrast', min: -100, max: 100, step: 1, value: 0}],
+    color: function(color, params) {
+        var contrast = params.contrast * 2.55;
+        var factor = 259 * (contrast + 255) / (255 * (259 - contrast));
+        var brightness = params.brightness * 2.55;
+        function adjust(value) {
+            return Math.max(0, Math.min(255, Math.round(factor * (value - 128) + 128 + brightness)));
+        }
+        return new Color(adjust(color.r), adjust(color.g), adjust(color.b), color.a);
+    }
+};
+
+adjustments['Hue/Saturation'] = {
+    params: [{name: 'hue', label: 'Hue', min: -180, max: 180, step: 1, value: 0},
+             {name: 'saturation', label: 'Saturation', min: -100, max: 100, step: 1, value: 0},
+             {name: 'lightness', label: 'Lightness', min: -100, max: 100, step: 1, value: 0}],
+    color: function(color, params) {
+        var hsl = color.toHSL();
+        var lightness = params.lightness / 100;
+        return Color.fromHSL(hsl.h + params.hue,
+                             hsl.s * (1 + params.saturation / 100),
+                             hsl.l + lightness * (lightness > 0 ? 1 - hsl.l : hsl.l),
+                             color.a);
+    }
+};
+
+adjustments.Threshold = {
+    params: [{name: 'level', label: 'Level', min: 0, max: 255, step: 1, value: 128}],
+    color: function(color, params) {
+        var value = luminance(color) >= params.level ? 255 : 0;
+        return new Color(value, value, value, color.a);
+    }
+};
+
+adjustments.Posterize = {
+    params: [{name: 'levels', label: 'Levels', min: 2, max: 32, step: 1, value: 4}],
+    color: function(color, params) {
+        var step = 255 / (params.levels - 1);
+        function round(value) {
+            return Math.round(Math.round(value / step) * step);
+        }
+        return new Color(round(color.r), round(color.g), round(color.b), color.a);
+    }
+};
+
+/**
+ * Creates a square convolution kernel.
+ *
+ * @param weights An array holding the weights of the kernel row by row. Its length must be the square of an odd size.
+ * A separable kernel is the product of a row and a column of the same weights, so only one row is supplied.
+ * @param options An optional object. Example {alpha: true, separable: true}. When alpha is set the alpha channel is
+ * convolved as well and the colors are weighted by it. Otherwise the alpha of each pixel is kept. Separable kernels
+ * are applied in two passes, which makes large kernels much faster.
+ * @returns {{size: number, weights: Array, alpha: boolean, separable: boolean}} The kernel object.
+ */
+function createKernel(weights, options) {
+    options = options || {};
+    return {
+        size: options.separable ? weights.length : Math.sqrt(weights.length),
+        weights: weights,
+        alpha: !!options.alpha,
+        separable: !!options.separable
+    };
+}
+
+adjustments.Blur = {
+    params: [{name: 'radius', label: 'Radius', min: 1, max: 8, step: 1, value: 2}],
+    kernel: function(params) {
+        var radius = params.radius, sigma = radius / 2, weights = [], sum = 0;
+        for(var x = -radius; x <= radius; x++) {
+            var weight = Math.exp(-x * x / (2 * sigma * sigma));
+            weights.push(weight);
+            sum += weight;
+        }
+        return createKernel(weights.map(function(weight) {
+            return weight / sum;
+        }), {alpha: true, separable: true});
+    }
+};
+
+adjustments.Sharpen = {
+    params: [{name: 'amount', label: 'Amount', min: 0.1, max: 3, step: 0.1, value: 1}],
+    kernel: function(params) {
+        var a = params.amount;
+        return createKernel([ 0,   -a,        0,
+                             -a,    1 + 4 * a, -a,
+                              0,   -a,        0]);
+    }
+};
+
+adjustments['Edge Detect'] = {
+    params: [],
+    kernel: function() {
+        return createKernel([-1, -1, -1,
+                             -1,  8, -1,
+                             -1, -1, -1]);
+    }
+};
+
+adjustments.Emboss = {
+    params: [{name: 'strength', label: 'Strength', min: 0.5, max: 3, step: 0.1, value: 1}],
+    kernel: function(params) {
+        var s = params.strength;
+        return createKernel([-2 * s, -s, 0,
+                             -s,      1, s,
+                              0,      s, 2 * s]);
+    }
+};
+
+/**
+ * The applyAdjustment function creates a copy of an ImageData object with an adjustment applied to it. Only the
+ * pixels inside of the bounds for which the mask is set are changed, so an adjustment can be limited to the selection.
+ * Filters still read the pixels around the selection, so its edges blend in with their surroundings.
+ *
+ * @param source The ImageData object to adjust. It is not modified.
+ * @param adjustment The adjustment from the adjustments object.
+ * @param params An object mapping the name of each param to its value.
+ * @param mask An optional Uint8Array with one value per pixel. When it is not supplied every pixel is changed.
+ * @param bounds An optional rectangle coordinate object limiting the changed pixels.
+ * @returns {ImageData} The adjusted copy of the ImageData object.
+ */
+function applyAdjustment(source, adjustment, params, mask, bounds) {
+    var width = source.width;
+    var result = new ImageData(new Uint8ClampedArray(source.data), width, source.height);
+    bounds = bounds || {left: 0, top: 0, width: width, height: source.height};
+    var kernel = adjustment.kernel && adjustment.kernel(params);
+    if(kernel && kernel.separable) {
+        convolveSeparable(source, result.data, kernel, mask, bounds);
+        return result;
+    }
+
+    for(var y = bounds.top; y < bounds.top + bounds.height; y++) {
+        for(var x = bounds.left; x < bounds.left + bounds.width; x++) {
+            var index = y * width + x;
+            if(mask && !mask[index]) continue;
+
+            var offset = index * 4;
+            if(kernel) {
+                convolvePixel(source, result.data, kernel, x, y);
+            } else {
+                var data = source.data;
+                var color = adjustment.color(new Color(data[offset], data[offset + 1], data[offset + 2],
+                                                       data[offset + 3]), params);
+                result.data[offset] = color.r;
+                result.data[offset + 1] = color.g;
+                result.data[offset + 2] = color.b;
+                result.data[offset + 3] = color.a;
+            }
+        }
+    }
+    return result;
+}
+
+/**
+ * Convolves a single pixel of an ImageData object with a kernel. Pixels outside of the image are treated as copies of
+ * the nearest edge pixel.
+ *
+ * @param source The ImageData object to read from.
+ * @param target The pixel array to write the result to.
+ * @param kernel The kernel object created by the createKernel function.
+ * @param x The x coordinate of the pixel.
+ * @param y The y coordinate of the pixel.
+ */
+function convolvePixel(source, target, kernel, x, y) {
+    var data = source.data, width = source.width, height = source.height;
+    var half = (kernel.size - 1) / 2;
+    var r = 0, g = 0, b = 0, a = 0;
+
+    for(var ky = 0; ky < kernel.size; ky++) {
+        var sy = Math.max(0, Math.min(height - 1, y + ky - half));
+        for(var kx = 0; kx < kernel.size; kx++) {
+            var weight = kernel.weights[ky * kernel.size + kx];
+            if(!weight) continue;
+            var sx = Math.max(0, Math.min(width - 1, x + kx - half));
+            var offset = (sy * width + sx) * 4;
+            var alpha = kernel.alpha ? data[offset + 3] / 255 : 1;
+            r += data[offset] * alpha * weight;
+            g += data[offset + 1] * alpha * weight;
+            b += data[offset + 2] * alpha * weight;
+            a += alpha * weight;
+        }
+    }
+
+    writeConvolved(target, (y * width + x) * 4, kernel, r, g, b, a, data);
+}
+
+/**
+ * Writes the sums of a convolved pixel to a pixel array. When the alpha channel was convolved the colors were weighted
+ * by it and are divided by the alpha sum again.
+ *
+ * @param target The pixel array to write to.
+ * @param index The index of the pixel's red value in the array.
+ * @param kernel The kernel object created by the createKernel function.
+ * @param r The sum of the red values.
+ * @param g The sum of the green values.
+ * @param b The sum of the blue values.
+ * @param a The sum of the alpha values from 0 to 1.
+ * @param data The pixel array of the source image, whose alpha is kept when the alpha channel was not convolved.
+ */
+function writeConvolved(target, index, kernel, r, g, b, a, data) {
+    var divisor = kernel.alpha ? a : 1;
+    if(divisor) {
+        target[index] = r / divisor;
+        target[index + 1] = g / divisor;
+        target[index + 2] = b / divisor;
+    }
+    target[index + 3] = kernel.alpha ? a * 255 : data[index + 3];
+}
+
+/**
+ * Convolves the pixels inside of the bounds for which the mask is set with a separable kernel, first along the rows
+ * and then along the columns. Pixels outside of the image are treated as copies of the nearest edge pixel.
+ *
+ * @param source The ImageData object to read from.
+ * @param target The pixel array to write the result to.
+ * @param kernel The separable kernel object created by the createKernel function.
+ * @param mask An optional Uint8Array with one value per pixel.
+ * @param bounds A rectangle coordinate object limiting the changed pixels.
+ */
+function convolveSeparable(source, target, kernel, mask, bounds) {
+    var data = source.data, width = source.width, height = source.height;
+    var half = (kernel.size - 1) / 2, weights = kernel.weights;
+    var top = Math.max(0, bounds.top - half), bottom = Math.min(height, bounds.top + bounds.height + half);
+    var left = bounds.left, right = bounds.left + bounds.width;
+    var rows = new Float32Array(bounds.width * (bottom - top) * 4);
+    var x, y, k, offset, alpha, r, g, b, a;
+
+    for(y = top; y < bottom; y++) {
+        for(x = left; x < right; x++) {
+            r = g = b = a = 0;
+            for(k = 0; k < kernel.size; k++) {
+                offset = (y * width + Math.max(0, Math.min(width - 1, x + k - half))) * 4;
+                alpha = kernel.alpha ? data[offset + 3] / 255 : 1;
+                r += data[offset] * alpha * weights[k];
+                g += data[offset + 1] * alpha * weights[k];
+                b += data[offset + 2] * alpha * weights[k];
+                a += alpha * weights[k];
+            }
+            offset = ((y - top) * bounds.width + x - left) * 4;
+            rows[offset] = r;
+            rows[offset + 1] = g;
+            rows[offset + 2] = b;
+            rows[offset + 3] = a;
+        }
+    }
+
+    for(y = bounds.top; y < bounds.top + bounds.height; y++) {
+        for(x = left; x < right; x++) {
+            if(mask && !mask[y * width + x]) continue;
+            r = g = b = a = 0;
+            for(k = 0; k < kernel.size; k++) {
+                offset = ((Math.max(0, Math.min(height - 1, y + k - half)) - top) * bounds.width + x - left) * 4;
+                r += rows[offset] * weights[k];
+                g += rows[offset + 1] * weights[k];
+                b += rows[offset + 2] * weights[k];
+                a += rows[offset + 3] * weights[k];
+            }
+            writeConvolved(target, (y * width + x) * 4, kernel, r, g, b, a, data);
+        }
+    }
+}
+
+/**
+ * Opens the dialog of an adjustment for the active layer. While the dialog is open the adjusted pixels are previewed
+ * on the layer itself each time a slider is moved. Pressing OK records the adjustment as an undoable step, while
+ * Cancel or Escape restores the layer. The adjustment is limited to the selection when there is one.
+ *
+ * @param name The name of the adjustment in the adjustments object.
+ * @param cx The 2DCanvasContext of the active layer.
+ * @param paint The state object of the Paint program.
+ */
+function openAdjustment(name, cx, paint) {
+    var layer = paint.layers.active();
+    if(layer.locked || !layer.visible) return;
+
+    var adjustment = adjustments[name];
+    var selection = paint.selection;
+    var mask = selection.isEmpty() ? null : selection.mask;
+    var bounds = mask ? selection.bounds : null;
+    var source = cx.getImageData(0, 0, cx.canvas.width, cx.canvas.height);
+    var params = {}, scheduled = false, finished = false;
+
+    paint.history.begin();
+
+    function preview() {
+        scheduled = false;
+        if(finished) return;
+        cx.putImageData(previewBox.checked ? applyAdjustment(source, adjustment, params, mask, bounds) : source, 0, 0);
+    }
+    function schedulePreview() {
+        if(!scheduled) {
+            scheduled = true;
+            requestAnimationFrame(preview);
+        }
+    }
+
+    var sliders = adjustment.params.map(function(param) {
+        params[param.name] = param.value;
+        var input = createElement('input', {type: 'range', min: param.min, max: param.max, step: param.step,
+                                            value: param.value});
+        var output = createElement('output', null, String(param.value));
+        input.addEventListener('input', function() {
+            params[param.name] = Number(input.value);
+            output.textContent = input.value;
+            schedulePreview();
+        });
+        return createElement('div', null, createElement('label', null, param.label + ': ', input), ' ', output);
+    });
+
+    var previewBox = createElement('input', {type: 'checkbox'});
+    previewBox.checked = true;
+    previewBox.addEventListener('change', schedulePreview);
+
+    var ok = createElement('button', {type: 'button'}, 'OK');
+    var cancel = createElement('button', {type: 'button'}, 'Cancel');
+    var dialog = showDialog.apply(null, [name].concat(sliders, [
+        createElement('div', null, createElement('label', null, previewBox, 'Preview')),
+        createElement('div', null, ok, ' ', cancel)
+    ]));
+
+    function finish(apply) {
+        if(finished) return;
+        finished = true;
+        if(apply) {
+            cx.putImageData(applyAdjustment(source, adjustment, params, mask, bounds), 0, 0);
+        } else {
+            paint.history.cancel();
+        }
+        paint.history.commit(name);
+        dialog.close();
+    }
+    ok.addEventListener('click', function() {
+        finish(true);
+    });
+    cancel.addEventListener('click', function() {
+        finish(false);
+    });
+    dialog.addEventListener('cancel', function() {
+        finish(false);
+    });
+
+    preview();
+}
+
+Object.keys(adjustments).forEach(function(name) {
+    imageMenu[name] = function(cx, paint) {
+        openAdjustment(name, cx, paint);
+    };
+});
@@ -0,0 +1,924 @@
+/**
+ * A picture can be an animation of several frames, which are played one after the other, each for its own duration.
+ * Every frame has layers of its own, which are kept by the LayerStack of the picture, see its frames property. The
+ * tools always draw onto the shown frame, and the timeline under the picture shows every frame to add, duplicate,
+ * delete, reorder and play them.
+ *
+ * Showing another frame replaces the layers of the picture, so it is a step of the history like every other change of
+ * the frames. Undoing a change of a frame which is no longer shown therefore first shows that frame again. While
+ * collaborating, the others are shown the same frame, since everyone draws on the same picture.
+ */
+
+/**
+ * The largest width and height of the thumbnails of the frames in the timeline.
+ */
+var frameThumbnailSize = 64;
+
+/**
+ * Draws the layers of a snapshot onto a new canvas, the way the composite method of the LayerStack does for the
+ * shown frame.
+ *
+ * @param snapshot A snapshot object created by the layerSnapshot method of a LayerStack.
+ * @returns {Element} A canvas element holding the flattened frame.
+ */
+function compositeSnapshot(snapshot) {
+    var canvases = snapshotCanvases(snapshot);
+    var canvas = createElement('canvas', {width: snapshot.width, height: snapshot.height});
+    var cx = canvas.getContext('2d');
+    snapshot.state.properties.forEach(function(layer, i) {
+        if(layer.visible) {
+            cx.globalAlpha = layer.opacity;
+            cx.globalCompositeOperation = layer.blendMode;
+            cx.drawImage(canvases[i], 0, 0);
+        }
+    });
+    return canvas;
+}
+
+/**
+ * Returns the flattened image of a frame. The frames which are not shown never change, so their image is only
+ * created once and kept with the frame. It must not be drawn onto.
+ *
+ * @param layers The LayerStack of the picture.
+ * @param index The index of the frame.
+ * @returns {Element} A canvas element holding the flattened frame.
+ */
+function frameImage(layers, index) {
+    var frame = layers.frames[index];
+    if(!frame.snapshot) {
+        return layers.composite();
+    }
+    if(!frame.image) {
+        frame.image = compositeSnapshot(frame.snapshot);
+    }
+    return frame.image;
+}
+
+/**
+ * Creates the snapshot of a new frame whose layers have the names and properties of the layers of another frame.
+ *
+ * @param snapshot The snapshot of the other frame.
+ * @param copyPixels A boolean indicating if the pixels of the layers are copied, otherwise the layers are empty.
+ * @returns {Object} The snapshot of the new frame.
+ */
+function newFrameSnapshot(snapshot, copyPixels) {
+    var width = snapshot.width, height = snapshot.height;
+    var created = snapshot.state.properties.map(function(properties) {
+        return new Layer(properties.name, createElement('canvas', {width: width, height: height}));
+    });
+    return {
+        width: width,
+        height: height,
+        state: {
+            layers: created,
+            active: created[snapshot.state.layers.indexOf(snapshot.state.active)],
+            properties: snapshot.state.properties
+        },
+        pixels: copyPixels ? snapshot.pixels : created.map(function(layer) {
+            return layer.context().createImageData(width, height);
+        })
+    };
+}
+
+/**
+ * Changes the frames of the animation and records the change in the history. The layers of the picture are replaced
+ * by those of the frame to show, so the step holds a copy of the layers like loading an image does. Nothing happens
+ * while an operation is in progress.
+ *
+ * @param paint The state object of the Paint program.
+ * @param name A name describing the change. Example: 'Add frame'.
+ * @param change A function(frames, shown) which receives the frames, with the layers of the shown frame stored in its
+ * snapshot like those of the others, and the index of the shown frame. It changes the frames array and returns the
+ * index of the frame to show.
+ */
+function changeFrames(paint, name, change) {
+    var layers = paint.layers;
+    if(paint.history.pending) return;
+    paint.history.recordDocument(name, function() {
+        var frames = layers.storedFrames();
+        var index = change(frames, layers.frame);
+        layers.setFrames(frames, Math.max(0, Math.min(frames.length - 1, index)));
+    });
+}
+
+/**
+ * Shows a frame of the animation, so that the tools draw onto it.
+ *
+ * @param paint The state object of the Paint program.
+ * @param index The index of the frame.
+ */
+function selectFrame(paint, index) {
+    if(index == paint.layers.frame || index < 0 || index >= paint.layers.frames.length) return;
+    changeFrames(paint, 'Show frame ' + (index + 1), function() {
+        return index;
+    });
+}
+
+/**
+ * Adds a frame after the shown frame and shows it. The new frame has empty layers with the names and properties of
+ * the layers of the shown frame, or copies of them when it is a duplicate.
+ *
+ * @param paint The state object of the Paint program.
+ * @param duplicate A boolean indicating if the pixels of the shown frame are copied.
+ */
+function addFrame(paint, duplicate) {
+    changeFrames(paint, duplicate ? 'Duplicate frame' : 'Add frame', function(frames, shown) {
+        var frame = frames[shown];
+        frames.splice(shown + 1, 0, {duration: frame.duration, snapshot: newFrameSnapshot(frame.snapshot, duplicate)});
+        return shown + 1;
+    });
+}
+
+/**
+ * Deletes the shown frame and shows the frame after it, or the one before it when it was the last frame. The only
+ * frame of a picture can not be deleted.
+ *
+ * @param paint The state object of the Paint program.
+ */
+function deleteFrame(paint) {
+    if(paint.layers.frames.length < 2) return;
+    changeFrames(paint, 'Delete frame', function(frames, shown) {
+        frames.splice(shown, 1);
+        return Math.min(shown, frames.length - 1);
+    });
+}
+
+/**
+ * Moves a frame to another position in the animation. The shown frame stays shown.
+ *
+ * @param paint The state object of the Paint program.
+ * @param from The index of the frame to move.
+ * @param to The new index of the frame.
+ */
+function moveFrame(paint, from, to) {
+    var count = paint.layers.frames.length;
+    to = Math.max(0, Math.min(count - 1, to));
+    if(from == to || from < 0 || from >= count) return;
+    changeFrames(paint, 'Move frame', function(frames, shown) {
+        var frame = frames[shown];
+        frames.splice(to, 0, frames.splice(from, 1)[0]);
+        return frames.indexOf(frame);
+    });
+}
+
+/**
+ * Changes how long a frame is shown and records the change in the history. Only the frame objects are replaced, the
+ * layers of the picture stay as they are.
+ *
+ * @param paint The state object of the Paint program.
+ * @param index The index of the frame.
+ * @param duration The new duration in milliseconds.
+ */
+function setFrameDuration(paint, index, duration) {
+    var layers = paint.layers, before = layers.frames.slice(), after = before.slice();
+    if(before[index].duration == duration) return;
+    after[index] = {duration: duration, snapshot: before[index].snapshot, image: before[index].image};
+
+    function set(frames) {
+        layers.frames = frames.slice();
+        layers.notify();
+    }
+    set(after);
+    paint.history.push({
+        name: 'Frame duration',
+        size: 0,
+        undo: function() {
+            set(before);
+        },
+        redo: function() {
+            set(after);
+        }
+    });
+}
+
+/**
+ * The OnionSkin object shows the frames before and after the shown frame faintly above the picture, so that the
+ * movement of an animation can be drawn. Frames further away from the shown frame are fainter. The options are kept
+ * in the onionSkin property of the paint state object: {{enabled: boolean, before: number, after: number, opacity:
+ * number}}, where before and after are the number of frames shown on either side and opacity is the opacity of the
+ * nearest frames from 0 to 1.
+ *
+ * @param paint The state object of the Paint program.
+ * @constructor
+ */
+function OnionSkin(paint) {
+    var onion = this;
+    this.paint = paint;
+    this.canvas = createElement('canvas', {class: 'onion-skin'});
+    paint.viewport.panel.insertBefore(this.canvas, paint.overlay);
+    paint.layers.onChange(function() {
+        onion.update();
+    });
+    this.update();
+}
+
+/**
+ * Draws the frames around the shown frame for the current options.
+ */
+OnionSkin.prototype.update = function() {
+    var layers = this.paint.layers, options = this.paint.onionSkin, canvas = this.canvas;
+    canvas.width = layers.width();
+    canvas.height = layers.height();
+    canvas.style.display = options.enabled ? '' : 'none';
+    if(!options.enabled) return;
+
+    var cx = canvas.getContext('2d');
+    [[-1, options.before], [1, options.after]].forEach(function(side) {
+        var direction = side[0], count = side[1];
+        for(var distance = count; distance >= 1; distance--) {
+            var index = layers.frame + direction * distance;
+            if(index < 0 || index >= layers.frames.length) continue;
+            cx.globalAlpha = options.opacity * (count - distance + 1) / count;
+            cx.drawImage(frameImage(layers, index), 0, 0);
+        }
+    });
+};
+
+/**
+ * The Playback object plays the animation in a loop above the picture, which is hidden meanwhile. The frames are
+ * flattened when the playback starts, so drawing is not possible until it stops. Clicking the picture, changing the
+ * layers or frames, or destroying the program stops the playback.
+ *
+ * @param paint The state object of the Paint program.
+ * @constructor
+ */
+function Playback(paint) {
+    var playback = this;
+    this.paint = paint;
+    this.timer = null;
+    this.listeners = [];
+    this.canvas = createElement('canvas', {class: 'playback', title: 'Click to stop'});
+    paint.viewport.panel.appendChild(this.canvas);
+
+    this.canvas.addEventListener('pointerdown', function(event) {
+        event.preventDefault();
+        playback.stop();
+    });
+    paint.layers.onChange(function() {
+        playback.stop();
+    });
+    paint.events.on('destroy', function() {
+        playback.stop();
+    });
+}
+
+/**
+ * Registers a function that is called whenever the playback starts or stops.
+ *
+ * @param listener The function to call.
+ */
+Playback.prototype.onChange = function(listener) {
+    this.listeners.push(listener);
+};
+
+/**
+ * Calls every listener registered with the onChange method.
+ */
+Playback.prototype.notify = function() {
+    var playback = this;
+    this.listeners.forEach(function(listener) {
+        listener(playback);
+    });
+};
+
+/**
+ * @returns {boolean} A boolean indicating if the animation is playing.
+ */
+Playback.prototype.playing = function() {
+    return this.timer !== null;
+};
+
+/**
+ * Starts playing the animation from the shown frame.
+ */
+Playback.prototype.start = function() {
+    if(this.playing()) return;
+    var playback = this, layers = this.paint.layers, canvas = this.canvas, index = layers.frame;
+    var images = layers.frames.map(function(frame, i) {
+        return frameImage(layers, i);
+    });
+    var durations = layers.frames.map(function(frame) {
+        return frame.duration;
+    });
+    canvas.width = layers.width();
+    canvas.height = layers.height();
+    var cx = canvas.getContext('2d');
+
+    function show() {
+        cx.clearRect(0, 0, canvas.width, canvas.height);
+        cx.drawImage(images[index], 0, 0);
+        playback.timer = setTimeout(function() {
+            index = (index + 1) % images.length;
+            show();
+        }, durations[index]);
+    }
+    this.paint.viewport.panel.classList.add('playing');
+    show();
+    this.notify();
+};
+
+/**
+ * Stops playing the animation and shows the picture again.
+ */
+Playback.prototype.stop = function() {
+    if(!this.playing()) return;
+    clearTimeout(this.timer);
+    this.timer = null;
+    this.paint.viewport.panel.classList.remove('playing');
+    this.notify();
+};
+
+/**
+ * Starts the playback when it is stopped, and stops it otherwise.
+ */
+Playback.prototype.toggle = function() {
+    if(this.playing()) {
+        this.stop();
+    } else {
+        this.start();
+    }
+};
+
+/**
+ * Chooses the colors of a GIF file for the pixels of several images. GIF files have a palette of at most 256
+ * colors, one of which is used for the transparent pixels. When the images have few enough colors, as drawings
+ * usually do, the palette holds exactly these colors. Otherwise the colors are reduced to 5 bits per channel and
+ * divided into groups of similar colors by the median cut algorithm, and each group is replaced by its average color.
+ * Pixels which are less than half opaque are transparent, the others are opaque.
+ *
+ * @param images An array of ImageData objects.
+ * @returns {{colors: Array, transparent: number, index: function}} The palette object. The colors are [r, g, b]
+ * arrays, transparent is the index of the transparent color or -1 when every pixel is opaque, and index is a
+ * function(data, offset) which returns the index of the palette color of the pixel at an offset of the data of one of
+ * the images.
+ */
+function gifPalette(images) {
+    var transparent = images.some(function(image) {
+        for(var i = 3; i < image.data.length; i += 4) {
+            if(image.data[i] < 128) return true;
+        }
+        return false;
+    });
+    var maxColors = transparent ? 255 : 256;
+
+    var exact = Object.create(null), colors = [];
+    var fits = images.every(function(image) {
+        var data = image.data;
+        for(var i = 0; i < data.length; i += 4) {
+            if(data[i + 3] < 128) continue;
+            var color = data[i] << 16 | data[i + 1] << 8 | data[i + 2];
+            if(!(color in exact)) {
+                if(colors.length == maxColors) return false;
+                exact[color] = colors.length;
+                colors.push([data[i], data[i + 1], data[i + 2]]);
+            }
+        }
+        return true;
+    });
+    if(fits) {
+        return {
+            colors: colors,
+            transparent: transparent ? colors.length : -1,
+            index: function(data, offset) {
+                if(data[offset + 3] < 128) return colors.length;
+                return exact[data[offset] << 16 | data[offset + 1] << 8 | data[offset + 2]];
+            }
+        };
+    }
+
+    var counts = new Uint32Array(32768);
+    images.forEach(function(image) {
+        var data = image.data;
+        for(var i = 0; i < data.length; i += 4) {
+            if(data[i + 3] >= 128) {
+                counts[(data[i] >> 3) << 10 | (data[i + 1] >> 3) << 5 | data[i + 2] >> 3]++;
+            }
+        }
+    });
+    var entries = [];
+    for(var key = 0; key < counts.length; key++) {
+        if(counts[key]) {
+            entries.push({key: key, count: counts[key], channels: [(key >> 10) * 8 + 4, (key >> 5 & 31) * 8 + 4,
+                                                                   (key & 31) * 8 + 4]});
+        }
+    }
+
+    // The group whose colors differ the most in one channel is split at the median of that channel, until there
+    // are as many groups as colors in the palette or no group can be split.
+    var boxes = [entries];
+    while(boxes.length < maxColors) {
+        var widest = null, widestRange = 0, widestChannel = 0;
+        boxes.forEach(function(box) {
+            if(box.length < 2) return;
+            for(var channel = 0; channel < 3; channel++) {
+                var low = 255, high = 0;
+                box.forEach(function(entry) {
+                    low = Math.min(low, entry.channels[channel]);
+                    high = Math.max(high, entry.channels[channel]);
+                });
+                if(high - low > widestRange) {
+                    widest = box;
+                    widestRange = high - low;
+                    widestChannel = channel;
+                }
+            }
+        });
+        if(!widest) break;
+        widest.sort(function(a, b) {
+            return a.channels[widestChannel] - b.channels[widestChannel];
+        });
+        var total = 0, half = 0, split = 1;
+        widest.forEach(function(entry) {
+            total += entry.count;
+        });
+        for(var i = 0; i < widest.length - 1; i++) {
+            half += widest[i].count;
+            split = i + 1;
+            if(half * 2 >= total) break;
+        }
+        boxes.splice(boxes.indexOf(widest), 1, widest.slice(0, split), widest.slice(split));
+    }
+
+    colors = boxes.map(function(box) {
+        var sums = [0, 0, 0], count = 0;
+        box.forEach(function(entry) {
+            for(var channel = 0; channel < 3; channel++) {
+                sums[channel] += entry.channels[channel] * entry.count;
+            }
+            count += entry.count;
+        });
+        return sums.map(function(sum) {
+            return Math.round(sum / count);
+        });
+    });
+    var lookup = new Uint8Array(32768);
+    entries.forEach(function(entry) {
+        var best = 0, bestDistance = Infinity;
+        colors.forEach(function(color, i) {
+            var dr = color[0] - entry.channels[0], dg = color[1] - entry.channels[1], db = color[2] - entry.channels[2];
+            var distance = dr * dr + dg * dg + db * db;
+            if(distance < bestDistance) {
+                best = i;
+                bestDistance = distance;
+            }
+        });
+        lookup[entry.key] = best;
+    });
+    return {
+        colors: colors,
+        transparent: transparent ? colors.length : -1,
+        index: function(data, offset) {
+            if(data[offset + 3] < 128) return colors.length;
+            return lookup[(data[offset] >> 3) << 10 | (data[offset + 1] >> 3) << 5 | data[offset + 2] >> 3];
+        }
+    };
+}
+
+/**
+ * Compresses the palette indices of an image with the variable length LZW compression of GIF files.
+ *
+ * @param pixels A Uint8Array holding the palette index of every pixel.
+ * @param minCodeSize The number of bits of the palette indices, at least 2.
+ * @returns {Array} The compressed bytes.
+ */
+function encodeLZW(pixels, minCodeSize) {
+    var clearCode = 1 << minCodeSize, endCode = clearCode + 1;
+    var nextCode = endCode + 1, codeSize = minCodeSize + 1;
+    // The code of a sequence followed by a pixel is stored under the code of the sequence times 256 plus the pixel.
+    var table = new Uint16Array(4096 * 256);
+    var output = [], buffer = 0, bits = 0;
+
+    function write(code) {
+        buffer |= code << bits;
+        bits += codeSize;
+        while(bits >= 8) {
+            output.push(buffer & 0xff);
+            buffer >>>= 8;
+            bits -= 8;
+        }
+    }
+
+    write(clearCode);
+    var prefix = pixels[0];
+    for(var i = 1; i < pixels.length; i++) {
+        var key = prefix << 8 | pixels[i];
+        if(table[key]) {
+            prefix = table[key];
+            continue;
+        }
+        write(prefix);
+        if(nextCode == 4096) {
+            write(clearCode);
+            table.fill(0);
+            nextCode = endCode + 1;
+            codeSize = minCodeSize + 1;
+        } else {
+            if(nextCode >= 1 << codeSize) {
+                codeSize++;
+            }
+            table[key] = nextCode++;
+        }
+        prefix = pixels[i];
+    }
+    write(prefix);
+    // Decoders count the last code as if it added a sequence, so the end code may need one bit more.
+    if(nextCode >= 1 << codeSize && codeSize < 12) {
+        codeSize++;
+    }
+    write(endCode);
+    if(bits > 0) {
+        output.push(buffer & 0xff);
+    }
+    return output;
+}
+
+/**
+ * Encodes images of the same size as an animated GIF file. The colors of every frame are taken from one palette, see
+ * the gifPalette function. GIF files store durations in hundredths of a second, so the durations are rounded.
+ *
+ * @param images An array of ImageData objects, one for every frame.
+ * @param durations An array holding the duration of every frame in milliseconds.
+ * @param loop A boolean indicating if the animation repeats forever, otherwise it is played once.
+ * @returns {Blob} The GIF file.
+ */
+function encodeGIF(images, durations, loop) {
+    var width = images[0].width, height = images[0].height;
+    var palette = gifPalette(images);
+    var tableBits = 1;
+    while(1 << tableBits < palette.colors.length + (palette.transparent >= 0 ? 1 : 0)) {
+        tableBits++;
+    }
+    var minCodeSize = Math.max(2, tableBits);
+    var bytes = [];
+
+    function word(value) {
+        bytes.push(value & 0xff, value >> 8 & 0xff);
+    }
+    function text(value) {
+        for(var i = 0; i < value.length; i++) {
+            bytes.push(value.charCodeAt(i));
+        }
+    }
+
+    text('GIF89a');
+    word(width);
+    word(height);
+    bytes.push(0x80 | (tableBits - 1) << 4 | (tableBits - 1), 0, 0);
+    for(var i = 0; i < 1 << tableBits; i++) {
+        var color = palette.colors[i] || [0, 0, 0];
+        bytes.push(color[0], color[1], color[2]);
+    }
+    if(loop) {
+        // The NETSCAPE2.0 application extension repeats the animation, 0 times meaning forever.
+        bytes.push(0x21, 0xff, 11);
+        text('NETSCAPE2.0');
+        bytes.push(3, 1, 0, 0, 0);
+    }
+
+    images.forEach(function(image, frame) {
+        var transparent = palette.transparent >= 0;
+        // The graphic control extension holds the duration and the transparent color. Frames with transparent pixels
+        // are cleared before the next frame is shown, so the frames do not pile up.
+        bytes.push(0x21, 0xf9, 4, (transparent ? 2 : 1) << 2 | (transparent ? 1 : 0));
+        word(Math.max(2, Math.round(durations[frame] / 10)));
+        bytes.push(transparent ? palette.transparent : 0, 0);
+
+        bytes.push(0x2c);
+        word(0);
+        word(0);
+        word(width);
+        word(height);
+        bytes.push(0);
+
+        var pixels = new Uint8Array(width * height);
+        for(var i = 0; i < pixels.length; i++) {
+            pixels[i] = palette.index(image.data, i * 4);
+        }
+        var data = encodeLZW(pixels, minCodeSize);
+        bytes.push(minCodeSize);
+        for(var start = 0; start < data.length; start += 255) {
+            var block = data.slice(start, start + 255);
+            bytes.push(block.length);
+            Array.prototype.push.apply(bytes, block);
+        }
+        bytes.push(0);
+    });
+    bytes.push(0x3b);
+    return new Blob([new Uint8Array(bytes)], {type: 'image/gif'});
+}
+
+/**
+ * Places the frames of an animation next to each other on one canvas, from left to right and then from top to
+ * bottom.
+ *
+ * @param images An array of canvas elements of the same size, one for every frame.
+ * @param columns The number of frames in a row.
+ * @returns {Element} The canvas element holding the sprite sheet.
+ */
+function spriteSheet(images, columns) {
+    var width = images[0].width, height = images[0].height;
+    var canvas = createElement('canvas', {width: width * columns, height: height * Math.ceil(images.length / columns)});
+    var cx = canvas.getContext('2d');
+    images.forEach(function(image, i) {
+        cx.drawImage(image, i % columns * width, Math.floor(i / columns) * height);
+    });
+    return canvas;
+}
+
+/**
+ * The animationFormats object holds the file formats the frames of an animation can be exported as.
+ */
+var animationFormats = {
+    gif: {label: 'Animated GIF', type: 'image/gif', extension: 'gif'},
+    sheet: {label: 'PNG sprite sheet', type: 'image/png', extension: 'png'}
+};
+
+/**
+ * Shows the dialog which exports the animation as an animated GIF file or as a PNG sprite sheet. The frames can be
+ * flattened onto a background color. The last used options are kept in the paint state object.
+ *
+ * @param paint The state object of the Paint program.
+ */
+function showAnimationExportDialog(paint) {
+    var layers = paint.layers;
+    var options = paint.animationExportOptions = paint.animationExportOptions ||
+        {filename: 'animation', format: 'gif', loop: true, flatten: false, background: '#ffffff', columns: 0};
+
+    var filename = createElement('input', {type: 'text', value: options.filename});
+    var format = createElement('select');
+    for(var name in animationFormats) {
+        format.appendChild(createElement('option', {value: name}, animationFormats[name].label));
+    }
+    format.value = options.format;
+    var loop = createElement('input', {type: 'checkbox'});
+    loop.checked = options.loop;
+    var flatten = createElement('input', {type: 'checkbox'});
+    flatten.checked = options.flatten;
+    var background = createElement('input', {type: 'color', value: options.background});
+    var columns = createElement('input', {type: 'number', min: 1, max: layers.frames.length,
+                                          value: Math.min(options.columns || layers.frames.length,
+                                                          layers.frames.length)});
+    var loopRow = createElement('div', null, createElement('label', null, loop, 'Repeat forever'));
+    var columnsRow = createElement('div', null, createElement('label', null, 'Frames per row: ', columns));
+    var message = createElement('div', {class: 'error'});
+
+    function update() {
+        loopRow.style.display = format.value == 'gif' ? '' : 'none';
+        columnsRow.style.display = format.value == 'sheet' ? '' : 'none';
+        background.disabled = !flatten.checked;
+    }
+    format.addEventListener('change', update);
+    flatten.addEventListener('change', update);
+    update();
+
+    var exportButton = createElement('button', {type: 'button'}, 'Export');
+    var cancel = createElement('button', {type: 'button'}, 'Cancel');
+    var dialog = showDialog('Export animation',
+        createElement('div', null, layers.frames.length + (layers.frames.length == 1 ? ' frame' : ' frames')),
+        createElement('div', null, createElement('label', null, 'Filename: ', filename)),
+        createElement('div', null, createElement('label', null, 'Format: ', format)),
+        loopRow,
+        columnsRow,
+        createElement('div', null, createElement('label', null, flatten, 'Flatten onto '), background),
+        message,
+        createElement('div', null, exportButton, ' ', cancel));
+
+    exportButton.addEventListener('click', function() {
+        var count = layers.frames.length, perRow = Number(columns.value);
+        if(format.value == 'sheet') {
+            if(!(perRow >= 1 && perRow <= count && perRow == Math.round(perRow))) {
+                message.textContent = 'The frames per row must be a whole number between 1 and ' + count + '.';
+                return;
+            }
+            var rows = Math.ceil(count / perRow);
+            if(layers.width() * perRow > maxPictureSize || layers.height() * rows > maxPictureSize) {
+                message.textContent = 'The sprite sheet would be larger than ' + maxPictureSize + ' pixels. Change ' +
+                    'the frames per row.';
+                return;
+            }
+        }
+        options.filename = filename.value;
+        options.format = format.value;
+        options.loop = loop.checked;
+        options.flatten = flatten.checked;
+        options.background = background.value;
+        options.columns = perRow;
+
+        var chosen = animationFormats[options.format];
+        var images = layers.frames.map(function(frame, i) {
+            var image = frameImage(layers, i);
+            if(!options.flatten) return image;
+            var canvas = createElement('canvas', {width: image.width, height: image.height});
+            var cx = canvas.getContext('2d');
+            cx.fillStyle = options.background;
+            cx.fillRect(0, 0, canvas.width, canvas.height);
+            cx.drawImage(image, 0, 0);
+            return canvas;
+        });
+
+        function done(error, blob) {
+            if(error) {
+                message.textContent = error;
+            } else {
+                downloadBlob(blob, exportFilename(options.filename, chosen));
+                dialog.close();
+            }
+        }
+        if(options.format == 'sheet') {
+            encodeCanvas(spriteSheet(images, perRow), exportFormats.png, 1, done);
+            return;
+        }
+        try {
+            var blob = encodeGIF(images.map(function(image) {
+                return image.getContext('2d').getImageData(0, 0, image.width, image.height);
+            }), layers.frames.map(function(frame) {
+                return frame.duration;
+            }), options.loop);
+        } catch(e) {
+            if(e.name != 'SecurityError') throw e;
+            done("Can't export the animation, it contains an image from another website.");
+            return;
+        }
+        done(null, blob);
+    });
+    cancel.addEventListener('click', function() {
+        dialog.close();
+    });
+}
+
+commands.previousFrame = {
+    label: 'Previous frame',
+    run: function(cx, paint) {
+        var count = paint.layers.frames.length;
+        selectFrame(paint, (paint.layers.frame + count - 1) % count);
+    }
+};
+
+commands.nextFrame = {
+    label: 'Next frame',
+    run: function(cx, paint) {
+        selectFrame(paint, (paint.layers.frame + 1) % paint.layers.frames.length);
+    }
+};
+
+commands.playAnimation = {
+    label: 'Play or stop the animation',
+    run: function(cx, paint) {
+        if(paint.playback) {
+            paint.playback.toggle();
+        }
+    }
+};
+
+/**
+ * The timeline control constructor creates the list of the frames of the animation, which is shown under the
+ * picture instead of in the toolbar. Each frame shows a thumbnail and its duration in milliseconds, clicking it shows
+ * the frame and dragging it to another frame moves it there. The buttons add an empty frame, duplicate, delete and
+ * move the shown frame, play the animation and export it. The onion skin options show the frames before and after the
+ * shown frame faintly above it, see the OnionSkin object.
+ *
+ * @param cx The 2DCanvasContext for the canvas element of the Paint UI.
+ * @param paint The state object of the Paint program.
+ * @returns {Element} The DOM Element for the timeline control.
+ */
+controls.timeline = function(cx, paint) {
+    var layers = paint.layers, options = paint.onionSkin;
+    var onion = new OnionSkin(paint);
+    var playback = paint.playback = new Playback(paint);
+    var list = createElement('ol', {class: 'frames'});
+    var dragged = null;
+
+    function button(label, title, onClick) {
+        var node = createElement('button', {type: 'button', title: title}, label);
+        node.addEventListener('click', onClick);
+        return node;
+    }
+
+    function item(frame, i) {
+        var image = frameImage(layers, i);
+        var scale = Math.min(frameThumbnailSize / image.width, frameThumbnailSize / image.height);
+        var thumbnail = createElement('canvas', {class: 'frame-thumbnail',
+                                                 width: Math.max(1, Math.round(image.width * scale)),
+                                                 height: Math.max(1, Math.round(image.height * scale))});
+        thumbnail.getContext('2d').drawImage(image, 0, 0, thumbnail.width, thumbnail.height);
+
+        var duration = createElement('input', {type: 'number', min: LayerStack.minFrameDuration,
+                                               max: LayerStack.maxFrameDuration, step: 10, value: frame.duration,
+                                               title: 'Duration in milliseconds'});
+        duration.addEventListener('change', function() {
+            var value = Number(duration.value);
+            if(duration.value !== '' && isFrameDuration(value)) {
+                setFrameDuration(paint, i, Math.round(value));
+            } else {
+                duration.value = frame.duration;
+            }
+        });
+
+        var node = createElement('li', {class: i == layers.frame ? 'active' : '', draggable: 'true',
+                                        title: 'Frame ' + (i + 1)},
+            thumbnail, createElement('span', {class: 'frame-number'}, String(i + 1)), duration, ' ms');
+        node.addEventListener('click', function(event) {
+            if(event.target != duration) {
+                selectFrame(paint, i);
+            }
+        });
+        node.addEventListener('dragstart', function(event) {
+            dragged = i;
+            event.dataTransfer.effectAllowed = 'move';
+            event.dataTransfer.setData('text/plain', 'Frame ' + (i + 1));
+        });
+        node.addEventListener('dragover', function(event) {
+            if(dragged !== null) {
+                event.preventDefault();
+            }
+        });
+        node.addEventListener('drop', function(event) {
+            if(dragged === null) return;
+            event.preventDefault();
+            var from = dragged;
+            dragged = null;
+            moveFrame(paint, from, i);
+        });
+        node.addEventListener('dragend', function() {
+            dragged = null;
+        });
+        return node;
+    }
+
+    var remove = button('Delete', 'Delete the shown frame', function() {
+        deleteFrame(paint);
+    });
+    var earlier = button('Move left', 'Move the shown frame before the previous frame', function() {
+        moveFrame(paint, layers.frame, layers.frame - 1);
+    });
+    var later = button('Move right', 'Move the shown frame after the next frame', function() {
+        moveFrame(paint, layers.frame, layers.frame + 1);
+    });
+    var play = button('Play', 'Play the animation', function() {
+        playback.toggle();
+    });
+
+    function update() {
+        list.textContent = '';
+        layers.frames.forEach(function(frame, i) {
+            list.appendChild(item(frame, i));
+        });
+        remove.disabled = layers.frames.length < 2;
+        earlier.disabled = layers.frame == 0;
+        later.disabled = layers.frame == layers.frames.length - 1;
+    }
+    layers.onChange(update);
+    paint.events.on('change', update);
+    playback.onChange(function() {
+        play.textContent = playback.playing() ? 'Stop' : 'Play';
+    });
+    update();
+
+    var enabled = createElement('input', {type: 'checkbox'});
+    var before = createElement('input', {type: 'number', min: 0, max: 5, title: 'Frames before the shown frame'});
+    var after = createElement('input', {type: 'number', min: 0, max: 5, title: 'Frames after the shown frame'});
+    var opacity = createElement('input', {type: 'range', min: 5, max: 100, title: 'Opacity'});
+    function updateOnionSkin() {
+        enabled.checked = options.enabled;
+        before.value = options.before;
+        after.value = options.after;
+        opacity.value = Math.round(options.opacity * 100);
+        onion.update();
+    }
+    enabled.addEventListener('change', function() {
+        options.enabled = enabled.checked;
+        updateOnionSkin();
+    });
+    [[before, 'before'], [after, 'after']].forEach(function(entry) {
+        entry[0].addEventListener('change', function() {
+            var value = Number(entry[0].value);
+            if(entry[0].value !== '' && value >= 0 && value <= 5) {
+                options[entry[1]] = Math.round(value);
+            }
+            updateOnionSkin();
+        });
+    });
+    opacity.addEventListener('input', function() {
+        options.opacity = opacity.value / 100;
+        onion.update();
+    });
+    updateOnionSkin();
+
+    return createElement('div', {class: 'timeline'},
+        createElement('div', null, 'Frames: ',
+            button('Add', 'Add an empty frame after the shown frame', function() {
+                addFrame(paint, false);
+            }),
+            button('Duplicate', 'Add a copy of the shown frame after it', function() {
+                addFrame(paint, true);
+            }),
+            remove, earlier, later, ' ', play, ' ',
+            createElement('label', null, enabled, 'Onion skin'), ' ',
+            createElement('label', null, 'before ', before), ' ',
+            createElement('label', null, 'after ', after), ' ',
+            createElement('label', null, 'opacity ', opacity), ' ',
+            button('Export animation…', 'Export as an animated GIF or a PNG sprite sheet', function() {
+                showAnimationExportDialog(paint);
+            })),
+        list);
+};
@@ -0,0 +1,346 @@
+/**
+ * The DocumentStore object keeps documents in the browser's IndexedDB database, so that work survives closing or
+ * reloading the page. A document is an object {{id: string, name: string, modified: number, thumbnail: string,
+ * project: Object}} holding a project object created by the createProject function and a small image of the picture
+ * as a data URL. Only the most recently modified documents are kept.
+ *
+ * All methods are asynchronous and call their callback with an error as the first argument, or null when they
+ * succeed. When IndexedDB is not available, for example in some private browsing modes, every method fails.
+ */
+function DocumentStore() {
+    this.db = null;
+    this.waiting = [];
+    this.error = null;
+
+    var store = this;
+    function ready(error) {
+        store.error = error;
+        store.waiting.forEach(function(callback) {
+            callback();
+        });
+        store.waiting = null;
+    }
+
+    try {
+        var request = indexedDB.open(DocumentStore.databaseName, 1);
+    } catch(e) {
+        ready(new Error('Stored documents are not available in this browser.'));
+        return;
+    }
+    request.addEventListener('upgradeneeded', function() {
+        request.result.createObjectStore('documents', {keyPath: 'id'});
+    });
+    request.addEventListener('success', function() {
+        store.db = request.result;
+        ready(null);
+    });
+    request.addEventListener('error', function() {
+        ready(new Error('Stored documents are not available: ' + request.error));
+    });
+}
+
+/**
+ * The name of the IndexedDB database and the number of documents kept in it.
+ */
+DocumentStore.databaseName = 'paint';
+DocumentStore.limit = 8;
+
+/**
+ * Runs a request on the documents object store once the database is open.
+ *
+ * @param mode 'readonly' or 'readwrite'.
+ * @param makeRequest A function(objectStore) which returns an IDBRequest.
+ * @param callback A function(error, result).
+ */
+DocumentStore.prototype.request = function(mode, makeRequest, callback) {
+    var store = this;
+    function run() {
+        if(store.error) {
+            callback(store.error);
+            return;
+        }
+        try {
+            var request = makeRequest(store.db.transaction('documents', mode).objectStore('documents'));
+        } catch(e) {
+            callback(e);
+            return;
+        }
+        request.addEventListener('success', function() {
+            callback(null, request.result);
+        });
+        request.addEventListener('error', function() {
+            callback(request.error);
+        });
+    }
+    if(this.waiting) {
+        this.waiting.push(run);
+    } else {
+        run();
+    }
+};
+
+/**
+ * Passes all stored documents to the callback, the most recently modified first.
+ *
+ * @param callback A function(error, documents).
+ */
+DocumentStore.prototype.list = function(callback) {
+    this.request('readonly', function(documents) {
+        return documents.getAll();
+    }, function(error, result) {
+        if(error) {
+            callback(error);
+            return;
+        }
+        callback(null, result.sort(function(a, b) {
+            return b.modified - a.modified;
+        }));
+    });
+};
+
+/**
+ * Stores a document, replacing any document with the same id. The least recently modified documents beyond the limit
+ * are removed.
+ *
+ * @param stored The document object.
+ * @param callback An optional function(error).
+ */
+DocumentStore.prototype.put = function(stored, callback) {
+    var store = this;
+    callback = callback || function() {};
+    this.request('readwrite', function(documents) {
+        return documents.put(stored);
+    }, function(error) {
+        if(error) {
+            callback(error);
+            return;
+        }
+        store.list(function(error, documents) {
+            if(error || documents.length <= DocumentStore.limit) {
+                callback(error);
+                return;
+            }
+            documents.slice(DocumentStore.limit).forEach(function(old) {
+                store.remove(old.id);
+            });
+            callback(null);
+        });
+    });
+};
+
+/**
+ * Removes a stored document.
+ *
+ * @param id The id of the document.
+ * @param callback An optional function(error).
+ */
+DocumentStore.prototype.remove = function(id, callback) {
+    this.request('readwrite', function(documents) {
+        return documents.delete(id);
+    }, callback || function() {});
+};
+
+/**
+ * Removes all stored documents.
+ *
+ * @param callback An optional function(error).
+ */
+DocumentStore.prototype.clear = function(callback) {
+    this.request('readwrite', function(documents) {
+        return documents.clear();
+    }, callback || function() {});
+};
+
+/**
+ * Creates a small PNG image of the flattened picture.
+ *
+ * @param paint The state object of the Paint program.
+ * @param size The largest width or height of the thumbnail in pixels.
+ * @returns {string} The thumbnail as a data URL.
+ */
+function createThumbnail(paint, size) {
+    var picture = paint.layers.composite();
+    var scale = Math.min(1, size / Math.max(picture.width, picture.height));
+    var canvas = createElement('canvas', {width: Math.max(1, Math.round(picture.width * scale)),
+                                          height: Math.max(1, Math.round(picture.height * scale))});
+    var cx = canvas.getContext('2d');
+    cx.imageSmoothingQuality = 'high';
+    cx.drawImage(picture, 0, 0, canvas.width, canvas.height);
+    return canvas.toDataURL('image/png');
+}
+
+/**
+ * The autosave delay in milliseconds. The picture is saved once no operation was completed for this long.
+ */
+var autosaveDelay = 2000;
+
+/**
+ * Saves the picture and editing state of the program as the current document in the store. A new document is started
+ * when the paint state object does not have a documentId yet.
+ *
+ * @param cx The 2DCanvasContext of the active layer.
+ * @param paint The state object of the Paint program.
+ * @param callback An optional function(error).
+ */
+function saveDocument(cx, paint, callback) {
+    if(!paint.documentId) {
+        paint.documentId = Date.now().toString(36) + Math.random().toString(36).slice(2, 8);
+    }
+    try {
+        var stored = {
+            id: paint.documentId,
+            name: paint.projectName || 'Untitled',
+            modified: Date.now(),
+            thumbnail: createThumbnail(paint, 96),
+            project: createProject(cx, paint)
+        };
+    } catch(e) {
+        // A picture containing an image from another website can not be read, so it can not be saved either.
+        if(callback) {
+            callback(e);
+        }
+        return;
+    }
+    paint.documents.put(stored, callback);
+}
+
+/**
+ * Replaces the picture with a stored document, which becomes the current document.
+ *
+ * @param cx The 2DCanvasContext of the active layer.
+ * @param paint The state object of the Paint program.
+ * @param stored The document object from the store.
+ */
+function openDocument(cx, paint, stored) {
+    try {
+        validateProject(stored.project);
+    } catch(e) {
+        showError('The picture could not be opened', e.message);
+        return;
+    }
+    openProject(cx, paint, stored.project, function(error) {
+        if(error) {
+            showError('The picture could not be opened', error.message);
+            return;
+        }
+        paint.documentId = stored.id;
+        paint.projectName = stored.name == 'Untitled' ? null : stored.name;
+    });
+}
+
+/**
+ * Creates the list of stored documents shown by the restore and recent documents dialogs. Clicking an entry opens the
+ * document and closes the dialog.
+ *
+ * @param cx The 2DCanvasContext of the active layer.
+ * @param paint The state object of the Paint program.
+ * @param documents The documents to list.
+ * @param dialog The dialog the list is shown in.
+ * @returns {Element} The list element.
+ */
+function documentList(cx, paint, documents, dialog) {
+    var list = createElement('ul', {class: 'documents'});
+    documents.forEach(function(stored) {
+        var entry = createElement('button', {type: 'button'},
+            createElement('img', {src: stored.thumbnail, alt: ''}),
+            createElement('span', null, stored.name),
+            createElement('small', null, new Date(stored.modified).toLocaleString()));
+        entry.addEventListener('click', function() {
+            dialog.close();
+            openDocument(cx, paint, stored);
+        });
+        list.appendChild(createElement('li', null, entry));
+    });
+    return list;
+}
+
+/**
+ * Offers to restore the most recently saved document. This is called by createPaint when the program starts, and does
+ * nothing when no document is stored.
+ *
+ * @param cx The 2DCanvasContext of the active layer.
+ * @param paint The state object of the Paint program.
+ */
+function offerRestore(cx, paint) {
+    paint.documents.list(function(error, documents) {
+        if(error || !documents.length) return;
+
+        var discard = createElement('button', {type: 'button'}, 'Start a new picture');
+        var dialog = showDialog('Restore your last session?', 'Choose a picture to continue working on.');
+        dialog.appendChild(documentList(cx, paint, documents.slice(0, 1), dialog));
+        dialog.appendChild(createElement('div', null, discard));
+        discard.addEventListener('click', function() {
+            dialog.close();
+        });
+    });
+}
+
+/**
+ * The autosave control constructor saves the picture to the document store a short moment after each completed
+ * operation, and right away when the page is hidden. It creates a Recent button which lists the stored documents with
+ * their thumbnails, and lets the user open one of them or clear all stored documents.
+ *
+ * @param cx The 2DCanvasContext for the canvas element of the Paint UI.
+ * @param paint The state object of the Paint program.
+ * @returns {Element} The DOM Element for the autosave control to be added to the toolbar UI.
+ */
+controls.autosave = function(cx, paint) {
+    var timer = null;
+    var status = createElement('small');
+
+    function save() {
+        clearTimeout(timer);
+        timer = null;
+        saveDocument(cx, paint, function(error) {
+            status.textContent = error ? ' Not saved' : ' Saved';
+            status.title = error ? error.message : '';
+        });
+    }
+    paint.history.onChange(function() {
+        if(paint.autosave) {
+            clearTimeout(timer);
+            timer = setTimeout(save, autosaveDelay);
+        }
+    });
+    paint.listen(document, 'visibilitychange', function() {
+        if(document.visibilityState == 'hidden' && timer) {
+            save();
+        }
+    });
+    paint.events.on('destroy', function() {
+        if(timer) {
+            save();
+        }
+    });
+
+    var recent = createElement('button', {type: 'button'}, 'Recent…');
+    recent.addEventListener('click', function() {
+        paint.documents.list(function(error, documents) {
+            var clear = createElement('button', {type: 'button'}, 'Clear stored documents');
+            var close = createElement('button', {type: 'button'}, 'Close');
+            var dialog = showDialog('Recent pictures');
+            if(error) {
+                dialog.appendChild(createElement('div', {class: 'error'}, error.message));
+            } else if(!documents.length) {
+                dialog.appendChild(createElement('div', null, 'No pictures are stored.'));
+            } else {
+                dialog.appendChild(documentList(cx, paint, documents, dialog));
+            }
+            dialog.appendChild(createElement('div', null, clear, ' ', close));
+
+            clear.addEventListener('click', function() {
+                showConfirmDialog('Clear stored documents', 'Remove all stored pictures? The current picture is ' +
+                                  'stored again after the next change.', 'Remove', function() {
+                    paint.documents.clear();
+                    paint.documentId = null;
+                    dialog.close();
+                });
+            });
+            close.addEventListener('click', function() {
+                dialog.close();
+            });
+        });
+    });
+
+    return createElement('div', null, recent, status);
+};
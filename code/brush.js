@@ -0,0 +1,422 @@
+/**
+ * The brushPresets object holds the brushes which can be chosen next to the brush size. Each preset holds the
+ * settings of the brush engine used by the Line and Erase tools:
+ *
+ *   opacity    The opacity of the whole stroke from 0 to 1. Parts of a stroke which overlap do not get darker.
+ *   hardness   How sharp the edge of the brush tip is, from 0 for a soft edge fading out from the center to 1.
+ *   spacing    The distance between two prints of the brush tip along the stroke, as a part of the brush size.
+ *   smoothing  How much the stroke lags behind the pointer to even out shaky movements, from 0 to 0.95.
+ *   tip        The shape of the brush tip: 'round', 'flat' for a calligraphy nib, or a custom tip object created by
+ *              the createBrushTip function from an image.
+ */
+var brushPresets = {
+    Pencil: {opacity: 1, hardness: 1, spacing: 0.1, smoothing: 0, tip: 'round'},
+    Marker: {opacity: 0.5, hardness: 0.9, spacing: 0.05, smoothing: 0.3, tip: 'round'},
+    Airbrush: {opacity: 0.4, hardness: 0, spacing: 0.05, smoothing: 0.5, tip: 'round'},
+    Calligraphy: {opacity: 1, hardness: 1, spacing: 0.02, smoothing: 0.6, tip: 'flat'}
+};
+
+/**
+ * The largest width and height of a custom brush tip in pixels. Larger images are scaled down.
+ */
+var maxBrushTipSize = 64;
+
+/**
+ * The height of the flat calligraphy tip as a part of its width. The tip is held at 45 degrees.
+ */
+var flatTipRatio = 0.25;
+
+/**
+ * Returns the settings of a brush preset, as kept in the brush property of the paint state object. The preset property
+ * holds the name of the preset, and is cleared when the settings are changed by hand.
+ *
+ * @param name The name of a preset in the brushPresets object.
+ * @returns {Object} A new brush settings object.
+ */
+function brushPreset(name) {
+    var preset = brushPresets[name];
+    return {preset: name, opacity: preset.opacity, hardness: preset.hardness, spacing: preset.spacing,
+            smoothing: preset.smoothing, tip: preset.tip};
+}
+
+/**
+ * Changes some settings of the brush and emits a brushchange event, so that the controls showing them are updated.
+ * Unless a preset is chosen, the brush no longer matches a preset.
+ *
+ * @param paint The state object of the Paint program.
+ * @param changes An object holding the changed settings. Example: {hardness: 0.5}.
+ */
+function setBrushOptions(paint, changes) {
+    var brush = paint.brush;
+    brush.preset = null;
+    for(var name in changes) {
+        brush[name] = changes[name];
+    }
+    paint.events.emit('brushchange', brush);
+}
+
+/**
+ * Creates a custom brush tip from an image. Dark and opaque pixels of the image paint, light and transparent pixels do
+ * not. The tip is stored as a base64 string of one alpha value per pixel, so it can be kept in recordings.
+ *
+ * @param image A loaded image or canvas element.
+ * @returns {{width: number, height: number, alpha: string}} The custom tip object.
+ */
+function createBrushTip(image) {
+    var scale = Math.min(1, maxBrushTipSize / Math.max(image.width, image.height));
+    var width = Math.max(1, Math.round(image.width * scale)), height = Math.max(1, Math.round(image.height * scale));
+    var canvas = createElement('canvas', {width: width, height: height});
+    var tcx = canvas.getContext('2d');
+    tcx.drawImage(image, 0, 0, width, height);
+    var data = tcx.getImageData(0, 0, width, height).data;
+
+    var binary = '';
+    for(var i = 0; i < data.length; i += 4) {
+        var light = (data[i] * 0.299 + data[i + 1] * 0.587 + data[i + 2] * 0.114) / 255;
+        binary += String.fromCharCode(Math.round(data[i + 3] * (1 - light)));
+    }
+    return {width: width, height: height, alpha: btoa(binary)};
+}
+
+/**
+ * Decodes the alpha values of a custom brush tip. Tips from recordings or other people are checked, and invalid tips
+ * are ignored.
+ *
+ * @param tip A custom tip object created by the createBrushTip function.
+ * @returns {Uint8Array} One alpha value per pixel of the tip, or null when the tip is invalid.
+ */
+function decodeBrushTip(tip) {
+    if(!tip || typeof tip.alpha != 'string' || !(tip.width >= 1 && tip.width <= maxBrushTipSize) ||
+            !(tip.height >= 1 && tip.height <= maxBrushTipSize)) {
+        return null;
+    }
+    try {
+        var binary = atob(tip.alpha);
+    } catch(e) {
+        return null;
+    }
+    if(binary.length != tip.width * tip.height) return null;
+    var alpha = new Uint8Array(binary.length);
+    for(var i = 0; i < binary.length; i++) {
+        alpha[i] = binary.charCodeAt(i);
+    }
+    return alpha;
+}
+
+/**
+ * Renders the coverage of the brush tip, from 0 where it does not paint to 255 where it paints fully. The values are
+ * calculated here instead of drawn with a gradient, so every browser renders the same strokes when a recording is
+ * replayed or an operation of another person is applied.
+ *
+ * @param brush The brush settings object.
+ * @param size The diameter of the tip in pixels.
+ * @returns {{width: number, alpha: Uint8ClampedArray}} The width and height of the square tip, and one coverage value
+ * per pixel.
+ */
+function renderBrushTip(brush, size) {
+    var width = Math.max(1, Math.ceil(size));
+    var coverage = new Uint8ClampedArray(width * width);
+    var radius = size / 2, hardness = Math.max(0, Math.min(1, brush.hardness));
+    var custom = typeof brush.tip == 'object' ? decodeBrushTip(brush.tip) : null;
+    var side = custom ? Math.max(brush.tip.width, brush.tip.height) : 0;
+
+    for(var y = 0; y < width; y++) {
+        for(var x = 0; x < width; x++) {
+            var alpha;
+            if(custom) {
+                // The tip image is centered in the square of the tip, keeping its aspect ratio.
+                var tx = Math.floor((x + 0.5) / width * side - (side - brush.tip.width) / 2);
+                var ty = Math.floor((y + 0.5) / width * side - (side - brush.tip.height) / 2);
+                var inside = tx >= 0 && ty >= 0 && tx < brush.tip.width && ty < brush.tip.height;
+                alpha = inside ? custom[ty * brush.tip.width + tx] / 255 : 0;
+            } else {
+                var dx = x + 0.5 - width / 2, dy = y + 0.5 - width / 2;
+                if(brush.tip == 'flat') {
+                    var along = (dx + dy) * Math.SQRT1_2, across = (dy - dx) * Math.SQRT1_2;
+                    dx = along;
+                    dy = across / flatTipRatio;
+                }
+                var distance = Math.sqrt(dx * dx + dy * dy);
+                alpha = Math.max(0, Math.min(1, radius - distance + 0.5));
+                if(hardness < 1) {
+                    alpha *= Math.max(0, Math.min(1, (1 - distance / radius) / (1 - hardness)));
+                }
+            }
+            coverage[y * width + x] = Math.round(alpha * 255);
+        }
+    }
+    return {width: width, alpha: coverage};
+}
+
+/**
+ * Starts a brush stroke at the pointer down event. The prints of the brush tip are combined into a coverage mask of the
+ * stroke, where overlapping prints keep the highest coverage instead of adding up. The mask is turned into pixels of
+ * the color on a buffer canvas, which is drawn onto the active layer with the opacity of the brush, so overlapping
+ * parts of a stroke do not get darker and the stroke is never more opaque than the color and the brush. The pixels
+ * of the layer from before the stroke are kept, so the changed parts of the layer can be redrawn from them whenever
+ * the stroke grows. The stroke is kept as the stroke property of the tool operation.
+ *
+ * @param event The pointer down event.
+ * @param cx The 2DCanvasContext of the active layer.
+ * @param paint The state object of the Paint program.
+ * @param operation The ToolOperation of the stroke.
+ * @param erase A boolean indicating if the stroke erases pixels instead of painting them.
+ */
+function beginStroke(event, cx, paint, operation, erase) {
+    var canvas = cx.canvas, brush = JSON.parse(JSON.stringify(paint.brush));
+    var buffer = createElement('canvas', {width: canvas.width, height: canvas.height});
+    var pos = relativePos(event, canvas);
+    var stroke = operation.stroke = {
+        brush: brush,
+        erase: erase,
+        size: Number(cx.lineWidth),
+        tip: renderBrushTip(brush, Number(cx.lineWidth)),
+        color: Color.fromStyle(cx.fillStyle),
+        mask: new Uint8ClampedArray(canvas.width * canvas.height),
+        buffer: buffer,
+        bcx: buffer.getContext('2d'),
+        base: cx.getImageData(0, 0, canvas.width, canvas.height),
+        pos: {x: pos.x + 0.5, y: pos.y + 0.5},
+        travelled: 0,
+        dirty: null
+    };
+    printBrushTip(stroke, stroke.pos, penDynamics(event, paint.pen));
+    drawStroke(cx, paint, operation);
+}
+
+/**
+ * Continues a brush stroke with every sample of a pointer move event. With smoothing, the stroke moves only part of
+ * the way towards each sample.
+ *
+ * @param event The pointer move event.
+ * @param cx The 2DCanvasContext of the active layer.
+ * @param paint The state object of the Paint program.
+ * @param operation The ToolOperation of the stroke.
+ */
+function continueStroke(event, cx, paint, operation) {
+    var stroke = operation.stroke;
+    var follow = 1 - Math.max(0, Math.min(0.95, stroke.brush.smoothing));
+    pointerSamples(event).forEach(function(sample) {
+        var pos = relativePos(sample, cx.canvas);
+        strokeTo(stroke, {x: stroke.pos.x + (pos.x + 0.5 - stroke.pos.x) * follow,
+                          y: stroke.pos.y + (pos.y + 0.5 - stroke.pos.y) * follow}, penDynamics(sample, paint.pen));
+    });
+    drawStroke(cx, paint, operation);
+}
+
+/**
+ * Ends a brush stroke at the pointer up event. A smoothed stroke lags behind the pointer, so it is finished by
+ * drawing it up to the position where the pointer was released.
+ *
+ * @param event The pointer up event.
+ * @param cx The 2DCanvasContext of the active layer.
+ * @param paint The state object of the Paint program.
+ * @param operation The ToolOperation of the stroke.
+ */
+function endStroke(event, cx, paint, operation) {
+    var stroke = operation.stroke;
+    var pos = relativePos(event, cx.canvas);
+    strokeTo(stroke, {x: pos.x + 0.5, y: pos.y + 0.5}, penDynamics(event, paint.pen));
+    drawStroke(cx, paint, operation);
+}
+
+/**
+ * Prints the brush tip along a straight line from the current position of a stroke. The distance between the prints
+ * is set by the spacing of the brush, and the distance left over at the end of the line is carried to the next line.
+ *
+ * @param stroke The stroke object created by the beginStroke function.
+ * @param to The end point of the line {{x: number, y: number}}.
+ * @param dynamics The size and opacity factors from the penDynamics function.
+ */
+function strokeTo(stroke, to, dynamics) {
+    var from = stroke.pos;
+    var dx = to.x - from.x, dy = to.y - from.y;
+    var length = Math.sqrt(dx * dx + dy * dy);
+    var step = Math.max(0.5, stroke.brush.spacing * stroke.size * dynamics.size);
+    var position = step - stroke.travelled;
+
+    while(position <= length) {
+        printBrushTip(stroke, {x: from.x + dx * position / length, y: from.y + dy * position / length}, dynamics);
+        position += step;
+    }
+    stroke.travelled = length - (position - step);
+    stroke.pos = to;
+}
+
+/**
+ * Prints the brush tip into the coverage mask of a stroke, and grows the area of the mask which has to be drawn onto
+ * the layer. Each pixel keeps the highest coverage of all prints, so overlapping prints do not add up.
+ *
+ * @param stroke The stroke object created by the beginStroke function.
+ * @param center The center of the print {{x: number, y: number}}.
+ * @param dynamics The size and opacity factors from the penDynamics function.
+ */
+function printBrushTip(stroke, center, dynamics) {
+    var tip = stroke.tip, mask = stroke.mask;
+    var width = stroke.buffer.width, height = stroke.buffer.height;
+    var size = Math.max(1, tip.width * dynamics.size);
+    var left = Math.round(center.x - size / 2), top = Math.round(center.y - size / 2);
+    var right = left + Math.ceil(size), bottom = top + Math.ceil(size);
+    var opacity = Math.max(0, Math.min(1, dynamics.opacity));
+
+    for(var y = Math.max(0, top); y < Math.min(height, bottom); y++) {
+        var ty = Math.min(tip.width - 1, Math.floor((y - top + 0.5) / size * tip.width));
+        for(var x = Math.max(0, left); x < Math.min(width, right); x++) {
+            var tx = Math.min(tip.width - 1, Math.floor((x - left + 0.5) / size * tip.width));
+            var value = Math.round(tip.alpha[ty * tip.width + tx] * opacity), offset = y * width + x;
+            if(value > mask[offset]) {
+                mask[offset] = value;
+            }
+        }
+    }
+
+    var dirty = stroke.dirty;
+    stroke.dirty = dirty ? {left: Math.min(dirty.left, left), top: Math.min(dirty.top, top),
+                            right: Math.max(dirty.right, right), bottom: Math.max(dirty.bottom, bottom)} :
+                           {left: left, top: top, right: right, bottom: bottom};
+}
+
+/**
+ * Redraws the parts of the active layer changed since the last call: the changed part of the coverage mask is turned
+ * into pixels of the color, with the alpha of the color, on the buffer. Then the pixels from before the stroke are
+ * restored and the buffer is drawn over them with the opacity of the brush, inside of the current selection. With a
+ * symmetry mode the buffer is drawn once for every copy, and the changed part of every copy is redrawn.
+ *
+ * @param cx The 2DCanvasContext of the active layer.
+ * @param paint The state object of the Paint program.
+ * @param operation The ToolOperation of the stroke.
+ */
+function drawStroke(cx, paint, operation) {
+    var stroke = operation.stroke, dirty = stroke.dirty;
+    if(!dirty) return;
+    stroke.dirty = null;
+    updateStrokeBuffer(stroke, dirty);
+
+    var rects = [];
+    operation.transforms.forEach(function(transform) {
+        var rect = transformRect(dirty, transform);
+        var left = Math.max(0, rect.left), top = Math.max(0, rect.top);
+        var width = Math.min(cx.canvas.width, rect.right) - left;
+        var height = Math.min(cx.canvas.height, rect.bottom) - top;
+        if(width > 0 && height > 0) {
+            rects.push({left: left, top: top, width: width, height: height});
+        }
+    });
+    if(!rects.length) return;
+
+    cx.save();
+    cx.beginPath();
+    rects.forEach(function(rect) {
+        cx.putImageData(stroke.base, 0, 0, rect.left, rect.top, rect.width, rect.height);
+        cx.rect(rect.left, rect.top, rect.width, rect.height);
+    });
+    cx.clip();
+    paint.selection.draw(cx, function() {
+        operation.mirror(cx, function() {
+            cx.globalAlpha = Math.max(0, Math.min(1, stroke.brush.opacity));
+            cx.globalCompositeOperation = stroke.erase ? 'destination-out' : 'source-over';
+            cx.drawImage(stroke.buffer, 0, 0);
+        });
+    });
+    cx.restore();
+}
+
+/**
+ * Draws a part of the coverage mask of a stroke onto its buffer in the color of the stroke.
+ *
+ * @param stroke The stroke object created by the beginStroke function.
+ * @param dirty The part of the mask to draw {{left: number, top: number, right: number, bottom: number}}.
+ */
+function updateStrokeBuffer(stroke, dirty) {
+    var width = stroke.buffer.width, color = stroke.color;
+    var left = Math.max(0, dirty.left), top = Math.max(0, dirty.top);
+    var right = Math.min(width, dirty.right), bottom = Math.min(stroke.buffer.height, dirty.bottom);
+    if(right <= left || bottom <= top) return;
+
+    var image = stroke.bcx.createImageData(right - left, bottom - top), data = image.data, offset = 0;
+    for(var y = top; y < bottom; y++) {
+        for(var x = left; x < right; x++, offset += 4) {
+            data[offset] = color.r;
+            data[offset + 1] = color.g;
+            data[offset + 2] = color.b;
+            data[offset + 3] = stroke.mask[y * width + x] * color.a / 255;
+        }
+    }
+    stroke.bcx.putImageData(image, left, top);
+}
+
+/**
+ * The brushOptions function creates the form controls for the settings of the brush used by the Line and Erase tools:
+ * sliders for the opacity, hardness, spacing and smoothing, and a select for the tip, with a file input to load an
+ * image as a custom tip. The controls show the settings of the preset chosen next to the brush size.
+ *
+ * @param cx The 2DCanvasContext for the canvas element of the Paint UI.
+ * @param paint The state object of the Paint program.
+ * @returns {Element} The DOM Element holding the options, shown while the Line or Erase tool is selected.
+ */
+function brushOptions(cx, paint) {
+    var sliders = [];
+    function slider(name, label, min, max) {
+        var input = createElement('input', {type: 'range', min: min, max: max});
+        var percent = createElement('span');
+        input.addEventListener('input', function() {
+            var changes = {};
+            changes[name] = input.value / 100;
+            setBrushOptions(paint, changes);
+        });
+        sliders.push(function() {
+            input.value = Math.round(paint.brush[name] * 100);
+            percent.textContent = input.value + '%';
+        });
+        return createElement('label', null, ' ' + label + ': ', input, percent);
+    }
+
+    var tip = createElement('select', null,
+        createElement('option', {value: 'round'}, 'Round'),
+        createElement('option', {value: 'flat'}, 'Flat'));
+    var custom = createElement('option', {value: 'custom'}, 'Image');
+    var file = createElement('input', {type: 'file', accept: 'image/*'});
+    var message = createElement('span', {class: 'error'});
+    tip.addEventListener('change', function() {
+        setBrushOptions(paint, {tip: tip.value == 'custom' ? custom.tip : tip.value});
+    });
+    file.addEventListener('change', function() {
+        if(!file.files.length) return;
+        var image = document.createElement('img');
+        var url = URL.createObjectURL(file.files[0]);
+        image.addEventListener('load', function() {
+            URL.revokeObjectURL(url);
+            message.textContent = '';
+            setBrushOptions(paint, {tip: createBrushTip(image)});
+        });
+        image.addEventListener('error', function() {
+            URL.revokeObjectURL(url);
+            message.textContent = ' This file is not an image.';
+        });
+        image.src = url;
+        file.value = '';
+    });
+
+    function update() {
+        sliders.forEach(function(update) {
+            update();
+        });
+        if(typeof paint.brush.tip == 'object') {
+            custom.tip = paint.brush.tip;
+            tip.appendChild(custom);
+            tip.value = 'custom';
+        } else {
+            tip.value = paint.brush.tip;
+        }
+    }
+
+    var element = createElement('div', null, 'Brush:',
+        slider('opacity', 'Opacity', 1, 100),
+        slider('hardness', 'Hardness', 0, 100),
+        slider('spacing', 'Spacing', 1, 200),
+        slider('smoothing', 'Smoothing', 0, 95),
+        ' Tip: ', tip, ' ', createElement('label', null, 'Load tip: ', file), message);
+    paint.events.on('brushchange', update);
+    update();
+    return element;
+}
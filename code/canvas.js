@@ -0,0 +1,355 @@
+/**
+ * The imageMenu object holds the commands of the Image menu. Each command is a function(cx, paint) which receives the
+ * 2DCanvasContext of the active layer and the paint state object.
+ */
+var imageMenu = Object.create(null);
+
+/**
+ * The largest width or height of a picture in pixels. Browsers refuse to create larger canvases.
+ */
+var maxPictureSize = 16384;
+
+/**
+ * The transformPicture function changes the size of the picture and redraws the pixels of every layer in a new
+ * position, such as scaled, rotated or flipped. Every frame of an animation is changed alike, since the frames share
+ * the size of the picture. The operation is recorded in the history as a single step and the selection is cleared,
+ * since it no longer matches the pixels. Each layer is resized with the resizeCanvas function, so the fillStyle,
+ * strokeStyle and lineWidth of the tools are preserved.
+ *
+ * @param paint The state object of the Paint program.
+ * @param name A name describing the operation. Example: 'Flip horizontal'.
+ * @param width The new width of the picture in pixels.
+ * @param height The new height of the picture in pixels.
+ * @param draw A function(cx, canvas) which draws a copy of a layer's old canvas onto the layer's resized context.
+ */
+function transformPicture(paint, name, width, height, draw) {
+    var layers = paint.layers;
+    paint.history.recordDocument(name, function() {
+        layers.forEachFrame(function() {
+            var copies = layers.layers.map(function(layer) {
+                return copyCanvas(layer.canvas);
+            });
+            layers.resize(width, height);
+            layers.layers.forEach(function(layer, i) {
+                var cx = layer.context();
+                cx.save();
+                draw(cx, copies[i]);
+                cx.restore();
+            });
+        });
+    });
+    paint.selection.clear();
+}
+
+/**
+ * Crops the picture to a rectangle.
+ *
+ * @param paint The state object of the Paint program.
+ * @param rect A rectangle coordinate object in canvas pixels.
+ */
+function cropPicture(paint, rect) {
+    transformPicture(paint, 'Crop', rect.width, rect.height, function(cx, canvas) {
+        cx.drawImage(canvas, -rect.left, -rect.top);
+    });
+}
+
+/**
+ * Rotates the picture clockwise around its center. The picture is enlarged so that the rotated pixels fit inside of
+ * it, which swaps its width and height for rotations by 90 degrees. Nothing is changed when the enlarged picture
+ * would be larger than the maxPictureSize.
+ *
+ * @param paint The state object of the Paint program.
+ * @param degrees The angle of the rotation in degrees.
+ * @returns {boolean} A boolean indicating if the picture was rotated.
+ */
+function rotatePicture(paint, degrees) {
+    var angle = degrees * Math.PI / 180;
+    var width = paint.layers.width(), height = paint.layers.height();
+    var cos = Math.abs(Math.cos(angle)), sin = Math.abs(Math.sin(angle));
+    var newWidth = Math.ceil(width * cos + height * sin - 1e-9);
+    var newHeight = Math.ceil(width * sin + height * cos - 1e-9);
+    if(newWidth > maxPictureSize || newHeight > maxPictureSize) return false;
+
+    transformPicture(paint, 'Rotate ' + degrees + '°', newWidth, newHeight, function(cx, canvas) {
+        cx.translate(newWidth / 2, newHeight / 2);
+        cx.rotate(angle);
+        cx.drawImage(canvas, -width / 2, -height / 2);
+    });
+    return true;
+}
+
+/**
+ * Mirrors the picture.
+ *
+ * @param paint The state object of the Paint program.
+ * @param horizontal A boolean indicating if the picture is flipped from left to right instead of from top to bottom.
+ */
+function flipPicture(paint, horizontal) {
+    var width = paint.layers.width(), height = paint.layers.height();
+    transformPicture(paint, horizontal ? 'Flip horizontal' : 'Flip vertical', width, height, function(cx, canvas) {
+        cx.translate(horizontal ? width : 0, horizontal ? 0 : height);
+        cx.scale(horizontal ? -1 : 1, horizontal ? 1 : -1);
+        cx.drawImage(canvas, 0, 0);
+    });
+}
+
+/**
+ * Replaces the picture with a single empty layer of a new size, dropping the other frames of an animation. The
+ * operation is recorded in the history, and the new picture is autosaved as a new document.
+ *
+ * @param paint The state object of the Paint program.
+ * @param width The width of the new picture in pixels.
+ * @param height The height of the new picture in pixels.
+ * @param background An optional color string the layer is filled with. By default the layer is transparent.
+ */
+function newPicture(paint, width, height, background) {
+    var layers = paint.layers;
+    paint.history.recordDocument('New image', function() {
+        layers.removeFrames();
+        var layer = layers.layers[0];
+        layers.setState({
+            layers: [layer],
+            active: layer,
+            properties: [{name: 'Background', visible: true, locked: false, opacity: 1, blendMode: 'source-over'}]
+        });
+        layers.resize(width, height);
+        if(background) {
+            var cx = layer.context();
+            cx.save();
+            cx.fillStyle = background;
+            cx.fillRect(0, 0, width, height);
+            cx.restore();
+        }
+    });
+    paint.selection.clear();
+    paint.documentId = null;
+    paint.projectName = null;
+}
+
+/**
+ * Creates a labelled number input for a size in pixels.
+ *
+ * @param label The text of the label.
+ * @param value The initial value.
+ * @returns {Element} The input element, wrapped in a label by its parentNode.
+ */
+function sizeInput(label, value) {
+    var input = createElement('input', {type: 'number', min: 1, max: maxPictureSize, value: value});
+    createElement('label', null, label + ': ', input, ' px');
+    return input;
+}
+
+/**
+ * Reads a size in pixels from an input created by the sizeInput function.
+ *
+ * @param input The input element.
+ * @returns {number} The size rounded to whole pixels, or NaN when it is not a valid picture size.
+ */
+function sizeValue(input) {
+    var value = Math.round(Number(input.value));
+    return value >= 1 && value <= maxPictureSize ? value : NaN;
+}
+
+/**
+ * Shows a dialog with OK and Cancel buttons. Pressing OK calls the onOK function, and the dialog stays open if it
+ * returns false so that invalid values can be corrected.
+ *
+ * @param title The title of the dialog.
+ * @param fields An array of elements shown in the dialog, each on its own row.
+ * @param onOK The function called when OK is pressed.
+ */
+function showFormDialog(title, fields, onOK) {
+    var ok = createElement('button', {type: 'button'}, 'OK');
+    var cancel = createElement('button', {type: 'button'}, 'Cancel');
+    var dialog = showDialog.apply(null, [title].concat(fields.map(function(field) {
+        return createElement('div', null, field);
+    }), [createElement('div', null, ok, ' ', cancel)]));
+
+    ok.addEventListener('click', function() {
+        if(onOK() !== false) {
+            dialog.close();
+        }
+    });
+    cancel.addEventListener('click', function() {
+        dialog.close();
+    });
+}
+
+imageMenu['New Image…'] = function(cx, paint) {
+    var width = sizeInput('Width', paint.layers.width());
+    var height = sizeInput('Height', paint.layers.height());
+    var background = createElement('select', null,
+        createElement('option', {value: 'white'}, 'White'),
+        createElement('option', {value: 'color'}, 'Current color'),
+        createElement('option', {value: ''}, 'Transparent'));
+
+    showFormDialog('New Image', [width.parentNode, height.parentNode,
+                                 createElement('label', null, 'Background: ', background)], function() {
+        var w = sizeValue(width), h = sizeValue(height);
+        if(isNaN(w) || isNaN(h)) return false;
+        newPicture(paint, w, h, background.value == 'color' ? cx.fillStyle : background.value);
+    });
+};
+
+/**
+ * The names of the anchor positions of the Resize Canvas dialog, row by row, mapped to how much of the added or
+ * removed space goes to the left and top of the picture.
+ */
+var resizeAnchors = {
+    'top left': {x: 0, y: 0}, 'top': {x: 0.5, y: 0}, 'top right': {x: 1, y: 0},
+    'left': {x: 0, y: 0.5}, 'center': {x: 0.5, y: 0.5}, 'right': {x: 1, y: 0.5},
+    'bottom left': {x: 0, y: 1}, 'bottom': {x: 0.5, y: 1}, 'bottom right': {x: 1, y: 1}
+};
+
+imageMenu['Resize Canvas…'] = function(cx, paint) {
+    var oldWidth = paint.layers.width(), oldHeight = paint.layers.height();
+    var width = sizeInput('Width', oldWidth);
+    var height = sizeInput('Height', oldHeight);
+    var anchor = 'center';
+
+    var grid = createElement('div', {class: 'anchor'});
+    Object.keys(resizeAnchors).forEach(function(name) {
+        var radio = createElement('input', {type: 'radio', name: 'anchor', title: name});
+        radio.checked = name == anchor;
+        radio.addEventListener('change', function() {
+            anchor = name;
+        });
+        grid.appendChild(radio);
+    });
+
+    showFormDialog('Resize Canvas', [width.parentNode, height.parentNode, 'Anchor:', grid], function() {
+        var w = sizeValue(width), h = sizeValue(height);
+        if(isNaN(w) || isNaN(h)) return false;
+        var left = Math.round((w - oldWidth) * resizeAnchors[anchor].x);
+        var top = Math.round((h - oldHeight) * resizeAnchors[anchor].y);
+        transformPicture(paint, 'Resize canvas', w, h, function(cx, canvas) {
+            cx.drawImage(canvas, left, top);
+        });
+    });
+};
+
+imageMenu['Scale Image…'] = function(cx, paint) {
+    var oldWidth = paint.layers.width(), oldHeight = paint.layers.height();
+    var width = sizeInput('Width', oldWidth);
+    var height = sizeInput('Height', oldHeight);
+    var keepRatio = createElement('input', {type: 'checkbox'});
+    keepRatio.checked = true;
+    var resampling = createElement('select', null,
+        createElement('option', {value: 'smooth'}, 'Smooth'),
+        createElement('option', {value: 'nearest'}, 'Nearest neighbor'));
+
+    width.addEventListener('input', function() {
+        if(keepRatio.checked && sizeValue(width)) {
+            height.value = Math.max(1, Math.round(sizeValue(width) * oldHeight / oldWidth));
+        }
+    });
+    height.addEventListener('input', function() {
+        if(keepRatio.checked && sizeValue(height)) {
+            width.value = Math.max(1, Math.round(sizeValue(height) * oldWidth / oldHeight));
+        }
+    });
+
+    showFormDialog('Scale Image', [width.parentNode, height.parentNode,
+                                   createElement('label', null, keepRatio, 'Keep aspect ratio'),
+                                   createElement('label', null, 'Resampling: ', resampling)], function() {
+        var w = sizeValue(width), h = sizeValue(height);
+        if(isNaN(w) || isNaN(h)) return false;
+        transformPicture(paint, 'Scale image', w, h, function(cx, canvas) {
+            cx.imageSmoothingEnabled = resampling.value == 'smooth';
+            cx.imageSmoothingQuality = 'high';
+            cx.drawImage(canvas, 0, 0, w, h);
+        });
+    });
+};
+
+imageMenu['Crop to Selection'] = function(cx, paint) {
+    if(!paint.selection.isEmpty()) {
+        cropPicture(paint, paint.selection.bounds);
+    }
+};
+
+imageMenu['Rotate 90° Clockwise'] = function(cx, paint) {
+    rotatePicture(paint, 90);
+};
+
+imageMenu['Rotate 90° Counterclockwise'] = function(cx, paint) {
+    rotatePicture(paint, -90);
+};
+
+imageMenu['Rotate 180°'] = function(cx, paint) {
+    rotatePicture(paint, 180);
+};
+
+imageMenu['Rotate…'] = function(cx, paint) {
+    var degrees = createElement('input', {type: 'number', min: -360, max: 360, step: 'any', value: 0});
+    var message = createElement('div', {class: 'error'});
+    showFormDialog('Rotate', [createElement('label', null, 'Angle: ', degrees, '° clockwise'), message], function() {
+        var value = Number(degrees.value);
+        if(!isFinite(value)) return false;
+        if(value % 360 && !rotatePicture(paint, value)) {
+            message.textContent = 'The rotated picture would be larger than ' + maxPictureSize + ' pixels.';
+            return false;
+        }
+    });
+};
+
+imageMenu['Flip Horizontal'] = function(cx, paint) {
+    flipPicture(paint, true);
+};
+
+imageMenu['Flip Vertical'] = function(cx, paint) {
+    flipPicture(paint, false);
+};
+
+/**
+ * The Crop tool drags out a rectangle and crops the picture to it when the mouse is released. While dragging, the
+ * parts of the picture which will be cropped away are darkened on the overlay canvas.
+ */
+tools.Crop = {
+    cursor: 'crosshair',
+    down: function(event, cx, paint, operation) {
+        operation.from = this.position(event, cx.canvas);
+        operation.rect = rectangleFromPoints(operation.from, operation.from);
+    },
+    move: function(event, cx, paint, operation) {
+        var canvas = cx.canvas;
+        var rect = operation.rect = rectangleFromPoints(operation.from, this.position(event, canvas));
+        var ocx = clearOverlay(paint.overlay, canvas);
+        ocx.fillStyle = 'rgba(0, 0, 0, 0.5)';
+        ocx.fillRect(0, 0, canvas.width, canvas.height);
+        ocx.clearRect(rect.left, rect.top, rect.width, rect.height);
+    },
+    up: function(event, cx, paint, operation) {
+        var rect = operation.rect;
+        if(rect.width && rect.height) {
+            cropPicture(paint, rect);
+        }
+    },
+    position: function(event, canvas) {
+        var pos = relativePos(event, canvas);
+        return {x: Math.max(0, Math.min(canvas.width, pos.x)), y: Math.max(0, Math.min(canvas.height, pos.y))};
+    }
+};
+
+/**
+ * The image control constructor creates the Image menu as a select form control with an option for each command in
+ * the imageMenu object. Choosing an option runs its command and resets the menu.
+ *
+ * @param cx The 2DCanvasContext for the canvas element of the Paint UI.
+ * @param paint The state object of the Paint program.
+ * @returns {Element} The DOM Element for the image control to be added to the toolbar UI.
+ */
+controls.image = function(cx, paint) {
+    var select = createElement('select', null, createElement('option', {value: ''}, 'Image…'));
+    for(var name in imageMenu) {
+        select.appendChild(createElement('option', null, name));
+    }
+    select.addEventListener('change', function() {
+        var command = imageMenu[select.value];
+        select.value = '';
+        if(command) {
+            command(cx, paint);
+        }
+    });
+    return createElement('span', null, select);
+};
@@ -0,0 +1,624 @@
+/**
+ * Collaboration lets several people draw on the same picture. Everyone connects to a relay server, such as the one in
+ * server/relay.js, over a WebSocket and joins a room. Every completed tool operation is sent to the server as the
+ * command captured by the recorder, and every other change of the picture, such as adding a layer or an Image menu
+ * operation, is sent as a 'document' command holding the project of the whole picture. The server numbers the
+ * commands in the order it receives them and sends them to everyone in the room, the sender included, so that all
+ * pictures apply the same commands in the same order.
+ *
+ * The operations of the user are shown right away. Until the server has numbered them they are pending: when a command
+ * of someone else arrives first, the picture is returned to the last confirmed state, the other command is applied,
+ * and the pending operations are applied again on top of it. Since the picture changes underneath the steps of the
+ * history, undo and redo are turned off while collaborating.
+ *
+ * The messages are JSON objects with a type. The client sends:
+ *
+ *   hello     {name, room} joins a room.
+ *   command   {id, command} sends a command. The id is counted by the client.
+ *   cursor    {x, y} shows the position of the pointer in picture pixels to the others, or hides it when x is null.
+ *   snapshot  {seq, project} answers a snapshot request with the project of the confirmed picture after the command
+ *             numbered seq.
+ *
+ * The server sends:
+ *
+ *   welcome           {user, users, seq, waiting} with the id of the user, the others in the room as {id, name}
+ *                     objects and the number of the last command. When waiting is true the picture is replaced by a
+ *                     snapshot of the room, otherwise the picture of the user becomes the picture of the room.
+ *   join, leave       {user} when someone joins or leaves the room. The user of join is an {id, name} object.
+ *   command           {seq, user, id, command} a numbered command.
+ *   cursor            {user, x, y} the pointer of someone else.
+ *   snapshot-request  {} asks for a snapshot for people who joined.
+ *   snapshot          {seq, project} the picture of the room for people who joined, followed by the commands after
+ *                     seq. The project is null when nobody could send one.
+ */
+
+/**
+ * The shortest time in milliseconds between two cursor messages.
+ */
+var cursorInterval = 50;
+
+/**
+ * The Collaboration object keeps the picture in sync with a room of the relay server. Messages which change the
+ * picture are queued, and applied once no operation of the user is in progress.
+ *
+ * @param cx The 2DCanvasContext of the active layer.
+ * @param paint The state object of the Paint program.
+ * @param url The WebSocket URL of the relay server.
+ * @param room The name of the room.
+ * @param name The name shown to the others.
+ */
+function Collaboration(cx, paint, url, room, name) {
+    this.cx = cx;
+    this.paint = paint;
+    this.room = room;
+    this.name = name;
+    this.user = null;
+    this.users = Object.create(null);
+    this.joined = false;
+    this.closed = false;
+    this.error = null;
+    this.seq = 0;
+    this.confirmed = null;
+    this.pending = [];
+    this.queue = [];
+    this.lastId = 0;
+    this.applying = false;
+    this.snapshotRequested = false;
+    this.joinDialog = null;
+    this.listeners = [];
+    this.cursors = createElement('div', {class: 'cursors'});
+    paint.viewport.panel.appendChild(this.cursors);
+
+    var collaboration = this;
+    try {
+        this.socket = new WebSocket(url);
+    } catch(e) {
+        this.socket = null;
+        this.close('The server address is not valid.');
+        return;
+    }
+    this.socket.addEventListener('open', function() {
+        collaboration.send({type: 'hello', name: name, room: room});
+    });
+    this.socket.addEventListener('message', function(event) {
+        var message;
+        try {
+            message = JSON.parse(event.data);
+        } catch(e) {
+            return;
+        }
+        collaboration.receive(message);
+    });
+    this.socket.addEventListener('close', function() {
+        collaboration.close(collaboration.user === null ? 'Could not connect to the server.' :
+                            'The connection to the server was lost.');
+    });
+}
+
+/**
+ * Registers a function that is called whenever the people in the room or the state of the connection change.
+ *
+ * @param listener The function to call when the collaboration changes.
+ */
+Collaboration.prototype.onChange = function(listener) {
+    this.listeners.push(listener);
+};
+
+/**
+ * Calls every listener registered with the onChange method.
+ */
+Collaboration.prototype.notify = function() {
+    var collaboration = this;
+    this.listeners.forEach(function(listener) {
+        listener(collaboration);
+    });
+};
+
+/**
+ * Sends a message to the server, if it is connected.
+ *
+ * @param message The message object.
+ */
+Collaboration.prototype.send = function(message) {
+    if(this.socket && this.socket.readyState == WebSocket.OPEN) {
+        this.socket.send(JSON.stringify(message));
+    }
+};
+
+/**
+ * Leaves the room.
+ */
+Collaboration.prototype.leave = function() {
+    this.close(null);
+};
+
+/**
+ * Closes the connection and turns the history back on. The picture is kept as it is.
+ *
+ * @param error A message describing why the connection was closed, or null when the user left.
+ */
+Collaboration.prototype.close = function(error) {
+    if(this.closed) return;
+    this.closed = true;
+    this.error = error;
+    if(this.socket) {
+        this.socket.close();
+    }
+    if(this.cursors.parentNode) {
+        this.cursors.parentNode.removeChild(this.cursors);
+    }
+    if(this.joinDialog) {
+        this.joinDialog.close();
+    }
+    this.paint.history.setEnabled(true);
+    this.notify();
+};
+
+/**
+ * Handles a message from the server.
+ *
+ * @param message The message object.
+ */
+Collaboration.prototype.receive = function(message) {
+    var collaboration = this;
+    if(message.type == 'welcome') {
+        this.user = message.user;
+        message.users.forEach(function(user) {
+            collaboration.addUser(user);
+        });
+        this.paint.history.setEnabled(false);
+        if(message.waiting) {
+            this.showJoinDialog();
+        } else {
+            this.confirm(message.seq);
+            this.joined = true;
+        }
+        this.notify();
+    } else if(message.type == 'join') {
+        this.addUser(message.user);
+        this.notify();
+    } else if(message.type == 'leave') {
+        this.removeUser(message.user);
+        this.notify();
+    } else if(message.type == 'cursor') {
+        this.moveCursor(message.user, message.x, message.y);
+    } else if(message.type == 'snapshot-request') {
+        this.snapshotRequested = true;
+        this.process();
+    } else if(message.type == 'snapshot' || message.type == 'command') {
+        this.prepare(message);
+        this.queue.push(message);
+        this.process();
+    }
+};
+
+/**
+ * Checks a message which changes the picture before it is queued, and starts decoding the images of a project. The
+ * message is ready to be applied once its images are decoded. When it can not be applied, its error property holds
+ * the reason.
+ *
+ * @param message A snapshot or command message.
+ */
+Collaboration.prototype.prepare = function(message) {
+    var project = message.type == 'snapshot' ? message.project : message.command && message.command.project;
+    message.ready = true;
+    try {
+        if(message.type == 'command' && message.command.type != 'document') {
+            var command = message.command, layers = this.paint.layers;
+            validateToolCommand(command, this.paint.tools);
+            // Every other person applies the command too, so nothing in it may hang or fill the memory.
+            command.params.options = cleanRecorderOptions(command.params.options);
+            if(command.selection && !isMaskRuns(command.selection, layers.width() * layers.height())) {
+                throw new Error('has an invalid selection.');
+            }
+        } else if(project) {
+            validateProject(project);
+        }
+    } catch(e) {
+        message.error = e.message;
+        return;
+    }
+    if(!project || this.isOwn(message)) return;
+
+    var collaboration = this;
+    message.ready = false;
+    loadProjectImages(project, function(error, images) {
+        message.ready = true;
+        message.images = images;
+        message.error = error && error.message;
+        collaboration.process();
+    });
+};
+
+/**
+ * @param message A command message.
+ * @returns {boolean} A boolean indicating if the message is the first pending operation of the user coming back.
+ */
+Collaboration.prototype.isOwn = function(message) {
+    return message.type == 'command' && message.user == this.user && this.pending.length > 0 &&
+           this.pending[0].id == message.id;
+};
+
+/**
+ * @returns {boolean} A boolean indicating if the user is in the middle of changing the picture, in which case the
+ * picture must not be changed underneath them.
+ */
+Collaboration.prototype.busy = function() {
+    return !!(this.paint.recorder.command || this.paint.history.pending);
+};
+
+/**
+ * Applies the queued messages in order, as long as the user is not busy and the next message is ready. A snapshot
+ * requested by the server is sent once every queued message is applied.
+ */
+Collaboration.prototype.process = function() {
+    while(!this.closed && !this.busy()) {
+        if(this.queue.length) {
+            if(!this.queue[0].ready) return;
+            var message = this.queue.shift();
+            if(message.type == 'snapshot') {
+                this.applySnapshot(message);
+            } else {
+                this.applySequenced(message);
+            }
+        } else {
+            if(this.snapshotRequested && this.joined) {
+                this.sendSnapshot();
+            }
+            return;
+        }
+    }
+};
+
+/**
+ * Makes the current picture the confirmed state of the room after the command numbered seq.
+ *
+ * @param seq The number of the last applied command.
+ */
+Collaboration.prototype.confirm = function(seq) {
+    this.confirmed = this.paint.layers.snapshot();
+    this.seq = seq;
+};
+
+/**
+ * Changes the confirmed picture and applies the pending operations again on top of it. The active layer and the
+ * selection of the user are kept.
+ *
+ * @param change A function which changes the picture. It is called with the confirmed picture in place.
+ */
+Collaboration.prototype.rebase = function(change) {
+    var collaboration = this, paint = this.paint, layers = paint.layers, selection = paint.selection;
+    var active = layers.layers.indexOf(layers.active());
+    var mask = selection.isEmpty() ? null : selection.mask;
+
+    this.applying = true;
+    try {
+        if(this.pending.length) {
+            layers.restore(this.confirmed);
+        }
+        change();
+        this.pending.forEach(function(operation) {
+            collaboration.applyOperation(operation);
+        });
+        layers.activate(layers.layers[Math.max(0, Math.min(active, layers.layers.length - 1))]);
+        if(mask && mask.length == layers.width() * layers.height()) {
+            selection.set(mask);
+        } else if(!selection.isEmpty()) {
+            selection.clear();
+        }
+    } finally {
+        // Changes of the user would no longer be shared if a failed command left this set.
+        this.applying = false;
+    }
+};
+
+/**
+ * Applies a pending operation of the user again.
+ *
+ * @param operation The pending operation {{id: number, command: Object, result: Object}}. Document operations keep
+ * the snapshot of the picture they created as their result.
+ */
+Collaboration.prototype.applyOperation = function(operation) {
+    if(operation.result) {
+        this.paint.layers.restore(operation.result);
+    } else {
+        applyCommand(this.cx, this.paint, operation.command);
+    }
+};
+
+/**
+ * Applies a numbered command from the server.
+ *
+ * @param message The command message.
+ */
+Collaboration.prototype.applySequenced = function(message) {
+    var collaboration = this, paint = this.paint;
+    var operation = this.isOwn(message) ? this.pending.shift() : null;
+    if(operation && !this.pending.length) {
+        // The picture already shows the operation on top of the confirmed picture.
+        this.confirm(message.seq);
+        return;
+    }
+    if(!operation && message.error) {
+        this.reportError((this.userName(message.user) || 'Someone') + ' made a change which can not be shown: ' +
+                         message.error);
+    }
+
+    this.rebase(function() {
+        if(operation) {
+            collaboration.applyOperation(operation);
+        } else if(!message.error) {
+            if(message.command.type == 'document') {
+                setProjectLayers(paint, message.command.project, message.images);
+            } else {
+                applyCommand(collaboration.cx, paint, message.command);
+            }
+        }
+        collaboration.confirm(message.seq);
+    });
+};
+
+/**
+ * Replaces the picture with the snapshot of the room after joining it.
+ *
+ * @param message The snapshot message.
+ */
+Collaboration.prototype.applySnapshot = function(message) {
+    if(message.error) {
+        this.reportError('The picture of the room can not be shown: ' + message.error);
+    } else if(message.project) {
+        setProjectLayers(this.paint, message.project, message.images);
+        this.paint.selection.clear();
+    }
+    this.confirm(message.seq);
+    this.joined = true;
+    if(this.joinDialog) {
+        var dialog = this.joinDialog;
+        this.joinDialog = null;
+        dialog.close();
+    }
+    this.notify();
+};
+
+/**
+ * Sends the confirmed picture to the server, which passes it on to the people who joined.
+ */
+Collaboration.prototype.sendSnapshot = function() {
+    var collaboration = this, project = null;
+    this.snapshotRequested = false;
+    this.rebase(function() {
+        try {
+            project = createProject(collaboration.cx, collaboration.paint);
+        } catch(e) {
+            // A picture containing an image from another website can not be read, so the others start without it.
+        }
+    });
+    this.send({type: 'snapshot', seq: this.seq, project: project});
+};
+
+/**
+ * Sends a completed operation of the user and keeps it as pending until the server returns it.
+ *
+ * @param command The tool command, or a document command {{type: 'document', project: Object}}.
+ * @param result For document commands, a snapshot of the picture created by the operation.
+ */
+Collaboration.prototype.submit = function(command, result) {
+    if(!this.joined || this.closed) return;
+    var operation = {id: ++this.lastId, command: command, result: result};
+    this.pending.push(operation);
+    this.send({type: 'command', id: operation.id, command: command});
+    this.process();
+};
+
+/**
+ * Called whenever a step is pushed to the history. Changes which are not tool operations, and which were not made by
+ * applying the commands of others, are sent as document commands.
+ */
+Collaboration.prototype.documentChanged = function() {
+    if(this.applying || this.paint.recorder.command || !this.joined) return;
+    try {
+        var project = createProject(this.cx, this.paint);
+    } catch(e) {
+        this.reportError("The change can not be shared, the picture contains an image from another website.");
+        return;
+    }
+    this.submit({type: 'document', project: project}, this.paint.layers.snapshot());
+};
+
+/**
+ * Shows an error without closing the connection.
+ *
+ * @param error The error message.
+ */
+Collaboration.prototype.reportError = function(error) {
+    this.error = error;
+    this.notify();
+};
+
+/**
+ * Shows a modal dialog while the picture of the room is received, which leaves the room when it is cancelled.
+ */
+Collaboration.prototype.showJoinDialog = function() {
+    var collaboration = this;
+    var cancel = createElement('button', {type: 'button'}, 'Cancel');
+    var dialog = this.joinDialog = showDialog('Joining ' + this.room + '…',
+        'Receiving the picture from the others in the room.', createElement('div', null, cancel));
+    cancel.addEventListener('click', function() {
+        dialog.close();
+    });
+    dialog.addEventListener('close', function() {
+        if(collaboration.joinDialog == dialog) {
+            collaboration.joinDialog = null;
+            collaboration.leave();
+        }
+    });
+};
+
+/**
+ * Adds someone to the list of people in the room, with a cursor showing where their pointer is.
+ *
+ * @param user The {{id: number, name: string}} object of the user.
+ */
+Collaboration.prototype.addUser = function(user) {
+    var color = 'hsl(' + (user.id * 137 % 360) + ', 70%, 40%)';
+    var cursor = createElement('div', {class: 'cursor'}, user.name);
+    setStyle(cursor, {color: color, borderColor: color, display: 'none'});
+    this.cursors.appendChild(cursor);
+    this.users[user.id] = {name: user.name, cursor: cursor};
+};
+
+/**
+ * Removes someone from the list of people in the room.
+ *
+ * @param id The id of the user.
+ */
+Collaboration.prototype.removeUser = function(id) {
+    var user = this.users[id];
+    if(user) {
+        this.cursors.removeChild(user.cursor);
+        delete this.users[id];
+    }
+};
+
+/**
+ * @param id The id of a user.
+ * @returns {string} The name of the user, or undefined for users who are not in the room.
+ */
+Collaboration.prototype.userName = function(id) {
+    return this.users[id] && this.users[id].name;
+};
+
+/**
+ * Moves the cursor of someone else.
+ *
+ * @param id The id of the user.
+ * @param x The position of the pointer in picture pixels, or null to hide the cursor.
+ * @param y The position of the pointer in picture pixels.
+ */
+Collaboration.prototype.moveCursor = function(id, x, y) {
+    var user = this.users[id], layers = this.paint.layers;
+    if(!user) return;
+    if(typeof x != 'number' || typeof y != 'number') {
+        setStyle(user.cursor, {display: 'none'});
+        return;
+    }
+    setStyle(user.cursor, {
+        display: '',
+        left: (x + 0.5) / layers.width() * 100 + '%',
+        top: (y + 0.5) / layers.height() * 100 + '%'
+    });
+};
+
+/**
+ * The collaborate control constructor creates a Collaborate button, which asks for the address of a relay server, a
+ * room and a name and joins the room, and shows the people in the room while connected. The button leaves the room
+ * again. The collaboration is kept as the collaboration property of the paint state object.
+ *
+ * @param cx The 2DCanvasContext for the canvas element of the Paint UI.
+ * @param paint The state object of the Paint program.
+ * @returns {Element} The DOM Element for the collaborate control to be added to the toolbar UI.
+ */
+controls.collaborate = function(cx, paint) {
+    var button = createElement('button', {type: 'button'});
+    var status = createElement('small');
+    var options = {
+        url: /^https?:$/.test(location.protocol) ?
+            location.protocol.replace('http', 'ws') + '//' + location.host + '/' : 'ws://localhost:8080/',
+        room: 'sketch',
+        name: 'Guest'
+    };
+    paint.collaboration = null;
+
+    function update(collaboration) {
+        var connected = collaboration && !collaboration.closed;
+        button.textContent = connected ? 'Leave' : 'Collaborate…';
+        if(!collaboration) {
+            status.textContent = '';
+        } else if(collaboration.error) {
+            status.textContent = ' ' + collaboration.error;
+        } else if(!connected) {
+            status.textContent = ' Left ' + collaboration.room;
+        } else if(!collaboration.joined) {
+            status.textContent = ' Joining ' + collaboration.room + '…';
+        } else {
+            var names = [collaboration.name];
+            for(var id in collaboration.users) {
+                names.push(collaboration.users[id].name);
+            }
+            status.textContent = ' ' + collaboration.room + ': ' + names.join(', ');
+        }
+    }
+    update(null);
+
+    function join(url, room, name) {
+        var collaboration = paint.collaboration = new Collaboration(cx, paint, url, room, name);
+        collaboration.onChange(update);
+        update(collaboration);
+    }
+
+    button.addEventListener('click', function() {
+        if(paint.collaboration && !paint.collaboration.closed) {
+            paint.collaboration.leave();
+            return;
+        }
+        var url = createElement('input', {type: 'url', value: options.url, size: 30});
+        var room = createElement('input', {type: 'text', value: options.room});
+        var name = createElement('input', {type: 'text', value: options.name});
+        var message = createElement('div', {class: 'error'});
+        showFormDialog('Collaborate', [
+            createElement('label', null, 'Server: ', url),
+            createElement('label', null, 'Room: ', room),
+            createElement('label', null, 'Your name: ', name),
+            'Everyone in the room draws on the same picture. When others are already in the room, your picture is ' +
+            'replaced by theirs. Undo is not available while collaborating.',
+            message
+        ], function() {
+            if(!/^wss?:\/\/./.test(url.value.trim())) {
+                message.textContent = 'The server address must start with ws:// or wss://.';
+                return false;
+            }
+            if(!room.value.trim() || !name.value.trim()) {
+                message.textContent = 'Enter a room and your name.';
+                return false;
+            }
+            options.url = url.value.trim();
+            options.room = room.value.trim();
+            options.name = name.value.trim();
+            join(options.url, options.room, options.name);
+        });
+    });
+
+    paint.recorder.onChange(function(recorder, command) {
+        var collaboration = paint.collaboration;
+        if(collaboration && command) {
+            collaboration.submit(command);
+        }
+    });
+    paint.history.onChange(function(history, action) {
+        var collaboration = paint.collaboration;
+        if(collaboration && action == 'push') {
+            collaboration.documentChanged();
+        }
+    });
+
+    var lastCursor = 0;
+    paint.viewport.panel.addEventListener('pointermove', function(event) {
+        var collaboration = paint.collaboration;
+        if(!collaboration || !collaboration.joined || event.timeStamp - lastCursor < cursorInterval) return;
+        lastCursor = event.timeStamp;
+        var pos = relativePos(event, cx.canvas);
+        collaboration.send({type: 'cursor', x: pos.x, y: pos.y});
+    });
+    paint.viewport.panel.addEventListener('pointerleave', function() {
+        if(paint.collaboration && paint.collaboration.joined) {
+            paint.collaboration.send({type: 'cursor', x: null, y: null});
+        }
+    });
+    paint.events.on('destroy', function() {
+        if(paint.collaboration) {
+            paint.collaboration.leave();
+        }
+    });
+
+    return createElement('div', null, button, status);
+};
@@ -0,0 +1,467 @@
+/**
+ * The number of colors kept in the recent colors of the paint state object.
+ */
+var maxRecentColors = 12;
+
+/**
+ * The color models which can be used to enter a color in the color panel. Each model has the labels and largest
+ * values of its three channels, and converts colors to and from the values.
+ */
+var colorModels = {
+    HSV: {
+        channels: [['H', 360], ['S', 100], ['V', 100]],
+        values: function(color) {
+            var hsv = color.toHSV();
+            return [hsv.h, hsv.s * 100, hsv.v * 100];
+        },
+        color: function(values, alpha) {
+            return Color.fromHSV(values[0], values[1] / 100, values[2] / 100, alpha);
+        }
+    },
+    HSL: {
+        channels: [['H', 360], ['S', 100], ['L', 100]],
+        values: function(color) {
+            var hsl = color.toHSL();
+            return [hsl.h, hsl.s * 100, hsl.l * 100];
+        },
+        color: function(values, alpha) {
+            return Color.fromHSL(values[0], values[1] / 100, values[2] / 100, alpha);
+        }
+    },
+    RGB: {
+        channels: [['R', 255], ['G', 255], ['B', 255]],
+        values: function(color) {
+            return [color.r, color.g, color.b];
+        },
+        color: function(values, alpha) {
+            return new Color(values[0], values[1], values[2], alpha);
+        }
+    }
+};
+
+/**
+ * Swaps the primary and the secondary color of the paint state object.
+ *
+ * @param paint The state object of the Paint program.
+ */
+function swapColors(paint) {
+    var color = paint.color;
+    paint.setColor(paint.secondaryColor);
+    paint.setSecondaryColor(color);
+}
+
+/**
+ * Moves a color to the front of the recent colors of the paint state object, and emits a recentcolorschange event.
+ *
+ * @param paint The state object of the Paint program.
+ * @param color The color string.
+ */
+function addRecentColor(paint, color) {
+    var recent = paint.recentColors;
+    if(recent[0] == color) return;
+    var index = recent.indexOf(color);
+    if(index != -1) {
+        recent.splice(index, 1);
+    }
+    recent.unshift(color);
+    recent.length = Math.min(recent.length, maxRecentColors);
+    paint.events.emit('recentcolorschange', recent);
+}
+
+/**
+ * Replaces the colors of the palette and emits a palettechange event.
+ *
+ * @param paint The state object of the Paint program.
+ * @param colors An array of color strings.
+ */
+function setPalette(paint, colors) {
+    paint.palette = colors;
+    paint.events.emit('palettechange', colors);
+}
+
+/**
+ * Reads a GIMP palette file. Its first line is 'GIMP Palette', followed by optional Name and Columns lines, comments
+ * starting with '#', and one color per line as its red, green and blue values and an optional name.
+ *
+ * @param text The text of the file.
+ * @returns {Array} The colors as '#rrggbb' strings.
+ */
+function parseGPL(text) {
+    var lines = text.split(/\r?\n/);
+    if(lines[0].trim() != 'GIMP Palette') {
+        throw new Error('This file is not a GIMP palette.');
+    }
+    var colors = [];
+    lines.slice(1).forEach(function(line, i) {
+        line = line.trim();
+        if(!line || line.charAt(0) == '#' || /^(Name|Columns):/.test(line)) return;
+        var match = /^(\d+)\s+(\d+)\s+(\d+)(\s|$)/.exec(line);
+        if(!match) {
+            throw new Error('Line ' + (i + 2) + ' of the palette is not a color.');
+        }
+        colors.push(new Color(Number(match[1]), Number(match[2]), Number(match[3])).toHex());
+    });
+    return colors;
+}
+
+/**
+ * Writes a GIMP palette file. GIMP palettes have no alpha values, so transparent colors are saved as opaque colors.
+ *
+ * @param colors An array of color strings.
+ * @param name The name of the palette.
+ * @returns {string} The text of the file.
+ */
+function writeGPL(colors, name) {
+    var lines = ['GIMP Palette', 'Name: ' + name, 'Columns: 8', '#'];
+    colors.forEach(function(style) {
+        var color = Color.fromStyle(style);
+        lines.push(color.r + ' ' + color.g + ' ' + color.b + '\t' + color.toDOMString());
+    });
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * Reads an Adobe Swatch Exchange file. The file holds blocks of colors and groups of colors, and colors in the RGB,
+ * CMYK and Gray models are read. Colors in the LAB model are skipped.
+ *
+ * @param buffer The ArrayBuffer of the file.
+ * @returns {{colors: Array, skipped: number}} The colors as '#rrggbb' strings, and the number of skipped colors.
+ */
+function parseASE(buffer) {
+    var view = new DataView(buffer);
+    function check(condition) {
+        if(!condition) {
+            throw new Error('This Adobe swatch file is damaged.');
+        }
+    }
+    function byte(value) {
+        return Math.round(Math.max(0, Math.min(1, value)) * 255);
+    }
+
+    if(view.byteLength < 12 || view.getUint32(0) != 0x41534546 || view.getUint16(4) != 1) {
+        throw new Error('This file is not an Adobe swatch file.');
+    }
+    var result = {colors: [], skipped: 0};
+    var count = view.getUint32(8), offset = 12;
+    for(var i = 0; i < count; i++) {
+        check(offset + 6 <= view.byteLength);
+        var type = view.getUint16(offset), length = view.getUint32(offset + 2);
+        var start = offset + 6;
+        offset = start + length;
+        check(offset <= view.byteLength);
+        if(type != 1) continue;
+
+        check(length >= 2);
+        var model = start + 2 + view.getUint16(start) * 2;
+        check(model + 4 <= offset);
+        var name = String.fromCharCode(view.getUint8(model), view.getUint8(model + 1), view.getUint8(model + 2),
+                                       view.getUint8(model + 3));
+        var sizes = {'RGB ': 3, 'CMYK': 4, 'Gray': 1, 'LAB ': 3};
+        check(name in sizes && model + 4 + sizes[name] * 4 <= offset);
+        var values = [];
+        for(var j = 0; j < sizes[name]; j++) {
+            values.push(view.getFloat32(model + 4 + j * 4));
+        }
+
+        if(name == 'RGB ') {
+            result.colors.push(new Color(byte(values[0]), byte(values[1]), byte(values[2])).toHex());
+        } else if(name == 'CMYK') {
+            var k = 1 - values[3];
+            result.colors.push(new Color(byte((1 - values[0]) * k), byte((1 - values[1]) * k),
+                                         byte((1 - values[2]) * k)).toHex());
+        } else if(name == 'Gray') {
+            result.colors.push(new Color(byte(values[0]), byte(values[0]), byte(values[0])).toHex());
+        } else {
+            result.skipped++;
+        }
+    }
+    return result;
+}
+
+/**
+ * Writes an Adobe Swatch Exchange file with one RGB color block per color, named after the color. Swatch files have
+ * no alpha values, so transparent colors are saved as opaque colors.
+ *
+ * @param colors An array of color strings.
+ * @returns {ArrayBuffer} The file.
+ */
+function writeASE(colors) {
+    var blocks = colors.map(function(style) {
+        var color = Color.fromStyle(style);
+        return {name: color.toDOMString(), color: color};
+    });
+    var size = 12;
+    blocks.forEach(function(block) {
+        block.length = 2 + (block.name.length + 1) * 2 + 4 + 12 + 2;
+        size += 6 + block.length;
+    });
+
+    var view = new DataView(new ArrayBuffer(size));
+    view.setUint32(0, 0x41534546);
+    view.setUint16(4, 1);
+    view.setUint16(6, 0);
+    view.setUint32(8, blocks.length);
+    var offset = 12;
+    blocks.forEach(function(block) {
+        view.setUint16(offset, 1);
+        view.setUint32(offset + 2, block.length);
+        view.setUint16(offset + 6, block.name.length + 1);
+        offset += 8;
+        for(var i = 0; i < block.name.length; i++) {
+            view.setUint16(offset, block.name.charCodeAt(i));
+            offset += 2;
+        }
+        view.setUint16(offset, 0);
+        offset += 2;
+        'RGB '.split('').forEach(function(letter, i) {
+            view.setUint8(offset + i, letter.charCodeAt(0));
+        });
+        offset += 4;
+        [block.color.r, block.color.g, block.color.b].forEach(function(value) {
+            view.setFloat32(offset, value / 255);
+            offset += 4;
+        });
+        view.setUint16(offset, 2);
+        offset += 2;
+    });
+    return view.buffer;
+}
+
+/**
+ * Reads a GIMP palette or Adobe Swatch Exchange file, telling them apart by their content.
+ *
+ * @param file The File or Blob to read.
+ * @param callback A function(error, result) called with an error message, or with the result of the parseASE
+ * function.
+ */
+function readPaletteFile(file, callback) {
+    var reader = new FileReader();
+    reader.addEventListener('load', function() {
+        var bytes = new Uint8Array(reader.result), result;
+        try {
+            if(String.fromCharCode.apply(null, bytes.subarray(0, 4)) == 'ASEF') {
+                result = parseASE(reader.result);
+            } else {
+                result = {colors: parseGPL(new TextDecoder().decode(bytes)), skipped: 0};
+            }
+        } catch(e) {
+            callback(e.message);
+            return;
+        }
+        callback(null, result);
+    });
+    reader.addEventListener('error', function() {
+        callback('The file could not be read.');
+    });
+    reader.readAsArrayBuffer(file);
+}
+
+/**
+ * Creates a button showing a color. Clicking it chooses the color, and clicking it with the right mouse button
+ * chooses it as the secondary color. Shift+click is left to the caller.
+ *
+ * @param paint The state object of the Paint program.
+ * @param color The color string.
+ * @param title The tooltip of the button.
+ * @returns {Element} The button.
+ */
+function colorSwatch(paint, color, title) {
+    var swatch = createElement('button', {type: 'button', class: 'swatch', title: title});
+    swatch.style.setProperty('--swatch', color);
+    swatch.addEventListener('click', function(event) {
+        if(!event.shiftKey) {
+            paint.setColor(color);
+        }
+    });
+    swatch.addEventListener('contextmenu', function(event) {
+        event.preventDefault();
+        paint.setSecondaryColor(color);
+    });
+    return swatch;
+}
+
+/**
+ * The colorPanel function creates the color control. It shows the primary color, painted with the left mouse button,
+ * and the secondary color, painted with the right mouse button. Clicking one of them chooses which of them is edited
+ * with a color picker, the three values of the HSV, HSL or RGB color model, an alpha slider and a hexadecimal color.
+ *
+ * Below are the recent colors and the palette stored in the paint state object. Clicking a color of either chooses it
+ * as the primary color, and right-clicking it as the secondary color. Colors are added to the palette with the Add
+ * button and removed with Shift+click, and palettes can be imported from and exported to GIMP palette (.gpl) and Adobe
+ * Swatch Exchange (.ase) files.
+ *
+ * @param cx The 2DCanvasContext for the canvas element of the Paint UI.
+ * @param paint The state object of the Paint program.
+ * @returns {Element} The DOM Element for the color control to be added to the toolbar UI.
+ */
+function colorPanel(cx, paint) {
+    var target = 'color';
+    var message = createElement('span', {class: 'error'});
+
+    function current() {
+        return Color.fromStyle(paint[target]);
+    }
+    function set(color) {
+        message.textContent = '';
+        if(target == 'color') {
+            paint.setColor(color.toHex());
+        } else {
+            paint.setSecondaryColor(color.toHex());
+        }
+    }
+
+    var primary = createElement('button', {type: 'button', class: 'swatch',
+                                           title: 'Primary color (left mouse button)'});
+    var secondary = createElement('button', {type: 'button', class: 'swatch',
+                                             title: 'Secondary color (right mouse button)'});
+    var swap = createElement('button', {type: 'button', title: 'Swap the colors'}, '⇄');
+    [[primary, 'color'], [secondary, 'secondaryColor']].forEach(function(pair) {
+        pair[0].addEventListener('click', function() {
+            target = pair[1];
+            update();
+        });
+    });
+    swap.addEventListener('click', function() {
+        swapColors(paint);
+    });
+
+    var picker = createElement('input', {type: 'color'});
+    picker.addEventListener('input', function() {
+        var color = Color.fromHex(picker.value);
+        set(new Color(color.r, color.g, color.b, current().a));
+    });
+
+    var model = createElement('select');
+    for(var name in colorModels) {
+        model.appendChild(createElement('option', null, name));
+    }
+    var channels = [0, 1, 2].map(function() {
+        var input = createElement('input', {type: 'number', min: 0, step: 'any', class: 'channel'});
+        input.addEventListener('change', function() {
+            var values = channels.map(function(channel) {
+                return channel.input.value === '' ? NaN : Number(channel.input.value);
+            });
+            try {
+                set(colorModels[model.value].color(values, current().a));
+            } catch(e) {
+                update();
+            }
+        });
+        return {label: createElement('span'), input: input};
+    });
+    model.addEventListener('change', update);
+
+    var alpha = createElement('input', {type: 'range', min: 0, max: 100});
+    var percent = createElement('span');
+    alpha.addEventListener('input', function() {
+        var color = current();
+        set(new Color(color.r, color.g, color.b, alpha.value * 2.55));
+    });
+
+    var hex = createElement('input', {type: 'text', size: 9, spellcheck: 'false'});
+    hex.addEventListener('change', function() {
+        try {
+            set(Color.fromHex(hex.value));
+        } catch(e) {
+            update();
+            message.textContent = ' ' + e.message;
+        }
+    });
+
+    function update() {
+        var color = current(), values = colorModels[model.value].values(color);
+        primary.style.setProperty('--swatch', paint.color);
+        secondary.style.setProperty('--swatch', paint.secondaryColor);
+        primary.classList.toggle('active', target == 'color');
+        secondary.classList.toggle('active', target == 'secondaryColor');
+        picker.value = color.toDOMString();
+        channels.forEach(function(channel, i) {
+            var definition = colorModels[model.value].channels[i];
+            channel.label.textContent = ' ' + definition[0] + ': ';
+            channel.input.max = definition[1];
+            channel.input.value = Math.round(values[i]);
+        });
+        alpha.value = Math.round(color.a / 2.55);
+        percent.textContent = alpha.value + '%';
+        hex.value = color.toHex();
+    }
+
+    var recent = createElement('span', {class: 'swatches'});
+    function showRecent() {
+        recent.textContent = '';
+        paint.recentColors.forEach(function(color) {
+            recent.appendChild(colorSwatch(paint, color, color));
+        });
+    }
+
+    var palette = createElement('span', {class: 'swatches'});
+    function showPalette() {
+        palette.textContent = '';
+        paint.palette.forEach(function(color, i) {
+            var swatch = colorSwatch(paint, color, color + ' (Shift+click to remove)');
+            swatch.addEventListener('click', function(event) {
+                if(event.shiftKey) {
+                    setPalette(paint, paint.palette.slice(0, i).concat(paint.palette.slice(i + 1)));
+                }
+            });
+            palette.appendChild(swatch);
+        });
+    }
+    function addColors(colors) {
+        var added = colors.filter(function(color, i) {
+            return paint.palette.indexOf(color) == -1 && colors.indexOf(color) == i;
+        });
+        setPalette(paint, paint.palette.concat(added));
+        return added.length;
+    }
+
+    var add = createElement('button', {type: 'button'}, 'Add');
+    add.addEventListener('click', function() {
+        addColors([paint[target]]);
+    });
+    var file = createElement('input', {type: 'file', accept: '.gpl,.ase'});
+    file.addEventListener('change', function() {
+        if(!file.files.length) return;
+        readPaletteFile(file.files[0], function(error, result) {
+            if(error) {
+                message.textContent = ' ' + error;
+                return;
+            }
+            var added = addColors(result.colors);
+            message.textContent = ' ' + added + ' colors imported.' +
+                (result.skipped ? ' ' + result.skipped + ' LAB colors are not supported and were skipped.' : '');
+        });
+        file.value = '';
+    });
+    function exporter(label, extension, create) {
+        var button = createElement('button', {type: 'button'}, label);
+        button.addEventListener('click', function() {
+            if(!paint.palette.length) {
+                message.textContent = ' The palette is empty.';
+                return;
+            }
+            downloadBlob(new Blob([create(paint.palette)]), 'palette.' + extension);
+        });
+        return button;
+    }
+
+    paint.events.on('colorchange', update);
+    paint.events.on('secondarycolorchange', update);
+    paint.events.on('recentcolorschange', showRecent);
+    paint.events.on('palettechange', showPalette);
+    update();
+    showRecent();
+    showPalette();
+
+    return createElement('div', {class: 'color-panel'},
+        createElement('div', null, 'Color: ', primary, secondary, swap, ' ', picker, ' ', model,
+            channels[0].label, channels[0].input, channels[1].label, channels[1].input,
+            channels[2].label, channels[2].input, ' Alpha: ', alpha, percent, ' Hex: ', hex),
+        createElement('div', null, 'Recent: ', recent),
+        createElement('div', null, 'Palette: ', palette, ' ', add, ' ',
+            createElement('label', null, 'Import: ', file), ' ',
+            exporter('Export .gpl', 'gpl', function(colors) {
+                return writeGPL(colors, 'Paint');
+            }),
+            ' ', exporter('Export .ase', 'ase', writeASE), message));
+}
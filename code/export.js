@@ -0,0 +1,338 @@
+/**
+ * The exportFormats object holds the image formats the picture can be exported as. Formats without alpha can not
+ * store transparent pixels, so the picture is always flattened onto a background color for them. Formats with quality
+ * are compressed lossily. The BMP format is encoded by the program itself with the encode function, since browsers
+ * can not create BMP files.
+ */
+var exportFormats = {
+    png: {label: 'PNG', type: 'image/png', extension: 'png', alpha: true, quality: false},
+    jpeg: {label: 'JPEG', type: 'image/jpeg', extension: 'jpg', alpha: false, quality: true},
+    webp: {label: 'WebP', type: 'image/webp', extension: 'webp', alpha: true, quality: true},
+    bmp: {label: 'BMP', type: 'image/bmp', extension: 'bmp', alpha: false, quality: false, encode: encodeBMP}
+};
+
+/**
+ * Encodes an ImageData object as an uncompressed 24 bit BMP file. The alpha channel is dropped, so the image should be
+ * flattened onto a background first.
+ *
+ * @param image The ImageData object to encode.
+ * @returns {Blob} The BMP file.
+ */
+function encodeBMP(image) {
+    var width = image.width, height = image.height, data = image.data;
+    var rowSize = Math.ceil(width * 3 / 4) * 4;
+    var headerSize = 14 + 40;
+    var buffer = new ArrayBuffer(headerSize + rowSize * height);
+    var view = new DataView(buffer);
+    var bytes = new Uint8Array(buffer);
+
+    // BITMAPFILEHEADER
+    view.setUint8(0, 0x42);
+    view.setUint8(1, 0x4d);
+    view.setUint32(2, buffer.byteLength, true);
+    view.setUint32(10, headerSize, true);
+    // BITMAPINFOHEADER
+    view.setUint32(14, 40, true);
+    view.setInt32(18, width, true);
+    view.setInt32(22, height, true);
+    view.setUint16(26, 1, true);
+    view.setUint16(28, 24, true);
+    view.setUint32(34, rowSize * height, true);
+    view.setInt32(38, 2835, true);
+    view.setInt32(42, 2835, true);
+
+    // The rows are stored from the bottom of the image up, with the colors of each pixel in blue, green, red order.
+    for(var y = 0; y < height; y++) {
+        var row = headerSize + (height - 1 - y) * rowSize;
+        for(var x = 0; x < width; x++) {
+            var offset = (y * width + x) * 4;
+            bytes[row + x * 3] = data[offset + 2];
+            bytes[row + x * 3 + 1] = data[offset + 1];
+            bytes[row + x * 3 + 2] = data[offset];
+        }
+    }
+    return new Blob([buffer], {type: 'image/bmp'});
+}
+
+/**
+ * Returns the bytes of a base64 encoded data URL, such as the one returned by the toDataURL method of a canvas.
+ *
+ * @param url The data URL.
+ * @returns {Uint8Array} The decoded bytes.
+ */
+function dataURLBytes(url) {
+    var binary = atob(url.slice(url.indexOf(',') + 1));
+    var bytes = new Uint8Array(binary.length);
+    for(var i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes;
+}
+
+/**
+ * The CRC-32 lookup table used by ZIP files, created when it is first needed.
+ */
+var crcTable = null;
+
+/**
+ * Calculates the CRC-32 checksum of an array of bytes.
+ *
+ * @param bytes A Uint8Array.
+ * @returns {number} The checksum as an unsigned 32 bit integer.
+ */
+function crc32(bytes) {
+    if(!crcTable) {
+        crcTable = new Uint32Array(256);
+        for(var n = 0; n < 256; n++) {
+            var c = n;
+            for(var k = 0; k < 8; k++) {
+                c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+            }
+            crcTable[n] = c;
+        }
+    }
+    var crc = 0xffffffff;
+    for(var i = 0; i < bytes.length; i++) {
+        crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Creates a ZIP archive holding several files. The files are stored without compression, which suits files that are
+ * already compressed, such as PNG images.
+ *
+ * @param files An array of file objects {{name: string, bytes: Uint8Array}}. Names should only use ASCII characters.
+ * @returns {Blob} The ZIP archive.
+ */
+function createZip(files) {
+    var parts = [], directory = [], offset = 0;
+
+    files.forEach(function(file) {
+        var crc = crc32(file.bytes), size = file.bytes.length, nameLength = file.name.length;
+        var local = new DataView(new ArrayBuffer(30 + nameLength));
+        local.setUint32(0, 0x04034b50, true);
+        local.setUint16(4, 20, true);
+        local.setUint32(14, crc, true);
+        local.setUint32(18, size, true);
+        local.setUint32(22, size, true);
+        local.setUint16(26, nameLength, true);
+
+        var central = new DataView(new ArrayBuffer(46 + nameLength));
+        central.setUint32(0, 0x02014b50, true);
+        central.setUint16(4, 20, true);
+        central.setUint16(6, 20, true);
+        central.setUint32(16, crc, true);
+        central.setUint32(20, size, true);
+        central.setUint32(24, size, true);
+        central.setUint16(28, nameLength, true);
+        central.setUint32(42, offset, true);
+
+        for(var i = 0; i < nameLength; i++) {
+            local.setUint8(30 + i, file.name.charCodeAt(i));
+            central.setUint8(46 + i, file.name.charCodeAt(i));
+        }
+        parts.push(local, file.bytes);
+        directory.push(central);
+        offset += local.byteLength + size;
+    });
+
+    var directorySize = 0;
+    directory.forEach(function(entry) {
+        directorySize += entry.byteLength;
+    });
+    var end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true);
+    end.setUint16(8, files.length, true);
+    end.setUint16(10, files.length, true);
+    end.setUint32(12, directorySize, true);
+    end.setUint32(16, offset, true);
+
+    return new Blob(parts.concat(directory, [end]), {type: 'application/zip'});
+}
+
+/**
+ * The exportCanvas function creates the canvas to be exported from the flattened layers of the picture.
+ *
+ * @param paint The state object of the Paint program.
+ * @param options The export options object {{selection: boolean, scale: number, background: string}}. When selection
+ * is set only the selected pixels are exported, cropped to the selection. The picture is scaled by the scale factor,
+ * and when background is a color string the picture is flattened onto that color.
+ * @returns {Element} The canvas element to be exported.
+ */
+function exportCanvas(paint, options) {
+    var source = paint.layers.composite();
+    if(options.selection && !paint.selection.isEmpty()) {
+        source = paint.selection.extract(source.getContext('2d'));
+    }
+
+    var width = Math.max(1, Math.round(source.width * options.scale));
+    var height = Math.max(1, Math.round(source.height * options.scale));
+    var canvas = createElement('canvas', {width: width, height: height});
+    var cx = canvas.getContext('2d');
+    if(options.background) {
+        cx.fillStyle = options.background;
+        cx.fillRect(0, 0, width, height);
+    }
+    cx.imageSmoothingEnabled = options.scale != 1;
+    cx.imageSmoothingQuality = 'high';
+    cx.drawImage(source, 0, 0, width, height);
+    return canvas;
+}
+
+/**
+ * Encodes a canvas in one of the export formats and passes the file to the callback. The callback receives an error
+ * message instead when the picture can not be read, because it contains an image from another website, or when the
+ * browser can not create files of the format.
+ *
+ * @param canvas The canvas element to encode.
+ * @param format The format from the exportFormats object.
+ * @param quality The quality of lossy formats from 0 to 1.
+ * @param callback A function(error, blob).
+ */
+function encodeCanvas(canvas, format, quality, callback) {
+    try {
+        if(format.encode) {
+            var cx = canvas.getContext('2d');
+            callback(null, format.encode(cx.getImageData(0, 0, canvas.width, canvas.height)));
+            return;
+        }
+        canvas.toBlob(function(blob) {
+            if(!blob) {
+                callback('The picture could not be encoded.');
+            } else if(blob.type != format.type) {
+                callback('This browser can not create ' + format.label + ' files.');
+            } else {
+                callback(null, blob);
+            }
+        }, format.type, quality);
+    } catch(e) {
+        if(e.name == 'SecurityError') {
+            callback("Can't export the picture, it contains an image from another website.");
+        } else {
+            throw e;
+        }
+    }
+}
+
+/**
+ * Offers a file for download, without encoding it in a URL.
+ *
+ * @param blob The file to download.
+ * @param filename The name the file is saved under.
+ */
+function downloadBlob(blob, filename) {
+    var url = URL.createObjectURL(blob);
+    var link = createElement('a', {href: url, download: filename});
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    setTimeout(function() {
+        URL.revokeObjectURL(url);
+    }, 1000);
+}
+
+/**
+ * Returns the filename with the extension of the format, replacing any other image extension it ends with.
+ *
+ * @param filename The filename typed by the user.
+ * @param format The format from the exportFormats object.
+ * @returns {string} The filename to save the file under.
+ */
+function exportFilename(filename, format) {
+    filename = filename.trim().replace(/\.(png|jpe?g|webp|bmp|gif)$/i, '') || 'picture';
+    return filename + '.' + format.extension;
+}
+
+/**
+ * Shows the export dialog, in which the filename, format, quality, background, scale and the area of the picture to
+ * export are chosen. The last used options are kept in the paint state object.
+ *
+ * @param paint The state object of the Paint program.
+ */
+function showExportDialog(paint) {
+    var options = paint.exportOptions = paint.exportOptions ||
+        {filename: 'picture', format: 'png', quality: 92, flatten: false, background: '#ffffff', scale: 100,
+         selection: false};
+
+    var filename = createElement('input', {type: 'text', value: options.filename});
+    var format = createElement('select');
+    for(var name in exportFormats) {
+        format.appendChild(createElement('option', {value: name}, exportFormats[name].label));
+    }
+    format.value = options.format;
+    var quality = createElement('input', {type: 'range', min: 1, max: 100, value: options.quality});
+    var flatten = createElement('input', {type: 'checkbox'});
+    var background = createElement('input', {type: 'color', value: options.background});
+    var scale = createElement('input', {type: 'number', min: 1, max: 1000, value: options.scale});
+    var selection = createElement('input', {type: 'checkbox'});
+    selection.checked = options.selection && !paint.selection.isEmpty();
+    selection.disabled = paint.selection.isEmpty();
+    var message = createElement('div', {class: 'error'});
+
+    function update() {
+        var chosen = exportFormats[format.value];
+        quality.disabled = !chosen.quality;
+        flatten.checked = !chosen.alpha || options.flatten;
+        flatten.disabled = !chosen.alpha;
+        background.disabled = !flatten.checked;
+    }
+    format.addEventListener('change', update);
+    flatten.addEventListener('change', function() {
+        options.flatten = flatten.checked;
+        update();
+    });
+    update();
+
+    var exportButton = createElement('button', {type: 'button'}, 'Export');
+    var cancel = createElement('button', {type: 'button'}, 'Cancel');
+    var dialog = showDialog('Export',
+        createElement('div', null, createElement('label', null, 'Filename: ', filename)),
+        createElement('div', null, createElement('label', null, 'Format: ', format)),
+        createElement('div', null, createElement('label', null, 'Quality: ', quality)),
+        createElement('div', null, createElement('label', null, flatten, 'Flatten onto '), background),
+        createElement('div', null, createElement('label', null, 'Scale: ', scale, ' %')),
+        createElement('div', null, createElement('label', null, selection, 'Export only the selection')),
+        message,
+        createElement('div', null, exportButton, ' ', cancel));
+
+    exportButton.addEventListener('click', function() {
+        var percent = Number(scale.value);
+        if(!(percent > 0 && percent <= 1000)) {
+            message.textContent = 'The scale must be between 1 and 1000 %.';
+            return;
+        }
+        var size = selection.checked ? paint.selection.bounds :
+            {width: paint.layers.width(), height: paint.layers.height()};
+        if(Math.round(size.width * percent / 100) > maxPictureSize ||
+                Math.round(size.height * percent / 100) > maxPictureSize) {
+            message.textContent = 'The exported picture would be larger than ' + maxPictureSize + ' pixels. Choose ' +
+                'a smaller scale.';
+            return;
+        }
+        options.filename = filename.value;
+        options.format = format.value;
+        options.quality = Number(quality.value);
+        options.background = background.value;
+        options.scale = percent;
+        options.selection = selection.checked;
+
+        var chosen = exportFormats[options.format];
+        var canvas = exportCanvas(paint, {
+            selection: options.selection,
+            scale: percent / 100,
+            background: flatten.checked ? options.background : null
+        });
+        encodeCanvas(canvas, chosen, options.quality / 100, function(error, blob) {
+            if(error) {
+                message.textContent = error;
+            } else {
+                downloadBlob(blob, exportFilename(options.filename, chosen));
+                dialog.close();
+            }
+        });
+    });
+    cancel.addEventListener('click', function() {
+        dialog.close();
+    });
+}
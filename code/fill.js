@@ -0,0 +1,283 @@
+/**
+ * The fillMask function finds the pixels of an ImageData object which match the color of the pixel at the start
+ * coordinate. A pixel matches when none of its red, green, blue or alpha values differ from the start color by more
+ * than the tolerance. In contiguous mode only matching pixels connected to the start pixel are found, using a scanline
+ * flood fill which works on whole rows of pixels at once. Otherwise every matching pixel of the image is found.
+ *
+ * The result is a mask with one value per pixel: 255 for matching pixels and 0 for all others. When the antialias
+ * option is set, pixels bordering the matching area receive a partial value based on how close their color is to the
+ * start color, so that anti-aliased edges can be blended instead of leaving a fringe of the old color.
+ *
+ * @param image The ImageData object to search.
+ * @param start The coordinate object of the start pixel {{x: number, y: number}}.
+ * @param options An object {{tolerance: number, contiguous: boolean, antialias: boolean}} where the tolerance is a
+ * value from 0 to 255.
+ * @returns {{mask: Uint8Array, bounds: Object}} The mask along with the rectangle coordinate object containing every
+ * pixel with a non zero mask value.
+ */
+function fillMask(image, start, options) {
+    var width = image.width, height = image.height;
+    var data = image.data;
+    var pixels = new Uint32Array(data.buffer);
+    var mask = new Uint8Array(width * height);
+    var tolerance = options.tolerance || 0;
+
+    var origin = (start.y * width + start.x);
+    var originPixel = pixels[origin];
+    var originColor = new Color(data[origin * 4], data[origin * 4 + 1], data[origin * 4 + 2], data[origin * 4 + 3]);
+    var left = width, right = -1, top = height, bottom = -1;
+
+    function distance(index) {
+        if(pixels[index] === originPixel) return 0;
+        return pixelDistance(data, index, originColor);
+    }
+
+    function matches(index) {
+        return mask[index] === 0 && distance(index) <= tolerance;
+    }
+
+    function include(x, y) {
+        if(x < left) left = x;
+        if(x > right) right = x;
+        if(y < top) top = y;
+        if(y > bottom) bottom = y;
+    }
+
+    if(options.contiguous) {
+        var stack = [start.x, start.y];
+        while(stack.length) {
+            var y = stack.pop(), x = stack.pop();
+            var row = y * width;
+            if(!matches(row + x)) continue;
+
+            var runStart = x, runEnd = x;
+            while(runStart > 0 && matches(row + runStart - 1)) runStart--;
+            while(runEnd < width - 1 && matches(row + runEnd + 1)) runEnd++;
+            mask.fill(255, row + runStart, row + runEnd + 1);
+            include(runStart, y);
+            include(runEnd, y);
+
+            for(var nextY = y - 1; nextY <= y + 1; nextY += 2) {
+                if(nextY < 0 || nextY >= height) continue;
+                var nextRow = nextY * width;
+                var inRun = false;
+                for(var i = runStart; i <= runEnd; i++) {
+                    if(matches(nextRow + i)) {
+                        if(!inRun) {
+                            stack.push(i, nextY);
+                            inRun = true;
+                        }
+                    } else {
+                        inRun = false;
+                    }
+                }
+            }
+        }
+    } else {
+        for(var j = 0; j < height; j++) {
+            for(var i = 0; i < width; i++) {
+                if(distance(j * width + i) <= tolerance) {
+                    mask[j * width + i] = 255;
+                    include(i, j);
+                }
+            }
+        }
+    }
+
+    if(right < 0) {
+        return {mask: mask, bounds: null};
+    }
+
+    if(options.antialias && tolerance < 255) {
+        left = Math.max(0, left - 1);
+        right = Math.min(width - 1, right + 1);
+        top = Math.max(0, top - 1);
+        bottom = Math.min(height - 1, bottom + 1);
+        for(var ey = top; ey <= bottom; ey++) {
+            for(var ex = left; ex <= right; ex++) {
+                var index = ey * width + ex;
+                if(mask[index] !== 0) continue;
+                var edge = (ex > 0 && mask[index - 1] === 255) || (ex < width - 1 && mask[index + 1] === 255) ||
+                        (ey > 0 && mask[index - width] === 255) || (ey < height - 1 && mask[index + width] === 255);
+                if(edge) {
+                    var coverage = 1 - (distance(index) - tolerance) / (255 - tolerance);
+                    mask[index] = Math.max(0, Math.min(254, Math.round(coverage * 255)));
+                }
+            }
+        }
+    }
+
+    return {
+        mask: mask,
+        bounds: {left: left, top: top, width: right - left + 1, height: bottom - top + 1}
+    };
+}
+
+/**
+ * Returns the largest difference between the red, green, blue and alpha values of a pixel in an ImageData array and
+ * a color. This is the same measure as Color.prototype.distance, without creating a Color object for every pixel.
+ *
+ * @param data The data array of an ImageData object.
+ * @param index The index of the pixel (not of its first byte) in the array.
+ * @param color The color object to compare with.
+ * @returns {number} The difference from 0 to 255.
+ */
+function pixelDistance(data, index, color) {
+    var offset = index * 4;
+    return Math.max(Math.abs(data[offset] - color.r), Math.abs(data[offset + 1] - color.g),
+                    Math.abs(data[offset + 2] - color.b), Math.abs(data[offset + 3] - color.a));
+}
+
+/**
+ * A collection of fill pattern names mapped to functions which decide if the pixel at an (x, y) coordinate is painted.
+ * The 'Solid' pattern paints every pixel.
+ */
+var fillPatterns = {
+    'Solid': null,
+    'Checkerboard': function(x, y) {
+        return ((x >> 3) + (y >> 3)) % 2 == 0;
+    },
+    'Horizontal stripes': function(x, y) {
+        return (y >> 2) % 2 == 0;
+    },
+    'Vertical stripes': function(x, y) {
+        return (x >> 2) % 2 == 0;
+    },
+    'Diagonal stripes': function(x, y) {
+        return ((x + y) >> 2) % 2 == 0;
+    },
+    'Crosshatch': function(x, y) {
+        return x % 8 == 0 || y % 8 == 0;
+    },
+    'Dots': function(x, y) {
+        return x % 8 < 3 && y % 8 < 3;
+    }
+};
+
+/**
+ * The paintMask function paints a color into an ImageData object wherever the mask is set. Partially set mask values
+ * blend the color with the existing pixel, and pixels skipped by the pattern keep their color.
+ *
+ * @param image The ImageData object to paint into.
+ * @param mask A mask created by the fillMask function.
+ * @param bounds The rectangle coordinate object containing every set mask value.
+ * @param color The color object to paint.
+ * @param pattern An optional function from the fillPatterns object.
+ */
+function paintMask(image, mask, bounds, color, pattern) {
+    var width = image.width, data = image.data;
+    var pixels = new Uint32Array(data.buffer);
+    var packed = new Uint8ClampedArray([color.r, color.g, color.b, color.a]);
+    var solid = new Uint32Array(packed.buffer)[0];
+
+    for(var y = bounds.top; y < bounds.top + bounds.height; y++) {
+        for(var x = bounds.left; x < bounds.left + bounds.width; x++) {
+            var index = y * width + x;
+            var coverage = mask[index];
+            if(coverage === 0 || (pattern && !pattern(x, y))) continue;
+
+            if(coverage === 255 && color.a === 255) {
+                pixels[index] = solid;
+            } else {
+                blendPixel(data, index, color, coverage / 255);
+            }
+        }
+    }
+}
+
+/**
+ * Blends a color over a pixel of an ImageData array the way the 2DCanvasContext's 'source-over' operation does.
+ *
+ * @param data The data array of an ImageData object.
+ * @param index The index of the pixel (not of its first byte) in the array.
+ * @param color The color object to blend over the pixel.
+ * @param amount A number from 0 to 1 which is multiplied with the alpha of the color.
+ */
+function blendPixel(data, index, color, amount) {
+    var offset = index * 4;
+    var sourceAlpha = color.a / 255 * amount;
+    var targetAlpha = data[offset + 3] / 255;
+    var alpha = sourceAlpha + targetAlpha * (1 - sourceAlpha);
+    if(alpha === 0) return;
+
+    var channels = [color.r, color.g, color.b];
+    for(var i = 0; i < 3; i++) {
+        data[offset + i] = (channels[i] * sourceAlpha + data[offset + i] * targetAlpha * (1 - sourceAlpha)) / alpha;
+    }
+    data[offset + 3] = alpha * 255;
+}
+
+/**
+ * The fill tool replaces the pixels matching the color under the mouse with the current fill color. The options of
+ * the tool decide the tolerance of the match, if only pixels connected to the mouse position or all matching pixels
+ * are filled, if anti-aliased edges are blended, and the pattern used to fill.
+ *
+ * All work is done on a single ImageData object of the active layer and only the changed rectangle is written back.
+ * Only pixels inside of the current selection are filled.
+ */
+tools.Fill = {
+    cursor: 'crosshair',
+    options: fillOptions,
+    down: function(event, cx, paint, operation) {
+        var options = paint.fill;
+        var width = cx.canvas.width, height = cx.canvas.height;
+        var origin = keepInCanvasBounds(relativePos(event, cx.canvas), cx.canvas);
+        var image = cx.getImageData(0, 0, width, height);
+
+        var result = fillMask(image, origin, options);
+        paint.selection.limit(result.mask);
+        if(result.bounds) {
+            var bounds = result.bounds;
+            paintMask(image, result.mask, bounds, Color.fromStyle(cx.fillStyle), fillPatterns[options.pattern]);
+            cx.putImageData(image, 0, 0, bounds.left, bounds.top, bounds.width, bounds.height);
+        }
+        operation.end();
+    }
+};
+
+/**
+ * The fillOptions function creates the form controls for the options of the fill tool: a tolerance slider, a select
+ * between filling contiguous or all matching pixels, a checkbox for blending anti-aliased edges and a select for the
+ * fill pattern. The options are stored in the paint state object.
+ *
+ * @param cx The 2DCanvasContext for the canvas element of the Paint UI.
+ * @param paint The state object of the Paint program.
+ * @returns {Element} The DOM Element holding the options, shown while the fill tool is selected.
+ */
+function fillOptions(cx, paint) {
+    var options = paint.fill;
+
+    var value = Math.round(options.tolerance / 2.55);
+    var tolerance = createElement('input', {type: 'range', min: 0, max: 100, value: value});
+    var percent = createElement('span', null, value + '%');
+    tolerance.addEventListener('input', function() {
+        options.tolerance = Math.round(tolerance.value * 2.55);
+        percent.textContent = tolerance.value + '%';
+    });
+
+    var mode = createElement('select', null,
+        createElement('option', {value: 'contiguous'}, 'Contiguous'),
+        createElement('option', {value: 'all'}, 'All matching pixels'));
+    mode.value = options.contiguous ? 'contiguous' : 'all';
+    mode.addEventListener('change', function() {
+        options.contiguous = mode.value == 'contiguous';
+    });
+
+    var antialias = createElement('input', {type: 'checkbox'});
+    antialias.checked = options.antialias;
+    antialias.addEventListener('change', function() {
+        options.antialias = antialias.checked;
+    });
+
+    var pattern = createElement('select');
+    for(var name in fillPatterns) {
+        pattern.appendChild(createElement('option', null, name));
+    }
+    pattern.value = options.pattern;
+    pattern.addEventListener('change', function() {
+        options.pattern = pattern.value;
+    });
+
+    return createElement('div', null, 'Fill tolerance: ', tolerance, percent, ' ', mode, ' ',
+        createElement('label', null, antialias, ' Smooth edges'), ' Pattern: ', pattern);
+}
@@ -0,0 +1,363 @@
+/**
+ * The gradientTypes object holds the shapes of the gradients drawn by the Gradient tool. Each type converts a point of
+ * the picture into its position along the gradient, where 0 is the color of the first stop and 1 the color of the
+ * last stop. The position is calculated from the offset of the point from where the drag started and the vector of
+ * the drag, both as Vector objects.
+ */
+var gradientTypes = {
+    Linear: function(offset, vector) {
+        return offset.dot(vector) / vector.dot(vector);
+    },
+    Radial: function(offset, vector) {
+        return offset.length() / vector.length();
+    },
+    Conic: function(offset, vector) {
+        var turn = (offset.angle() - vector.angle()) / (2 * Math.PI);
+        return turn - Math.floor(turn);
+    },
+    Reflected: function(offset, vector) {
+        return Math.abs(offset.dot(vector) / vector.dot(vector));
+    }
+};
+
+/**
+ * The parts of the picture a gradient can be drawn onto: the whole layer regardless of the selection, the selected
+ * pixels (or the whole layer when nothing is selected), or the region of similar colors around the point where the
+ * drag started, found with the tolerance of the Fill tool and limited to the selection.
+ */
+var gradientRegions = {layer: 'Whole layer', selection: 'Selection', region: 'Contiguous region'};
+
+/**
+ * The number of colors calculated along a gradient. Every pixel gets the nearest of them.
+ */
+var gradientSteps = 1024;
+
+/**
+ * Returns the valid color stops of a gradient sorted by their offset. Stops from a recording or from someone else are
+ * checked, since they are drawn without asking, and invalid stops are left out.
+ *
+ * @param stops An array of stop objects {{offset: number, color: string}} with offsets from 0 to 1.
+ * @returns {Array} The stops with their colors as Color objects.
+ */
+function gradientStops(stops) {
+    var valid = [];
+    (Array.isArray(stops) ? stops : []).forEach(function(stop) {
+        if(!stop || !(stop.offset >= 0 && stop.offset <= 1) || typeof stop.color != 'string') return;
+        try {
+            valid.push({offset: stop.offset, color: Color.fromStyle(stop.color)});
+        } catch(e) {
+            // A color which can not be read is left out like any other invalid stop.
+        }
+    });
+    return valid.sort(function(a, b) {
+        return a.offset - b.offset;
+    });
+}
+
+/**
+ * Calculates the colors along a gradient. Colors between two stops are mixed with their alpha premultiplied, the way
+ * the 2DCanvasContext does, so a transparent stop does not darken its neighbours.
+ *
+ * @param stops An array of stop objects {{offset: number, color: string}}.
+ * @param steps The number of colors to calculate.
+ * @returns {Array} The Color objects from the start to the end of the gradient, or null when there are no valid stops.
+ */
+function gradientColors(stops, steps) {
+    stops = gradientStops(stops);
+    if(!stops.length) return null;
+
+    var colors = [];
+    for(var i = 0; i < steps; i++) {
+        var position = i / (steps - 1), next = 0;
+        while(next < stops.length && stops[next].offset < position) {
+            next++;
+        }
+        var a = stops[Math.max(0, next - 1)], b = stops[Math.min(stops.length - 1, next)];
+        var amount = b.offset > a.offset ? (position - a.offset) / (b.offset - a.offset) : 0;
+        amount = Math.max(0, Math.min(1, amount));
+
+        var alpha = a.color.a + (b.color.a - a.color.a) * amount;
+        var channels = ['r', 'g', 'b'].map(function(channel) {
+            var value = a.color[channel] * a.color.a + (b.color[channel] * b.color.a - a.color[channel] * a.color.a) *
+                amount;
+            return alpha ? Math.max(0, Math.min(255, value / alpha)) : 0;
+        });
+        colors.push(new Color(channels[0], channels[1], channels[2], alpha));
+    }
+    return colors;
+}
+
+/**
+ * The paintGradient function blends a gradient over the pixels of an ImageData object inside of a rectangle, where
+ * the mask is set. Partially set mask values blend the gradient partially.
+ *
+ * @param image The ImageData object to paint into.
+ * @param mask A Uint8Array with one value per pixel, or null to paint every pixel of the rectangle.
+ * @param bounds The rectangle coordinate object to paint inside of.
+ * @param options The gradient options object {{type: string, stops: Array}}.
+ * @param from The Vector where the drag started.
+ * @param to The Vector where the drag ended.
+ */
+function paintGradient(image, mask, bounds, options, from, to) {
+    var colors = gradientColors(options.stops, gradientSteps);
+    var position = gradientTypes.hasOwnProperty(options.type) ? gradientTypes[options.type] : null;
+    var vector = to.minus(from);
+    if(!colors || !position || !vector.length()) return;
+
+    var width = image.width, data = image.data;
+    for(var y = bounds.top; y < bounds.top + bounds.height; y++) {
+        for(var x = bounds.left; x < bounds.left + bounds.width; x++) {
+            var index = y * width + x;
+            var coverage = mask ? mask[index] : 255;
+            if(coverage === 0) continue;
+
+            var t = position(new Vector(x + 0.5, y + 0.5).minus(from), vector);
+            var color = colors[Math.round(Math.max(0, Math.min(1, t)) * (gradientSteps - 1))];
+            blendPixel(data, index, color, coverage / 255);
+        }
+    }
+}
+
+/**
+ * Creates a CanvasGradient looking like the gradient painted by the paintGradient function, which is fast enough to
+ * preview the gradient while the mouse moves. A reflected gradient is a linear gradient running both ways from the
+ * start point, with its stops mirrored.
+ *
+ * @param cx The 2DCanvasContext to create the gradient with.
+ * @param options The gradient options object {{type: string, stops: Array}}.
+ * @param from The Vector where the drag started.
+ * @param to The Vector where the drag ended.
+ * @returns {CanvasGradient} The gradient, or null when there are no valid stops or the browser can not create
+ * gradients of the type.
+ */
+function canvasGradient(cx, options, from, to) {
+    var stops = gradientStops(options.stops), vector = to.minus(from), gradient;
+    if(!stops.length) return null;
+    if(options.type == 'Linear') {
+        gradient = cx.createLinearGradient(from.x, from.y, to.x, to.y);
+    } else if(options.type == 'Radial') {
+        gradient = cx.createRadialGradient(from.x, from.y, 0, from.x, from.y, vector.length());
+    } else if(options.type == 'Conic' && cx.createConicGradient) {
+        gradient = cx.createConicGradient(vector.angle(), from.x, from.y);
+    } else if(options.type == 'Reflected') {
+        gradient = cx.createLinearGradient(from.x - vector.x, from.y - vector.y, to.x, to.y);
+        stops = stops.map(function(stop) {
+            return {offset: 0.5 - stop.offset / 2, color: stop.color};
+        }).reverse().concat(stops.map(function(stop) {
+            return {offset: 0.5 + stop.offset / 2, color: stop.color};
+        }));
+    } else {
+        return null;
+    }
+    stops.forEach(function(stop) {
+        gradient.addColorStop(stop.offset, stop.color.toContextString());
+    });
+    return gradient;
+}
+
+/**
+ * Finds the pixels of the active layer a gradient is drawn onto, as chosen by the region option of the Gradient tool.
+ *
+ * @param cx The 2DCanvasContext of the active layer.
+ * @param paint The state object of the Paint program.
+ * @param image The ImageData object of the active layer.
+ * @param origin The pixel where the drag started {{x: number, y: number}}.
+ * @returns {{mask: Uint8Array, bounds: Object}} The mask, or null when every pixel of the bounds is painted, and the
+ * rectangle coordinate object containing the painted pixels, which is null when there are none.
+ */
+function gradientRegion(cx, paint, image, origin) {
+    var region = paint.gradient.region, selection = paint.selection;
+    var all = {left: 0, top: 0, width: image.width, height: image.height};
+    if(region == 'region') {
+        var result = fillMask(image, keepInCanvasBounds(origin, cx.canvas),
+                              {tolerance: paint.fill.tolerance, contiguous: true, antialias: paint.fill.antialias});
+        selection.limit(result.mask);
+        return {mask: result.mask, bounds: maskBounds(result.mask, image.width, image.height)};
+    }
+    if(region == 'selection' && !selection.isEmpty()) {
+        return {mask: selection.mask, bounds: selection.bounds};
+    }
+    return {mask: null, bounds: all};
+}
+
+/**
+ * The Gradient tool draws a gradient along the line dragged by the user, with the type, color stops and region chosen
+ * in its options. Holding Shift snaps the line to multiples of 45 degrees, see the target function. The gradient is
+ * previewed on the overlay together with the dragged line while the mouse is held down, drawn by the browser and
+ * clipped to the region, and painted pixel by pixel onto the layer when the mouse is released. The region is found
+ * when the mouse is pressed and kept as the region property of the operation, with a path covering it for clipping
+ * the preview as the clip property.
+ */
+tools.Gradient = {
+    cursor: 'crosshair',
+    options: gradientOptions,
+    down: function(event, cx, paint, operation) {
+        var pos = relativePos(event, cx.canvas);
+        var image = cx.getImageData(0, 0, cx.canvas.width, cx.canvas.height);
+        var region = operation.region = gradientRegion(cx, paint, image, pos);
+        operation.clip = region.mask && region.bounds ? maskClipPath(region.mask, image.width, region.bounds) : null;
+        operation.from = operation.to = new Vector(pos.x + 0.5, pos.y + 0.5);
+    },
+    move: function(event, cx, paint, operation) {
+        var pos = relativePos(event, cx.canvas);
+        operation.to = new Vector(pos.x + 0.5, pos.y + 0.5);
+        operation.constrain = event.shiftKey;
+        this.preview(cx, paint, operation);
+    },
+    key: function(event, cx, paint, operation) {
+        operation.constrain = event.shiftKey;
+        this.preview(cx, paint, operation);
+    },
+    up: function(event, cx, paint, operation) {
+        var region = operation.region, to = this.target(operation);
+        if(!region.bounds || !to.minus(operation.from).length()) return;
+        var bounds = region.bounds;
+        var image = cx.getImageData(0, 0, cx.canvas.width, cx.canvas.height);
+        paintGradient(image, region.mask, bounds, paint.gradient, operation.from, to);
+        cx.putImageData(image, 0, 0, bounds.left, bounds.top, bounds.width, bounds.height);
+    },
+    target: function(operation) {
+        if(!operation.constrain) return operation.to;
+        var vector = operation.to.minus(operation.from);
+        var angle = Math.round(vector.angle() / (Math.PI / 4)) * (Math.PI / 4);
+        return operation.from.plus(new Vector(Math.cos(angle), Math.sin(angle)).times(vector.length()));
+    },
+    preview: function(cx, paint, operation) {
+        var ocx = clearOverlay(paint.overlay, cx.canvas);
+        var region = operation.region, from = operation.from, to = this.target(operation);
+        if(region.bounds && to.minus(from).length()) {
+            var gradient = canvasGradient(ocx, paint.gradient, from, to);
+            if(gradient) {
+                var bounds = region.bounds;
+                ocx.save();
+                if(operation.clip) {
+                    ocx.clip(operation.clip);
+                }
+                ocx.fillStyle = gradient;
+                ocx.fillRect(bounds.left, bounds.top, bounds.width, bounds.height);
+                ocx.restore();
+            } else {
+                // Browsers without conic gradients preview them pixel by pixel.
+                var image = ocx.createImageData(cx.canvas.width, cx.canvas.height);
+                paintGradient(image, region.mask, region.bounds, paint.gradient, from, to);
+                ocx.putImageData(image, 0, 0);
+            }
+        }
+        [['white', 3], ['black', 1]].forEach(function(pen) {
+            ocx.strokeStyle = pen[0];
+            ocx.lineWidth = pen[1];
+            ocx.beginPath();
+            ocx.moveTo(from.x, from.y);
+            ocx.lineTo(to.x, to.y);
+            ocx.stroke();
+        });
+    }
+};
+
+/**
+ * The gradientOptions function creates the form controls for the options of the Gradient tool: the type and region
+ * of the gradient and an editor for its color stops, showing a preview of the gradient. Each stop has a position, a
+ * color and an alpha value, and can be removed as long as two stops are left. The options are stored in the paint
+ * state object, and the editor is rebuilt when they are replaced by a replay.
+ *
+ * @param cx The 2DCanvasContext for the canvas element of the Paint UI.
+ * @param paint The state object of the Paint program.
+ * @returns {Element} The DOM Element holding the options, shown while the gradient tool is selected.
+ */
+function gradientOptions(cx, paint) {
+    var options = paint.gradient;
+
+    var type = createElement('select');
+    for(var name in gradientTypes) {
+        type.appendChild(createElement('option', null, name));
+    }
+    type.addEventListener('change', function() {
+        options.type = type.value;
+    });
+
+    var region = createElement('select');
+    for(name in gradientRegions) {
+        region.appendChild(createElement('option', {value: name}, gradientRegions[name]));
+    }
+    region.addEventListener('change', function() {
+        options.region = region.value;
+    });
+
+    var bar = createElement('canvas', {class: 'gradient-bar', width: 200, height: 16});
+    var list = createElement('span');
+    function showBar() {
+        var bcx = bar.getContext('2d');
+        var image = bcx.createImageData(bar.width, bar.height);
+        paintGradient(image, null, {left: 0, top: 0, width: bar.width, height: bar.height},
+                      {type: 'Linear', stops: options.stops}, new Vector(0, 0), new Vector(bar.width, 0));
+        bcx.putImageData(image, 0, 0);
+    }
+    function changeStops(stops) {
+        options.stops = stops;
+        update();
+    }
+
+    function stopEditor(stop, index) {
+        var color = Color.fromStyle(stop.color);
+        var offset = createElement('input', {type: 'number', min: 0, max: 100, value: Math.round(stop.offset * 100),
+                                             title: 'Position'});
+        var picker = createElement('input', {type: 'color', value: color.toDOMString()});
+        var alpha = createElement('input', {type: 'range', min: 0, max: 100, value: Math.round(color.a / 2.55),
+                                            title: 'Alpha'});
+        var remove = createElement('button', {type: 'button', title: 'Remove the stop'}, '×');
+        remove.disabled = options.stops.length <= 2;
+
+        function change() {
+            var value = Number(offset.value);
+            var rgb = Color.fromHex(picker.value);
+            var stops = options.stops.slice();
+            stops[index] = {
+                offset: offset.value !== '' && value >= 0 && value <= 100 ? value / 100 : stop.offset,
+                color: new Color(rgb.r, rgb.g, rgb.b, alpha.value * 2.55).toHex()
+            };
+            changeStops(stops);
+        }
+        offset.addEventListener('change', change);
+        picker.addEventListener('change', change);
+        alpha.addEventListener('change', change);
+        remove.addEventListener('click', function() {
+            changeStops(options.stops.slice(0, index).concat(options.stops.slice(index + 1)));
+        });
+        return createElement('span', {class: 'gradient-stop'}, offset, '% ', picker, alpha, remove);
+    }
+
+    var add = createElement('button', {type: 'button'}, 'Add stop');
+    add.addEventListener('click', function() {
+        var colors = gradientColors(options.stops, 3);
+        changeStops(options.stops.concat([{offset: 0.5, color: colors ? colors[1].toHex() : paint.color}]));
+    });
+    var reverse = createElement('button', {type: 'button'}, 'Reverse');
+    reverse.addEventListener('click', function() {
+        changeStops(options.stops.map(function(stop) {
+            return {offset: 1 - stop.offset, color: stop.color};
+        }));
+    });
+    var fromColors = createElement('button', {type: 'button'}, 'Use colors');
+    fromColors.title = 'Use the primary and secondary colors';
+    fromColors.addEventListener('click', function() {
+        changeStops([{offset: 0, color: paint.color}, {offset: 1, color: paint.secondaryColor}]);
+    });
+
+    function update() {
+        type.value = options.type;
+        region.value = options.region;
+        options.stops = gradientStops(options.stops).map(function(stop) {
+            return {offset: stop.offset, color: stop.color.toHex()};
+        });
+        list.textContent = '';
+        options.stops.forEach(function(stop, i) {
+            list.appendChild(stopEditor(stop, i));
+        });
+        showBar();
+    }
+    paint.events.on('gradientchange', update);
+    update();
+
+    return createElement('div', null, 'Gradient: ', type, ' Region: ', region, ' ', bar, ' ', add, ' ', reverse, ' ',
+        fromColors, createElement('div', null, 'Stops: ', list));
+}
@@ -0,0 +1,413 @@
+/**
+ * The PaintHistory object records every completed operation on the picture as an undoable step. Pixel operations are
+ * captured by taking a snapshot of the active layer when the operation begins and comparing it to the layer when the
+ * operation is committed. Only the rectangle of pixels which actually changed is kept, which keeps small strokes on
+ * large canvases cheap. Operations which change the picture size (loading an image, resizing) keep a full snapshot of
+ * every layer, while changes to the layers themselves only keep the state of the layer stack.
+ *
+ * Steps are objects with a name, a size in bytes, and undo & redo functions. Other parts of the program can record
+ * their own kinds of steps with the push method. The oldest steps are discarded when the total size of all steps
+ * exceeds the memory limit. The name keeps it from hiding the History object of the browser.
+ *
+ * @param layers The LayerStack whose operations are recorded.
+ * @param options An optional object. Example {memoryLimit: 64 * 1024 * 1024}.
+ */
+function PaintHistory(layers, options) {
+    this.layers = layers;
+    this.memoryLimit = (options && options.memoryLimit) || PaintHistory.defaultMemoryLimit;
+    this.undoStack = [];
+    this.redoStack = [];
+    this.size = 0;
+    this.pending = null;
+    this.enabled = true;
+    this.listeners = [];
+}
+
+/**
+ * The default memory limit in bytes for all steps held by a PaintHistory object.
+ */
+PaintHistory.defaultMemoryLimit = 64 * 1024 * 1024;
+
+/**
+ * Registers a function that is called whenever the steps held by the history change. This is used by the undo & redo
+ * buttons to update their disabled state. The listener receives the history and the action which changed it: 'push',
+ * 'undo', 'redo' or 'clear'.
+ *
+ * @param listener The function to call when the history changes.
+ */
+PaintHistory.prototype.onChange = function(listener) {
+    this.listeners.push(listener);
+};
+
+/**
+ * Calls every listener registered with the onChange method.
+ *
+ * @param action The action which changed the history.
+ */
+PaintHistory.prototype.notify = function(action) {
+    var history = this;
+    this.listeners.forEach(function(listener) {
+        listener(history, action);
+    });
+};
+
+/**
+ * Takes a snapshot of the active layer before an operation starts. The operation is recorded as a step when the
+ * commit method is called.
+ */
+PaintHistory.prototype.begin = function() {
+    var layer = this.layers.active();
+    this.pending = {layer: layer, snapshot: snapshotCanvas(layer.context())};
+};
+
+/**
+ * Compares the layer to the snapshot taken by the begin method and records the difference as a step. If the
+ * operation did not change any pixels then no step is recorded.
+ *
+ * @param name A name describing the operation. Example: 'Line'.
+ * @returns {boolean} True when a step was recorded.
+ */
+PaintHistory.prototype.commit = function(name) {
+    var pending = this.pending;
+    this.pending = null;
+    if(!pending) return false;
+
+    var before = pending.snapshot;
+    if(pending.cancelled) {
+        pending.layer.context().putImageData(before.data, 0, 0);
+        return false;
+    }
+    var after = snapshotCanvas(pending.layer.context());
+    if(before.width != after.width || before.height != after.height) return false;
+
+    var bounds = changedBounds(before.data, after.data);
+    if(bounds) {
+        this.push(regionStep(pending.layer, name, before.data, after.data, bounds));
+    }
+    return !!bounds;
+};
+
+/**
+ * Marks the operation in progress as cancelled. When it is committed the layer is restored to the snapshot taken by
+ * the begin method instead of recording a step.
+ */
+PaintHistory.prototype.cancel = function() {
+    if(this.pending) {
+        this.pending.cancelled = true;
+    }
+};
+
+/**
+ * Records a pixel operation on the active layer which happens synchronously inside of the supplied function.
+ *
+ * @param name A name describing the operation. Example: 'Fill'.
+ * @param operation The function which modifies the active layer.
+ */
+PaintHistory.prototype.record = function(name, operation) {
+    this.begin();
+    operation();
+    this.commit(name);
+};
+
+/**
+ * Records an operation which may change the size of the picture or the pixels of several layers. Every layer is
+ * copied before and after the operation.
+ *
+ * @param name A name describing the operation. Example: 'Load image'.
+ * @param operation The function which modifies the picture.
+ */
+PaintHistory.prototype.recordDocument = function(name, operation) {
+    var layers = this.layers;
+    var before = layers.snapshot();
+    operation();
+    var after = layers.snapshot();
+    var size = 0;
+    before.pixels.concat(after.pixels).forEach(function(pixels) {
+        size += pixels.data.length;
+    });
+
+    this.push({
+        name: name,
+        size: size,
+        undo: function() {
+            layers.restore(before);
+        },
+        redo: function() {
+            layers.restore(after);
+        }
+    });
+};
+
+/**
+ * Records an operation which changes the layers of the picture, such as adding, removing, reordering or changing the
+ * properties of a layer, without changing any pixels.
+ *
+ * @param name A name describing the operation. Example: 'Add layer'.
+ * @param operation The function which modifies the layers.
+ */
+PaintHistory.prototype.recordLayers = function(name, operation) {
+    var before = this.layers.state();
+    operation();
+    this.pushLayers(name, before, this.layers.state());
+};
+
+/**
+ * Records a step which switches the layers between two state objects created by LayerStack.prototype.state.
+ *
+ * @param name A name describing the operation. Example: 'Layer opacity'.
+ * @param before The state of the layers before the operation.
+ * @param after The state of the layers after the operation.
+ */
+PaintHistory.prototype.pushLayers = function(name, before, after) {
+    var layers = this.layers;
+    this.push({
+        name: name,
+        size: 0,
+        undo: function() {
+            layers.setState(before);
+        },
+        redo: function() {
+            layers.setState(after);
+        }
+    });
+};
+
+/**
+ * Adds a step to the history. Recording a new step discards all steps which could have been redone. The oldest steps
+ * are discarded until the history fits within its memory limit, although the newest step is always kept. While the
+ * history is disabled the step is discarded.
+ *
+ * @param step A step object {{name: string, size: number, undo: function, redo: function}}.
+ */
+PaintHistory.prototype.push = function(step) {
+    if(!this.enabled) {
+        this.notify('push');
+        return;
+    }
+    this.undoStack.push(step);
+    this.size += step.size;
+    this.redoStack.forEach(function(discarded) {
+        this.size -= discarded.size;
+    }, this);
+    this.redoStack = [];
+
+    while(this.size > this.memoryLimit && this.undoStack.length > 1) {
+        this.size -= this.undoStack.shift().size;
+    }
+    this.notify('push');
+};
+
+/**
+ * Reverts the most recent step. Nothing happens while an operation is in progress.
+ */
+PaintHistory.prototype.undo = function() {
+    if(this.pending || !this.canUndo()) return;
+    var step = this.undoStack.pop();
+    step.undo();
+    this.redoStack.push(step);
+    this.notify('undo');
+};
+
+/**
+ * Reapplies the most recently reverted step. Nothing happens while an operation is in progress.
+ */
+PaintHistory.prototype.redo = function() {
+    if(this.pending || !this.canRedo()) return;
+    var step = this.redoStack.pop();
+    step.redo();
+    this.undoStack.push(step);
+    this.notify('redo');
+};
+
+/**
+ * Turns undo and redo on or off, discarding every recorded step. While the history is disabled operations are still
+ * reported to the listeners as 'push', but no steps are kept. This is used while collaborating, where other people
+ * change the picture between the steps of the user.
+ *
+ * @param enabled A boolean indicating if steps should be recorded.
+ */
+PaintHistory.prototype.setEnabled = function(enabled) {
+    this.enabled = enabled;
+    this.clear();
+};
+
+/**
+ * @returns {boolean} A boolean indicating if there is a step which can be undone.
+ */
+PaintHistory.prototype.canUndo = function() {
+    return this.undoStack.length > 0;
+};
+
+/**
+ * @returns {boolean} A boolean indicating if there is a step which can be redone.
+ */
+PaintHistory.prototype.canRedo = function() {
+    return this.redoStack.length > 0;
+};
+
+/**
+ * Discards every recorded step.
+ */
+PaintHistory.prototype.clear = function() {
+    this.undoStack = [];
+    this.redoStack = [];
+    this.size = 0;
+    this.pending = null;
+    this.notify('clear');
+};
+
+/**
+ * Returns an ImageData object holding every pixel of the canvas of the supplied 2DCanvasContext.
+ *
+ * @param cx The 2DCanvasContext of the canvas to be copied.
+ * @returns {{width: number, height: number, data: ImageData}} The snapshot of the canvas.
+ */
+function snapshotCanvas(cx) {
+    var width = cx.canvas.width, height = cx.canvas.height;
+    return {width: width, height: height, data: cx.getImageData(0, 0, width, height)};
+}
+
+/**
+ * The changedBounds function compares two ImageData objects of the same size and returns the smallest rectangle that
+ * contains every pixel which differs between them.
+ *
+ * @param a An ImageData object.
+ * @param b An ImageData object with the same dimensions as a.
+ * @returns {{left: number, top: number, width: number, height: number}|null} The rectangle coordinate object or null
+ * if the ImageData objects are identical.
+ */
+function changedBounds(a, b) {
+    var width = a.width, height = a.height;
+    var pixelsA = new Uint32Array(a.data.buffer);
+    var pixelsB = new Uint32Array(b.data.buffer);
+    var left = width, right = -1, top = height, bottom = -1;
+
+    for(var y = 0; y < height; y++) {
+        var row = y * width;
+        for(var x = 0; x < width; x++) {
+            if(pixelsA[row + x] !== pixelsB[row + x]) {
+                if(x < left) left = x;
+                if(x > right) right = x;
+                if(y < top) top = y;
+                bottom = y;
+            }
+        }
+    }
+
+    if(right < 0) return null;
+    return {left: left, top: top, width: right - left + 1, height: bottom - top + 1};
+}
+
+/**
+ * Copies the pixels inside of a rectangle from an ImageData object into a new ImageData object.
+ *
+ * @param cx A 2DCanvasContext used to create the new ImageData object.
+ * @param source The ImageData object to copy from.
+ * @param rect The rectangle coordinate object {{left: number, top: number, width: number, height: number}}.
+ * @returns {ImageData} The copied pixels.
+ */
+function cropImageData(cx, source, rect) {
+    var result = cx.createImageData(rect.width, rect.height);
+    var from = new Uint32Array(source.data.buffer);
+    var to = new Uint32Array(result.data.buffer);
+
+    for(var y = 0; y < rect.height; y++) {
+        var start = (rect.top + y) * source.width + rect.left;
+        to.set(from.subarray(start, start + rect.width), y * rect.width);
+    }
+    return result;
+}
+
+/**
+ * Creates a step which swaps the pixels inside of the changed rectangle of a layer. The layer's context is looked up
+ * when the step is undone or redone since the canvas of a layer changes when it is activated.
+ *
+ * @param layer The layer that was changed.
+ * @param name A name describing the operation.
+ * @param before An ImageData object of the whole layer before the operation.
+ * @param after An ImageData object of the whole layer after the operation.
+ * @param bounds The rectangle coordinate object containing every changed pixel.
+ * @returns {{name: string, size: number, undo: function, redo: function}} The step object.
+ */
+function regionStep(layer, name, before, after, bounds) {
+    var oldPixels = cropImageData(layer.context(), before, bounds);
+    var newPixels = cropImageData(layer.context(), after, bounds);
+    return {
+        name: name,
+        size: oldPixels.data.length * 2,
+        undo: function() {
+            layer.context().putImageData(oldPixels, bounds.left, bounds.top);
+        },
+        redo: function() {
+            layer.context().putImageData(newPixels, bounds.left, bounds.top);
+        }
+    };
+}
+
+/**
+ * The history control constructor creates undo & redo buttons which are disabled when there is nothing to undo or
+ * redo. The constructor also registers the Ctrl+Z (undo) and Ctrl+Shift+Z or Ctrl+Y (redo) keyboard shortcuts. The
+ * shortcuts are ignored while a text field has focus so that they keep working inside of the field.
+ *
+ * @param cx The 2DCanvasContext for the canvas element of the Paint UI.
+ * @param paint The state object of the Paint program holding its history.
+ * @returns {Element} The DOM Element for the history control to be added to the toolbar UI.
+ */
+controls.history = function(cx, paint) {
+    var history = paint.history;
+    var undo = createElement('button', {type: 'button', title: 'Undo (Ctrl+Z)'}, 'Undo');
+    var redo = createElement('button', {type: 'button', title: 'Redo (Ctrl+Shift+Z)'}, 'Redo');
+
+    function update() {
+        undo.disabled = !history.canUndo();
+        redo.disabled = !history.canRedo();
+    }
+
+    undo.addEventListener('click', function() {
+        history.undo();
+    });
+    redo.addEventListener('click', function() {
+        history.redo();
+    });
+
+    paint.listen(window, 'keydown', function(event) {
+        if(!paint.hasFocus() || !(event.ctrlKey || event.metaKey) || isTextField(event.target) || dialogOpen()) return;
+        var key = event.key.toLowerCase();
+        if(key == 'z' && !event.shiftKey) {
+            history.undo();
+        } else if((key == 'z' && event.shiftKey) || key == 'y') {
+            history.redo();
+        } else {
+            return;
+        }
+        event.preventDefault();
+    });
+
+    history.onChange(update);
+    update();
+    return createElement('span', null, undo, redo);
+};
+
+/**
+ * Returns a boolean indicating if the supplied element accepts typed text, in which case keyboard shortcuts should be
+ * left to the element.
+ *
+ * @param element The DOM Element to be checked.
+ * @returns {boolean} A boolean indicating if the element is a text field.
+ */
+function isTextField(element) {
+    if(!element || !element.tagName) return false;
+    var tag = element.tagName.toLowerCase();
+    return tag == 'textarea' || element.isContentEditable ||
+            (tag == 'input' && /^(text|search|url|number|email|password)$/.test(element.type));
+}
+
+/**
+ * Returns a boolean indicating if a modal dialog shown by the showDialog function is open, in which case keyboard
+ * shortcuts and clipboard events should be left to the dialog instead of changing the picture behind it.
+ *
+ * @returns {boolean} A boolean indicating if a dialog is open.
+ */
+function dialogOpen() {
+    return !!document.querySelector('dialog[open]');
+}
@@ -0,0 +1,175 @@
+/**
+ * Asks the user what to do with an image which was opened, dropped onto the picture or pasted from another program:
+ * place it onto the picture as a floating image, see the FloatingImage object, or replace the picture with it, see
+ * the openImage function.
+ *
+ * @param cx The 2DCanvasContext of the active layer.
+ * @param paint The state object of the Paint program.
+ * @param image The loaded image element.
+ */
+function importImage(cx, paint, image) {
+    var place = createElement('button', {type: 'button'}, 'Place');
+    var open = createElement('button', {type: 'button'}, 'Open as new image');
+    var cancel = createElement('button', {type: 'button'}, 'Cancel');
+    var dialog = showDialog('Import image',
+        createElement('div', null, 'The image is ' + image.width + ' × ' + image.height + ' pixels. Place it onto ' +
+            'the picture, where it can be moved and scaled, or open it as a new image replacing the picture?'),
+        createElement('div', null, place, ' ', open, ' ', cancel));
+
+    place.addEventListener('click', function() {
+        dialog.close();
+        if(paint.floating) {
+            paint.floating.close();
+        }
+        paint.floating = new FloatingImage(cx, paint, image);
+    });
+    open.addEventListener('click', function() {
+        dialog.close();
+        openImage(cx, paint, image);
+    });
+    cancel.addEventListener('click', function() {
+        dialog.close();
+    });
+    place.focus();
+}
+
+/**
+ * The FloatingImage object shows an imported image above the picture until the user places it. The image is moved by
+ * dragging it and scaled by dragging its bottom right corner, which keeps its proportions unless Shift is held.
+ * Pressing Enter or the Place button draws it onto the active layer and selects it, so it can still be moved with the
+ * selection tools, and pressing Escape or the Cancel button discards it. An image larger than the picture starts
+ * scaled down to fit.
+ *
+ * The image is not part of the picture while it floats, so it is not recorded and not shared with a collaboration
+ * until it is placed.
+ *
+ * @param cx The 2DCanvasContext of the active layer.
+ * @param paint The state object of the Paint program.
+ * @param image The loaded image element.
+ * @constructor
+ */
+function FloatingImage(cx, paint, image) {
+    var floating = this;
+    this.cx = cx;
+    this.paint = paint;
+    this.image = image;
+
+    var width = paint.layers.width(), height = paint.layers.height();
+    var scale = Math.min(1, width / image.width, height / image.height);
+    var boxWidth = Math.max(1, Math.round(image.width * scale));
+    var boxHeight = Math.max(1, Math.round(image.height * scale));
+    this.box = {x: Math.round((width - boxWidth) / 2), y: Math.round((height - boxHeight) / 2), width: boxWidth,
+                height: boxHeight};
+
+    this.preview = createElement('canvas', {class: 'float-preview', width: image.width, height: image.height,
+                                            title: 'Drag to move'});
+    this.preview.getContext('2d').drawImage(image, 0, 0);
+    var resize = createElement('div', {class: 'float-resize',
+                                       title: 'Drag to scale, hold Shift to change the proportions'});
+    var place = createElement('button', {type: 'button'}, 'Place');
+    var cancel = createElement('button', {type: 'button'}, 'Cancel');
+    this.error = createElement('span', {class: 'error'});
+    this.frame = createElement('div', {class: 'float-box', tabindex: 0}, this.preview, resize,
+                               createElement('div', {class: 'float-actions'}, place, ' ', cancel, ' ', this.error));
+    this.element = createElement('div', {class: 'float-layer'}, this.frame);
+    paint.viewport.panel.appendChild(this.element);
+
+    this.drag(this.preview, function(box, origin, dx, dy) {
+        box.x = origin.x + dx;
+        box.y = origin.y + dy;
+    });
+    this.drag(resize, function(box, origin, dx, dy, event) {
+        box.width = Math.max(1, origin.width + dx);
+        box.height = event.shiftKey ? Math.max(1, origin.height + dy) :
+            Math.max(1, Math.round(box.width * image.height / image.width));
+    });
+    place.addEventListener('click', function() {
+        floating.place();
+    });
+    cancel.addEventListener('click', function() {
+        floating.close();
+    });
+    this.frame.addEventListener('keydown', function(event) {
+        if(event.key == 'Enter' && event.target == floating.frame) {
+            floating.place();
+        } else if(event.key == 'Escape') {
+            floating.close();
+        } else {
+            return;
+        }
+        event.preventDefault();
+        event.stopPropagation();
+    });
+    this.onChange = function() {
+        floating.update();
+    };
+    paint.events.on('change', this.onChange);
+    this.update();
+    this.frame.focus();
+}
+
+/**
+ * Moves or scales the image while a handle is dragged.
+ *
+ * @param handle The element which is dragged.
+ * @param change A function(box, origin, dx, dy, event) which changes the box of the image, given the box from before
+ * the drag and the distance the pointer moved in picture pixels.
+ */
+FloatingImage.prototype.drag = function(handle, change) {
+    var floating = this;
+    handle.addEventListener('pointerdown', function(event) {
+        if(event.button != 0) return;
+        event.preventDefault();
+        var start = relativePos(event, floating.cx.canvas);
+        var origin = JSON.parse(JSON.stringify(floating.box));
+        trackDrag(function(event) {
+            var pos = relativePos(event, floating.cx.canvas);
+            change(floating.box, origin, pos.x - start.x, pos.y - start.y, event);
+            floating.update();
+        }, function() {
+            floating.frame.focus();
+        }, event);
+    });
+};
+
+/**
+ * Places the frame of the image over the picture. Positions are set as percentages of the picture, so they stay in
+ * place at every zoom level and when the picture is resized.
+ */
+FloatingImage.prototype.update = function() {
+    var box = this.box, width = this.paint.layers.width(), height = this.paint.layers.height();
+    setStyle(this.frame, {
+        left: box.x / width * 100 + '%',
+        top: box.y / height * 100 + '%',
+        width: box.width / width * 100 + '%',
+        height: box.height / height * 100 + '%'
+    });
+};
+
+/**
+ * Draws the image onto the active layer where it was placed and selects it. Nothing is drawn while the active layer
+ * is locked or hidden, which is reported next to the buttons instead.
+ */
+FloatingImage.prototype.place = function() {
+    var layer = this.paint.layers.active();
+    if(layer.locked || !layer.visible) {
+        this.error.textContent = 'The active layer is ' + (layer.locked ? 'locked.' : 'hidden.');
+        return;
+    }
+    var box = this.box;
+    pasteImage(this.cx, this.paint, this.image, box.x, box.y, box.width, box.height);
+    this.close();
+};
+
+/**
+ * Removes the image without drawing it.
+ */
+FloatingImage.prototype.close = function() {
+    if(this.element.parentNode) {
+        this.element.parentNode.removeChild(this.element);
+    }
+    this.paint.events.off('change', this.onChange);
+    if(this.paint.floating == this) {
+        this.paint.floating = null;
+    }
+};
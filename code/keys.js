@@ -0,0 +1,383 @@
+/**
+ * The commands object holds the actions which can be run with a keyboard shortcut or from the command palette besides
+ * selecting a tool or using a control. A command is an object with a label shown in the command palette and a
+ * run function(cx, paint). Commands can be added to it by any script loaded before createPaint is called.
+ */
+var commands = Object.create(null);
+
+commands.smallerBrush = {
+    label: 'Decrease brush size',
+    run: function(cx, paint) {
+        stepBrushSize(paint, -1);
+    }
+};
+
+commands.largerBrush = {
+    label: 'Increase brush size',
+    run: function(cx, paint) {
+        stepBrushSize(paint, 1);
+    }
+};
+
+commands.swapColors = {
+    label: 'Swap colors',
+    run: function(cx, paint) {
+        swapColors(paint);
+    }
+};
+
+commands.palette = {
+    label: 'Command palette',
+    run: function(cx, paint) {
+        openCommandPalette(cx, paint);
+    }
+};
+
+commands.shortcuts = {
+    label: 'Keyboard shortcuts',
+    run: function(cx, paint) {
+        openKeymapEditor(cx, paint);
+    }
+};
+
+/**
+ * The defaultKeymap object holds the keyboard shortcuts used until the user changes them. The names of the entries
+ * are the ids returned by the commandEntries function, and the keys are named by the keyName function.
+ */
+var defaultKeymap = {
+    'tool:Line': 'B',
+    'tool:Erase': 'E',
+    'tool:Text': 'T',
+    'tool:Spray': 'A',
+    'tool:Color Matcher': 'I',
+    'tool:Fill': 'F',
+    'tool:Gradient': 'G',
+    'tool:Rectangle': 'R',
+    'tool:Ellipse': 'O',
+    'tool:Straight Line': 'U',
+    'tool:Select Rectangle': 'M',
+    'tool:Lasso': 'L',
+    'tool:Magic Wand': 'W',
+    'tool:Crop': 'C',
+    'command:smallerBrush': '[',
+    'command:largerBrush': ']',
+    'command:swapColors': 'X',
+    'command:palette': 'Ctrl+K',
+    'command:previousFrame': ',',
+    'command:nextFrame': '.'
+};
+
+/**
+ * The name under which the changes the user made to the keyboard shortcuts are stored in the localStorage.
+ */
+var keymapStorageKey = 'paint-keymap';
+
+/**
+ * Returns the name of the key combination of a keyboard event, such as 'B', 'Shift+B', 'Ctrl+K' or '['. The Ctrl
+ * and Cmd keys have the same name, so shortcuts work the same way on every system. Shift is only part of the name of
+ * letters and named keys, since it changes the other characters typed with it.
+ *
+ * @param event The keydown event.
+ * @returns {string} The name of the key combination, or null when only a modifier key was pressed.
+ */
+function keyName(event) {
+    var key = event.key;
+    if(!key || ['Control', 'Meta', 'Alt', 'Shift', 'AltGraph', 'CapsLock'].indexOf(key) != -1) return null;
+    if(key == ' ') {
+        key = 'Space';
+    }
+    var character = key.length == 1;
+    var name = character ? key.toUpperCase() : key;
+    if(event.shiftKey && (!character || key.toUpperCase() != key.toLowerCase())) {
+        name = 'Shift+' + name;
+    }
+    if(event.altKey) {
+        name = 'Alt+' + name;
+    }
+    if(event.ctrlKey || event.metaKey) {
+        name = 'Ctrl+' + name;
+    }
+    return name;
+}
+
+/**
+ * Returns the keyboard shortcuts: the default shortcuts with the changes stored in the localStorage. When the
+ * localStorage can not be used, such as in some private windows, the default shortcuts are returned.
+ *
+ * @returns {Object} An object holding the name of the key combination of every command which has a shortcut.
+ */
+function loadKeymap() {
+    var keymap = {}, changes = {};
+    try {
+        changes = JSON.parse(localStorage.getItem(keymapStorageKey)) || {};
+    } catch(e) {
+        // Without stored changes the defaults are used.
+    }
+    for(var id in defaultKeymap) {
+        keymap[id] = defaultKeymap[id];
+    }
+    for(id in changes) {
+        if(changes.hasOwnProperty(id) && typeof changes[id] == 'string') {
+            keymap[id] = changes[id];
+        }
+    }
+    return keymap;
+}
+
+/**
+ * Stores the differences between the keyboard shortcuts and the default shortcuts in the localStorage. A removed
+ * shortcut is stored as an empty string.
+ *
+ * @param keymap The keyboard shortcuts object returned by the loadKeymap function.
+ * @throws {Error} The error of the localStorage when the shortcuts can not be stored.
+ */
+function saveKeymap(keymap) {
+    var changes = {};
+    for(var id in keymap) {
+        if(keymap[id] != (defaultKeymap[id] || '')) {
+            changes[id] = keymap[id];
+        }
+    }
+    for(id in defaultKeymap) {
+        if(!(id in keymap)) {
+            changes[id] = '';
+        }
+    }
+    localStorage.setItem(keymapStorageKey, JSON.stringify(changes));
+}
+
+/**
+ * Returns a readable label for the name of a control. Example: 'brushSize' becomes 'Brush size'.
+ *
+ * @param name The name of the control in the controls object.
+ * @returns {string} The label.
+ */
+function controlLabel(name) {
+    var words = name.replace(/([a-z])([A-Z])/g, '$1 $2').split(' ').map(function(word, i) {
+        if(i == 0) return word.charAt(0).toUpperCase() + word.slice(1);
+        return word == word.toUpperCase() ? word : word.toLowerCase();
+    });
+    return words.join(' ');
+}
+
+/**
+ * Moves the keyboard focus to the first form control of a toolbar control and scrolls it into view.
+ *
+ * @param element The DOM Element of the control.
+ */
+function focusControl(element) {
+    var target = Array.prototype.filter.call(element.querySelectorAll('button, input, select, textarea'),
+        function(node) {
+            return !node.disabled && node.type != 'hidden' && node.style.display != 'none';
+        })[0];
+    if(element.scrollIntoView) {
+        element.scrollIntoView({block: 'nearest'});
+    }
+    if(target) {
+        target.focus();
+    }
+}
+
+/**
+ * Returns everything which can be run from the command palette or with a keyboard shortcut: selecting one of the
+ * enabled tools, going to one of the controls in the toolbar and running one of the commands.
+ *
+ * @param cx The 2DCanvasContext of the active layer.
+ * @param paint The state object of the Paint program.
+ * @returns {Array} Objects {{id: string, label: string, kind: string, run: function}}, where the id is the name of the
+ * entry in the keyboard shortcuts object.
+ */
+function commandEntries(cx, paint) {
+    var entries = [];
+    Object.keys(paint.tools).forEach(function(name) {
+        entries.push({id: 'tool:' + name, label: name, kind: 'Tool', run: function() {
+            paint.setTool(name);
+        }});
+    });
+    Object.keys(paint.controls).forEach(function(name) {
+        entries.push({id: 'control:' + name, label: controlLabel(name), kind: 'Control', run: function() {
+            focusControl(paint.controls[name]);
+        }});
+    });
+    Object.keys(commands).forEach(function(name) {
+        entries.push({id: 'command:' + name, label: commands[name].label, kind: 'Command', run: function() {
+            commands[name].run(cx, paint);
+        }});
+    });
+    return entries;
+}
+
+/**
+ * Shows the command palette, a dialog with a search field listing the tools, controls and commands whose name
+ * contains the words typed into it, together with their keyboard shortcuts. The arrow keys move through the list and
+ * Enter runs the highlighted entry, as does clicking an entry.
+ *
+ * @param cx The 2DCanvasContext of the active layer.
+ * @param paint The state object of the Paint program.
+ */
+function openCommandPalette(cx, paint) {
+    var entries = commandEntries(cx, paint), shown = [], active = 0;
+    var search = createElement('input', {type: 'search', placeholder: 'Type a command', 'aria-label': 'Command'});
+    var list = createElement('ul', {class: 'commands'});
+    var dialog = showDialog('Commands', search, list);
+
+    function run(entry) {
+        dialog.close();
+        entry.run();
+    }
+    function update() {
+        var words = search.value.toLowerCase().split(/\s+/).filter(Boolean);
+        shown = entries.filter(function(entry) {
+            var text = (entry.kind + ' ' + entry.label).toLowerCase();
+            return words.every(function(word) {
+                return text.indexOf(word) != -1;
+            });
+        });
+        active = Math.max(0, Math.min(active, shown.length - 1));
+        list.textContent = '';
+        shown.forEach(function(entry, i) {
+            var item = createElement('button', {type: 'button', tabindex: -1},
+                createElement('span', {class: 'kind'}, entry.kind), ' ', entry.label,
+                createElement('kbd', null, paint.keymap[entry.id] || ''));
+            item.addEventListener('click', function() {
+                run(entry);
+            });
+            list.appendChild(createElement('li', {class: i == active ? 'active' : ''}, item));
+        });
+        if(!shown.length) {
+            list.appendChild(createElement('li', null, 'No matching commands.'));
+        }
+    }
+
+    search.addEventListener('input', function() {
+        active = 0;
+        update();
+    });
+    search.addEventListener('keydown', function(event) {
+        if(event.key == 'ArrowDown' || event.key == 'ArrowUp') {
+            active = Math.max(0, Math.min(shown.length - 1, active + (event.key == 'ArrowDown' ? 1 : -1)));
+            update();
+            var item = list.children[active];
+            if(item && item.scrollIntoView) {
+                item.scrollIntoView({block: 'nearest'});
+            }
+        } else if(event.key == 'Enter' && shown[active]) {
+            run(shown[active]);
+        } else {
+            return;
+        }
+        event.preventDefault();
+    });
+    update();
+    search.focus();
+}
+
+/**
+ * Shows a dialog listing the keyboard shortcuts of every tool, control and command. Pressing a key combination in the
+ * field of an entry makes it its shortcut, taking it away from any other entry, and Backspace or Delete removes the
+ * shortcut. The shortcuts are stored in the browser, so they are kept for the next visit.
+ *
+ * @param cx The 2DCanvasContext of the active layer.
+ * @param paint The state object of the Paint program.
+ */
+function openKeymapEditor(cx, paint) {
+    var fields = {};
+    var error = createElement('div', {class: 'error'});
+    var rows = commandEntries(cx, paint).map(function(entry) {
+        var field = fields[entry.id] = createElement('input', {type: 'text', readonly: '', class: 'key',
+                                                              'aria-label': entry.kind + ' ' + entry.label});
+        field.addEventListener('keydown', function(event) {
+            if(event.key == 'Tab' || event.key == 'Escape') return;
+            event.preventDefault();
+            var name = keyName(event);
+            if(event.key == 'Backspace' || event.key == 'Delete') {
+                name = '';
+            }
+            if(name === null) return;
+            for(var id in paint.keymap) {
+                if(name && paint.keymap[id] == name) {
+                    paint.keymap[id] = '';
+                }
+            }
+            paint.keymap[entry.id] = name;
+            change();
+        });
+        return createElement('tr', null, createElement('td', null, entry.kind), createElement('td', null, entry.label),
+                              createElement('td', null, field));
+    });
+
+    function change() {
+        try {
+            saveKeymap(paint.keymap);
+            error.textContent = '';
+        } catch(e) {
+            error.textContent = 'The shortcuts could not be stored in this browser, they only last until the page ' +
+                'is closed.';
+        }
+        update();
+    }
+    function update() {
+        for(var id in fields) {
+            fields[id].value = paint.keymap[id] || '';
+        }
+    }
+
+    var reset = createElement('button', {type: 'button'}, 'Reset to defaults');
+    var close = createElement('button', {type: 'button'}, 'Close');
+    var table = createElement('table');
+    rows.forEach(function(row) {
+        table.appendChild(row);
+    });
+    var dialog = showDialog('Keyboard shortcuts',
+        'Click a field and press the keys of the shortcut. Backspace removes the shortcut.',
+        createElement('div', {class: 'keymap'}, table), error, createElement('div', null, reset, ' ', close));
+    reset.addEventListener('click', function() {
+        paint.keymap = {};
+        for(var id in defaultKeymap) {
+            paint.keymap[id] = defaultKeymap[id];
+        }
+        change();
+    });
+    close.addEventListener('click', function() {
+        dialog.close();
+    });
+    update();
+}
+
+/**
+ * The shortcuts control constructor creates buttons which open the command palette and the keyboard shortcuts, and
+ * runs the tool, control or command of a keyboard shortcut when its keys are pressed. Shortcuts are ignored while
+ * typing into a text field, while a dialog is open and while a tool is in use, and keys handled by another control,
+ * such as Ctrl+Z, are left to it.
+ *
+ * @param cx The 2DCanvasContext for the canvas element of the Paint UI.
+ * @param paint The state object of the Paint program.
+ * @returns {Element} The DOM Element for the shortcuts control to be added to the toolbar UI.
+ */
+controls.shortcuts = function(cx, paint) {
+    paint.keymap = loadKeymap();
+
+    paint.listen(window, 'keydown', function(event) {
+        if(!paint.hasFocus() || event.defaultPrevented || isTextField(event.target) || drags.length ||
+           dialogOpen()) return;
+        var name = keyName(event);
+        if(!name) return;
+        var entry = commandEntries(cx, paint).filter(function(entry) {
+            return paint.keymap[entry.id] == name;
+        })[0];
+        if(!entry) return;
+        event.preventDefault();
+        entry.run();
+    });
+
+    var palette = createElement('button', {type: 'button', title: 'Search the tools, controls and commands'},
+                                'Commands…');
+    palette.addEventListener('click', function() {
+        openCommandPalette(cx, paint);
+    });
+    var shortcuts = createElement('button', {type: 'button'}, 'Shortcuts…');
+    shortcuts.addEventListener('click', function() {
+        openKeymapEditor(cx, paint);
+    });
+    return createElement('span', null, palette, ' ', shortcuts);
+};
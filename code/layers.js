@@ -0,0 +1,578 @@
+/**
+ * A Layer object holds one canvas of the picture along with the properties used to composite it with the other
+ * layers.
+ *
+ * @param name The name displayed for the layer in the layers control.
+ * @param canvas The canvas element holding the layer's pixels.
+ */
+function Layer(name, canvas) {
+    this.name = name;
+    this.canvas = canvas;
+    this.visible = true;
+    this.locked = false;
+    this.opacity = 1;
+    this.blendMode = 'source-over';
+}
+
+/**
+ * Returns the 2DCanvasContext of the layer's canvas.
+ *
+ * @returns {CanvasRenderingContext2D} The 2DCanvasContext of the layer.
+ */
+Layer.prototype.context = function() {
+    return this.canvas.getContext('2d');
+};
+
+/**
+ * The names of the blend modes which can be assigned to a layer mapped to the globalCompositeOperation used for them.
+ * The same names are valid values for the CSS mix-blend-mode property, except for 'source-over' which is 'normal'.
+ */
+var blendModes = {
+    'Normal': 'source-over',
+    'Multiply': 'multiply',
+    'Screen': 'screen',
+    'Overlay': 'overlay',
+    'Darken': 'darken',
+    'Lighten': 'lighten',
+    'Color Dodge': 'color-dodge',
+    'Color Burn': 'color-burn',
+    'Hard Light': 'hard-light',
+    'Soft Light': 'soft-light',
+    'Difference': 'difference',
+    'Exclusion': 'exclusion',
+    'Hue': 'hue',
+    'Saturation': 'saturation',
+    'Color': 'color',
+    'Luminosity': 'luminosity'
+};
+
+/**
+ * The LayerStack object holds the layers of the picture from bottom to top and displays their canvases inside of the
+ * picture panel.
+ *
+ * Tools and controls always draw with the 2DCanvasContext created by createPaint. To let them keep doing so, the
+ * canvas of that context always belongs to the active layer. When another layer is activated their pixels are swapped:
+ * the previously active layer receives a copy of the canvas and the canvas receives the pixels of the new layer. This
+ * keeps the fillStyle, strokeStyle and lineWidth of the context intact regardless of the active layer.
+ *
+ * The picture can also be an animation of several frames, each with layers of its own. Only the layers of the shown
+ * frame are in the stack. The frames array holds objects {{duration: number, snapshot: Object}} in the order they are
+ * played, where the snapshot holds the layers of a frame that is not shown, as created by the layerSnapshot method,
+ * and is null for the shown frame. Frame objects are never changed once created, so they can be shared by the
+ * snapshots of the history.
+ *
+ * @param cx The 2DCanvasContext used by the tools and controls.
+ * @param panel The picture panel element which displays the layer canvases.
+ */
+function LayerStack(cx, panel) {
+    this.cx = cx;
+    this.panel = panel;
+    this.activeLayer = new Layer('Background', cx.canvas);
+    this.layers = [this.activeLayer];
+    this.created = 1;
+    this.frames = [{duration: LayerStack.defaultFrameDuration, snapshot: null}];
+    this.frame = 0;
+    this.listeners = [];
+    this.displayed = [];
+    this.render();
+}
+
+/**
+ * The duration in milliseconds a frame of the animation is shown for, unless the user changes it.
+ */
+LayerStack.defaultFrameDuration = 100;
+
+/**
+ * The shortest and longest durations of a frame in milliseconds.
+ */
+LayerStack.minFrameDuration = 20;
+LayerStack.maxFrameDuration = 60000;
+
+/**
+ * Registers a function that is called whenever the layers or their properties change.
+ *
+ * @param listener The function to call when the layers change.
+ */
+LayerStack.prototype.onChange = function(listener) {
+    this.listeners.push(listener);
+};
+
+/**
+ * Calls every listener registered with the onChange method.
+ */
+LayerStack.prototype.notify = function() {
+    var stack = this;
+    this.listeners.forEach(function(listener) {
+        listener(stack);
+    });
+};
+
+/**
+ * @returns {Layer} The layer which the tools draw onto.
+ */
+LayerStack.prototype.active = function() {
+    return this.activeLayer;
+};
+
+/**
+ * @returns {number} The width in pixels shared by all layers.
+ */
+LayerStack.prototype.width = function() {
+    return this.cx.canvas.width;
+};
+
+/**
+ * @returns {number} The height in pixels shared by all layers.
+ */
+LayerStack.prototype.height = function() {
+    return this.cx.canvas.height;
+};
+
+/**
+ * Makes the supplied layer the active layer by swapping its pixels with the canvas used by the tools.
+ *
+ * @param layer The layer to activate.
+ */
+LayerStack.prototype.activate = function(layer) {
+    if(layer == this.activeLayer) return;
+    var cx = this.cx;
+
+    this.activeLayer.canvas = copyCanvas(cx.canvas);
+    cx.save();
+    cx.globalAlpha = 1;
+    cx.globalCompositeOperation = 'source-over';
+    cx.clearRect(0, 0, cx.canvas.width, cx.canvas.height);
+    cx.drawImage(layer.canvas, 0, 0);
+    cx.restore();
+    layer.canvas = cx.canvas;
+    this.activeLayer = layer;
+
+    this.render();
+    this.notify();
+};
+
+/**
+ * Creates a new empty layer above the active layer and activates it.
+ *
+ * @param name An optional name for the layer. By default layers are numbered in the order they were created.
+ * @returns {Layer} The new layer.
+ */
+LayerStack.prototype.add = function(name) {
+    this.created++;
+    var layer = new Layer(name || 'Layer ' + this.created,
+        createElement('canvas', {width: this.width(), height: this.height()}));
+    this.layers.splice(this.layers.indexOf(this.activeLayer) + 1, 0, layer);
+    this.activate(layer);
+    return layer;
+};
+
+/**
+ * Removes the supplied layer. The last remaining layer can not be removed. If the active layer is removed, the layer
+ * below it (or above it for the bottom layer) is activated.
+ *
+ * @param layer The layer to remove.
+ */
+LayerStack.prototype.remove = function(layer) {
+    if(this.layers.length < 2) return;
+    var index = this.layers.indexOf(layer);
+    if(layer == this.activeLayer) {
+        this.activate(this.layers[index > 0 ? index - 1 : 1]);
+    }
+    this.layers.splice(index, 1);
+    this.render();
+    this.notify();
+};
+
+/**
+ * Moves the supplied layer to a new position in the stack.
+ *
+ * @param layer The layer to move.
+ * @param index The new index of the layer where 0 is the bottom of the stack.
+ */
+LayerStack.prototype.move = function(layer, index) {
+    index = Math.max(0, Math.min(this.layers.length - 1, index));
+    this.layers.splice(this.layers.indexOf(layer), 1);
+    this.layers.splice(index, 0, layer);
+    this.render();
+    this.notify();
+};
+
+/**
+ * Changes a property of the supplied layer. Valid properties are name, visible, locked, opacity and blendMode.
+ *
+ * @param layer The layer to change.
+ * @param property The name of the property.
+ * @param value The new value of the property.
+ */
+LayerStack.prototype.set = function(layer, property, value) {
+    layer[property] = value;
+    this.render();
+    this.notify();
+};
+
+/**
+ * Returns an object describing the order, active layer and properties of all layers. The state does not include any
+ * pixels, which stay with the layer objects.
+ *
+ * @returns {{layers: Array, active: Layer, properties: Array}} The state object.
+ */
+LayerStack.prototype.state = function() {
+    return {
+        layers: this.layers.slice(),
+        active: this.activeLayer,
+        properties: this.layers.map(function(layer) {
+            return {name: layer.name, visible: layer.visible, locked: layer.locked,
+                    opacity: layer.opacity, blendMode: layer.blendMode};
+        })
+    };
+};
+
+/**
+ * Restores a state object created by the state method.
+ *
+ * @param state The state object to restore.
+ */
+LayerStack.prototype.setState = function(state) {
+    this.layers = state.layers.slice();
+    this.layers.forEach(function(layer, i) {
+        var properties = state.properties[i];
+        for(var name in properties) {
+            if(properties.hasOwnProperty(name)) {
+                layer[name] = properties[name];
+            }
+        }
+    });
+    this.activate(state.active);
+    this.render();
+    this.notify();
+};
+
+/**
+ * Returns a snapshot of the whole picture, including the size and pixels of every layer and the frames of the
+ * animation.
+ *
+ * @returns {{width: number, height: number, state: Object, pixels: Array, frames: Array, frame: number}} The snapshot
+ * object.
+ */
+LayerStack.prototype.snapshot = function() {
+    var snapshot = this.layerSnapshot();
+    snapshot.frames = this.frames.slice();
+    snapshot.frame = this.frame;
+    return snapshot;
+};
+
+/**
+ * Returns a snapshot of the layers of the shown frame, including the size of the picture and the pixels of every
+ * layer.
+ *
+ * @returns {{width: number, height: number, state: Object, pixels: Array}} The snapshot object.
+ */
+LayerStack.prototype.layerSnapshot = function() {
+    var width = this.width(), height = this.height();
+    return {
+        width: width,
+        height: height,
+        state: this.state(),
+        pixels: this.layers.map(function(layer) {
+            return layer.context().getImageData(0, 0, width, height);
+        })
+    };
+};
+
+/**
+ * Restores a snapshot created by the snapshot or the layerSnapshot method. A snapshot of the layers leaves the frames
+ * as they are.
+ *
+ * @param snapshot The snapshot object to restore.
+ */
+LayerStack.prototype.restore = function(snapshot) {
+    if(snapshot.frames) {
+        this.frames = snapshot.frames.slice();
+        this.frame = snapshot.frame;
+    }
+    this.setState(snapshot.state);
+    this.resize(snapshot.width, snapshot.height);
+    this.layers.forEach(function(layer, i) {
+        layer.context().putImageData(snapshot.pixels[i], 0, 0);
+    });
+};
+
+/**
+ * Returns the frames of the animation with the layers of the shown frame stored in its snapshot, like the other
+ * frames.
+ *
+ * @returns {Array} A new array of frame objects.
+ */
+LayerStack.prototype.storedFrames = function() {
+    var frames = this.frames.slice();
+    frames[this.frame] = {duration: frames[this.frame].duration, snapshot: this.layerSnapshot()};
+    return frames;
+};
+
+/**
+ * Replaces the frames of the animation and shows one of them. Every frame needs a snapshot, such as the frames
+ * returned by the storedFrames method.
+ *
+ * @param frames An array of frame objects {{duration: number, snapshot: Object}}.
+ * @param index The index of the frame to show.
+ */
+LayerStack.prototype.setFrames = function(frames, index) {
+    var snapshot = frames[index].snapshot;
+    this.frames = frames.slice();
+    this.frames[index] = {duration: frames[index].duration, snapshot: null};
+    this.frame = index;
+    this.restore(snapshot);
+};
+
+/**
+ * Shows every frame of the animation in turn and calls a function while it is shown, so that an operation which
+ * changes the layers, like scaling the picture, changes every frame. The frame which was shown is shown again
+ * afterwards.
+ *
+ * @param operation A function(index) called with the index of the shown frame.
+ */
+LayerStack.prototype.forEachFrame = function(operation) {
+    var shown = this.frame;
+    for(var i = 0; i < this.frames.length; i++) {
+        if(i != this.frame) {
+            this.setFrames(this.storedFrames(), i);
+        }
+        operation(i);
+    }
+    if(shown != this.frame) {
+        this.setFrames(this.storedFrames(), shown);
+    }
+};
+
+/**
+ * Removes every frame of the animation except for the shown frame, which turns the picture back into a still image.
+ */
+LayerStack.prototype.removeFrames = function() {
+    this.frames = [this.frames[this.frame]];
+    this.frame = 0;
+    this.notify();
+};
+
+/**
+ * Changes the size of every layer. Resizing clears the layers.
+ *
+ * @param width The new width in pixels.
+ * @param height The new height in pixels.
+ */
+LayerStack.prototype.resize = function(width, height) {
+    var cx = this.cx;
+    this.layers.forEach(function(layer) {
+        if(layer.canvas == cx.canvas) {
+            resizeCanvas(cx, width, height);
+        } else {
+            layer.canvas.width = width;
+            layer.canvas.height = height;
+        }
+    });
+    this.notify();
+};
+
+/**
+ * Draws all visible layers, with their opacity and blend mode, onto a new canvas.
+ *
+ * @returns {Element} A canvas element holding the flattened picture.
+ */
+LayerStack.prototype.composite = function() {
+    var canvas = createElement('canvas', {width: this.width(), height: this.height()});
+    var cx = canvas.getContext('2d');
+    this.layers.forEach(function(layer) {
+        if(layer.visible) {
+            cx.globalAlpha = layer.opacity;
+            cx.globalCompositeOperation = layer.blendMode;
+            cx.drawImage(layer.canvas, 0, 0);
+        }
+    });
+    return canvas;
+};
+
+/**
+ * Displays the layer canvases inside of the picture panel in stack order, below any other elements of the panel such
+ * as the overlay canvas. Only the canvas of the active layer receives mouse events, the others let them pass through.
+ */
+LayerStack.prototype.render = function() {
+    var panel = this.panel, active = this.activeLayer;
+    this.displayed.forEach(function(canvas) {
+        if(canvas.parentNode == panel) {
+            panel.removeChild(canvas);
+        }
+    });
+
+    var reference = panel.firstChild;
+    this.displayed = this.layers.map(function(layer) {
+        setStyle(layer.canvas, {
+            display: layer.visible ? '' : 'none',
+            opacity: layer.opacity,
+            mixBlendMode: layer.blendMode == 'source-over' ? 'normal' : layer.blendMode,
+            pointerEvents: layer == active ? '' : 'none'
+        });
+        panel.insertBefore(layer.canvas, reference);
+        return layer.canvas;
+    });
+};
+
+/**
+ * Creates a new canvas element holding a copy of the pixels of the supplied canvas.
+ *
+ * @param canvas The canvas element to be copied.
+ * @returns {Element} The new canvas element.
+ */
+function copyCanvas(canvas) {
+    var copy = createElement('canvas', {width: canvas.width, height: canvas.height});
+    copy.getContext('2d').drawImage(canvas, 0, 0);
+    return copy;
+}
+
+/**
+ * Creates a canvas element for every layer of a snapshot holding the pixels of the layer.
+ *
+ * @param snapshot A snapshot object created by the layerSnapshot method of a LayerStack.
+ * @returns {Array} The canvas elements in the order of the layers.
+ */
+function snapshotCanvases(snapshot) {
+    return snapshot.pixels.map(function(pixels) {
+        var canvas = createElement('canvas', {width: snapshot.width, height: snapshot.height});
+        canvas.getContext('2d').putImageData(pixels, 0, 0);
+        return canvas;
+    });
+}
+
+/**
+ * The layers control constructor creates a list of the picture's layers, from top to bottom, along with buttons to
+ * add, delete and reorder them. Each entry of the list can be clicked to activate the layer and has inputs for the
+ * visibility, lock, opacity and blend mode of the layer. Double clicking the name of a layer renames it. Every change
+ * is recorded in the history.
+ *
+ * The control also holds the option which makes the Color Matcher tool sample the merged picture instead of the
+ * active layer.
+ *
+ * @param cx The 2DCanvasContext for the canvas element of the Paint UI.
+ * @param paint The state object of the Paint program holding its layers.
+ * @returns {Element} The DOM Element for the layers control to be added to the toolbar UI.
+ */
+controls.layers = function(cx, paint) {
+    var layers = paint.layers, history = paint.history;
+    var list = createElement('ul', {class: 'layers'});
+    var sliding = null;
+
+    function button(label, onClick) {
+        var node = createElement('button', {type: 'button'}, label);
+        node.addEventListener('click', onClick);
+        return node;
+    }
+
+    function row(layer) {
+        var visible = createElement('input', {type: 'checkbox', title: 'Visible'});
+        visible.checked = layer.visible;
+        visible.addEventListener('change', function() {
+            history.recordLayers('Show layer', function() {
+                layers.set(layer, 'visible', visible.checked);
+            });
+        });
+
+        var locked = createElement('input', {type: 'checkbox', title: 'Locked'});
+        locked.checked = layer.locked;
+        locked.addEventListener('change', function() {
+            history.recordLayers('Lock layer', function() {
+                layers.set(layer, 'locked', locked.checked);
+            });
+        });
+
+        var name = createElement('span', {class: 'layer-name', title: 'Double click to rename'}, layer.name);
+        name.addEventListener('dblclick', function() {
+            var input = createElement('input', {type: 'text', value: layer.name});
+            showFormDialog('Rename Layer', [createElement('label', null, 'Layer name: ', input)], function() {
+                // The layer may have been removed, by an undo or someone else, while the dialog was open.
+                if(input.value && layers.layers.indexOf(layer) != -1) {
+                    history.recordLayers('Rename layer', function() {
+                        layers.set(layer, 'name', input.value);
+                    });
+                }
+            });
+            input.select();
+        });
+
+        var opacity = createElement('input', {type: 'range', min: 0, max: 100, title: 'Opacity'});
+        opacity.value = Math.round(layer.opacity * 100);
+        opacity.addEventListener('input', function() {
+            if(!sliding) {
+                sliding = layers.state();
+            }
+            layer.opacity = opacity.value / 100;
+            layers.render();
+        });
+        opacity.addEventListener('change', function() {
+            var before = sliding || layers.state();
+            sliding = null;
+            layers.set(layer, 'opacity', opacity.value / 100);
+            history.pushLayers('Layer opacity', before, layers.state());
+        });
+
+        var blend = createElement('select', {title: 'Blend mode'});
+        for(var mode in blendModes) {
+            blend.appendChild(createElement('option', {value: blendModes[mode]}, mode));
+        }
+        blend.value = layer.blendMode;
+        blend.addEventListener('change', function() {
+            history.recordLayers('Layer blend mode', function() {
+                layers.set(layer, 'blendMode', blend.value);
+            });
+        });
+
+        var item = createElement('li', {class: layer == layers.active() ? 'active' : ''},
+            visible, locked, name, opacity, blend);
+        item.addEventListener('click', function(event) {
+            if(event.target == item || event.target == name) {
+                layers.activate(layer);
+            }
+        });
+        return item;
+    }
+
+    function update() {
+        while(list.firstChild) {
+            list.removeChild(list.firstChild);
+        }
+        layers.layers.slice().reverse().forEach(function(layer) {
+            list.appendChild(row(layer));
+        });
+    }
+
+    var merged = createElement('input', {type: 'checkbox'});
+    merged.addEventListener('change', function() {
+        paint.sampleMerged = merged.checked;
+    });
+
+    layers.onChange(update);
+    update();
+
+    return createElement('div', {class: 'layers-control'}, 'Layers: ',
+        button('Add', function() {
+            history.recordLayers('Add layer', function() {
+                layers.add();
+            });
+        }),
+        button('Delete', function() {
+            history.recordLayers('Delete layer', function() {
+                layers.remove(layers.active());
+            });
+        }),
+        button('Up', function() {
+            var layer = layers.active();
+            history.recordLayers('Move layer', function() {
+                layers.move(layer, layers.layers.indexOf(layer) + 1);
+            });
+        }),
+        button('Down', function() {
+            var layer = layers.active();
+            history.recordLayers('Move layer', function() {
+                layers.move(layer, layers.layers.indexOf(layer) - 1);
+            });
+        }),
+        list,
+        createElement('label', null, merged, ' Color Matcher samples all layers'));
+};
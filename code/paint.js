@@ -50,304 +50,1268 @@ function setStyle(node, styles) {
     }
 }
 
+/**
+ * Helper function for showing a modal dialog. Any extra arguments are inserted below the title of the dialog the same
+ * way as by the createElement function. The dialog is removed from the document when it is closed, either by calling
+ * its close method or by pressing Escape, which fires its cancel event first.
+ *
+ * @param title The title of the dialog as a string.
+ * @returns {Element} The shown dialog element.
+ */
+function showDialog(title) {
+    var dialog = createElement('dialog', {class: 'dialog'}, createElement('h2', null, title));
+    for(var i = 1; i < arguments.length; i++) {
+        var child = arguments[i];
+        dialog.appendChild(typeof child == 'string' ? document.createTextNode(child) : child);
+    }
+    dialog.addEventListener('close', function() {
+        if(dialog.parentNode) {
+            dialog.parentNode.removeChild(dialog);
+        }
+    });
+    document.body.appendChild(dialog);
+    dialog.showModal();
+    return dialog;
+}
+
+/**
+ * Helper function for showing an error message in a modal dialog, which is closed with its Close button or Escape.
+ *
+ * @param title The title of the dialog as a string.
+ * @param message The error message as a string.
+ * @returns {Element} The shown dialog element.
+ */
+function showError(title, message) {
+    var close = createElement('button', {type: 'button'}, 'Close');
+    var dialog = showDialog(title, createElement('div', {class: 'error'}, message), createElement('div', null, close));
+    close.addEventListener('click', function() {
+        dialog.close();
+    });
+    close.focus();
+    return dialog;
+}
+
+/**
+ * Helper function for asking the user to confirm an action in a modal dialog. The onConfirm function is called only
+ * when the confirming button is pressed, the Cancel button and Escape just close the dialog.
+ *
+ * @param title The title of the dialog as a string.
+ * @param message The question as a string.
+ * @param action The label of the confirming button. Example: 'Remove'.
+ * @param onConfirm The function called when the action is confirmed.
+ * @returns {Element} The shown dialog element.
+ */
+function showConfirmDialog(title, message, action, onConfirm) {
+    var accept = createElement('button', {type: 'button'}, action);
+    var cancel = createElement('button', {type: 'button'}, 'Cancel');
+    var dialog = showDialog(title, createElement('div', null, message),
+                            createElement('div', null, accept, ' ', cancel));
+    accept.addEventListener('click', function() {
+        dialog.close();
+        onConfirm();
+    });
+    cancel.addEventListener('click', function() {
+        dialog.close();
+    });
+    cancel.focus();
+    return dialog;
+}
+
+/**
+ * The Emitter object keeps lists of handler functions for named events and calls the handlers of an event whenever it
+ * is emitted.
+ */
+function Emitter() {
+    this.handlers = Object.create(null);
+}
+
+/**
+ * Registers a function that is called whenever the named event is emitted.
+ *
+ * @param type The name of the event. Example: 'change'.
+ * @param handler The function to call with the arguments of the event.
+ */
+Emitter.prototype.on = function(type, handler) {
+    (this.handlers[type] = this.handlers[type] || []).push(handler);
+};
+
+/**
+ * Unregisters a function registered with the on method.
+ *
+ * @param type The name of the event.
+ * @param handler The function to unregister.
+ */
+Emitter.prototype.off = function(type, handler) {
+    var handlers = this.handlers[type] || [];
+    var index = handlers.indexOf(handler);
+    if(index != -1) {
+        handlers.splice(index, 1);
+    }
+};
+
+/**
+ * Calls every function registered for the named event with the remaining arguments.
+ *
+ * @param type The name of the event.
+ */
+Emitter.prototype.emit = function(type) {
+    var args = Array.prototype.slice.call(arguments, 1);
+    (this.handlers[type] || []).slice().forEach(function(handler) {
+        handler.apply(null, args);
+    });
+};
+
 /**
  * The controls object holds the constructor function for each toolbar control in the paint program.
- * Each constructor function is called when the program is initialized by the createPaint function.
+ * Each constructor function is called when the program is initialized by the createPaint function, unless the program
+ * is created with a list of controls which leaves it out.
  */
 var controls = Object.create(null);
 
+/**
+ * The focusedPaint variable holds the state object of the Paint program which was used last. Keyboard shortcuts and
+ * clipboard events belong to the whole page, so when several programs are embedded in one page only this one handles
+ * them.
+ */
+var focusedPaint = null;
+
 /**
  * The createPaint function initializes the program by creating the canvas, constructing all controls in the controls
- * object, and adding the UI elements to the parent element provided as an argument.
+ * object, and adding the UI elements to the parent element provided as an argument. Any number of programs can be
+ * created in one page, each with its own picture, history and settings.
+ *
+ * Each control constructor receives the 2DCanvasContext and the paint state object. The paint state object holds the
+ * parts of the program which are shared between controls, such as the layers and the undo history. The canvas of the
+ * 2DCanvasContext always belongs to the active layer. The overlay canvas is displayed above all layers and is used by
+ * tools to preview their operation before it is drawn onto the active layer. The picture panel holding the canvases is
+ * displayed inside of a scrollable viewport which can be zoomed. The palette holds the color strings saved by the user.
+ * The color, secondaryColor and brushSize of the state are the ones chosen by the user, and recentColors holds the
+ * colors painted with most recently. The tools object of the state holds the tools which are enabled in the program,
+ * and the fill, shapes, wand, gradient, pen, brush and text objects hold the options of the tools. The symmetry object
+ * holds the symmetry mode which repeats the strokes of the tools supporting it, and the onionSkin object the options
+ * of the onion skin of animations, see the OnionSkin object. The controls object of the state holds the DOM Element of
+ * every control in the toolbar by the name of the control, except for the timeline which is shown under the picture,
+ * and the keymap object the keyboard shortcuts, see the shortcuts control.
+ *
+ * Controls announce changes to each other with the events emitter of the state, see the Paint object for the events.
+ * Controls register listeners on the window or document with the listen function of the state, so that they are
+ * removed when the program is destroyed, and handle keyboard shortcuts only while the hasFocus function of the state
+ * returns true.
+ *
+ * Unless the autosave option is false, the picture is saved in the browser after every change and the program offers
+ * to restore the last saved picture when it starts.
  *
  * @param parent The element which will contain the Paint program UI.
+ * @param options An optional object. Example {width: 500, height: 300, historyLimit: 64 * 1024 * 1024,
+ * autosave: true, tools: ['Line', 'Erase'], controls: ['tools', 'color', 'history']}. The tools and controls arrays
+ * hold the names of the tools and controls to enable, by default all of them are enabled.
+ * @returns {Paint} The Paint object through which the program is used from code.
  */
-function createPaint(parent) {
-    var canvas = createElement('canvas', {width: 500, height: 300});
+function createPaint(parent, options) {
+    options = options || {};
+    var width = options.width || 500, height = options.height || 300;
+    var canvas = createElement('canvas', {width: width, height: height});
     var cx = canvas.getContext('2d');
+    var overlay = createElement('canvas', {class: 'overlay', width: width, height: height});
+    var panel = createElement('div', {class: 'picturepanel'}, overlay);
+    var view = createElement('div', {class: 'viewport'}, panel);
+    var layers = new LayerStack(cx, panel);
+    var paint = {
+        overlay: overlay,
+        layers: layers,
+        viewport: new Viewport(view, panel, layers),
+        selection: new PictureSelection(layers, panel),
+        history: new PaintHistory(layers, {memoryLimit: options.historyLimit}),
+        sampleMerged: false,
+        palette: [],
+        random: Math.random,
+        documents: new DocumentStore(),
+        documentId: null,
+        autosave: options.autosave !== false,
+        color: '#000000',
+        secondaryColor: '#ffffff',
+        recentColors: [],
+        brushSize: 1,
+        tools: enabledEntries(tools, options.tools),
+        controls: Object.create(null),
+        fill: {tolerance: 0, contiguous: true, antialias: true, pattern: 'Solid'},
+        shapes: {mode: 'fill', sides: 5, radius: 10},
+        wand: {tolerance: 32, contiguous: true},
+        symmetry: {mode: 'off', ways: 6, center: null},
+        onionSkin: {enabled: false, before: 1, after: 1, opacity: 0.3},
+        gradient: {type: 'Linear', region: 'selection',
+                   stops: [{offset: 0, color: '#000000'}, {offset: 1, color: '#ffffff'}]},
+        pen: {size: true, opacity: false, tilt: false},
+        brush: brushPreset('Pencil'),
+        text: {font: 'sans-serif', size: 24, bold: false, italic: false, underline: false, align: 'left', fill: true,
+               outline: false, outlineColor: '#ffffff', outlineWidth: 2},
+        events: new Emitter(),
+        listeners: []
+    };
+    paint.tool = Object.keys(paint.tools)[0] || null;
+    paint.listen = function(target, type, handler) {
+        target.addEventListener(type, handler);
+        paint.listeners.push({target: target, type: type, handler: handler});
+    };
+    paint.hasFocus = function() {
+        return focusedPaint == paint;
+    };
+    paint.setTool = function(name) {
+        if(name in paint.tools && name != paint.tool) {
+            paint.tool = name;
+            paint.events.emit('toolchange', name);
+        }
+    };
+    paint.setColor = function(color) {
+        var value = Color.fromStyle(color).toHex();
+        var changed = value != paint.color;
+        paint.color = cx.fillStyle = cx.strokeStyle = value;
+        if(changed) {
+            paint.events.emit('colorchange', value);
+        }
+    };
+    paint.setSecondaryColor = function(color) {
+        var value = Color.fromStyle(color).toHex();
+        if(value != paint.secondaryColor) {
+            paint.secondaryColor = value;
+            paint.events.emit('secondarycolorchange', value);
+        }
+    };
+    paint.setBrushSize = function(size) {
+        size = Number(size);
+        if(isNaN(size)) return;
+        size = Math.max(1, Math.min(maxBrushSize, size));
+        var changed = size != paint.brushSize;
+        paint.brushSize = cx.lineWidth = size;
+        if(changed) {
+            paint.events.emit('brushsizechange', size);
+        }
+    };
+    paint.recorder = new Recorder(paint);
+    paint.history.onChange(function(history, action) {
+        paint.events.emit('change', action);
+    });
+    handleToolEvents(cx, paint);
+
     var toolbar = createElement('div', {class: 'toolbar'});
-    for(var name in controls) {
-        toolbar.appendChild(controls[name](cx));
+    var enabled = enabledEntries(controls, options.controls);
+    for(var name in enabled) {
+        toolbar.appendChild(paint.controls[name] = enabled[name](cx, paint));
+    }
+
+    var element = createElement('div', null, view, toolbar);
+    if(paint.controls.timeline) {
+        // The frames of an animation are listed under the picture rather than among the other controls.
+        element.insertBefore(paint.controls.timeline, toolbar);
+    }
+    ['pointerdown', 'focusin'].forEach(function(type) {
+        element.addEventListener(type, function() {
+            focusedPaint = paint;
+        }, true);
+    });
+    focusedPaint = focusedPaint || paint;
+    parent.appendChild(element);
+    if(paint.autosave) {
+        offerRestore(cx, paint);
+    }
+    return new Paint(element, cx, paint);
+}
+
+/**
+ * Returns the entries of a registry object whose names are in a list, in the order of the registry.
+ *
+ * @param registry The tools or controls object.
+ * @param names An array of names, or undefined to return all entries.
+ * @returns {Object} An object holding the chosen entries.
+ */
+function enabledEntries(registry, names) {
+    var entries = Object.create(null);
+    for(var name in registry) {
+        if(!names || names.indexOf(name) != -1) {
+            entries[name] = registry[name];
+        }
     }
+    return entries;
+}
 
-    var panel = createElement('div', {class: 'picturepanel'}, canvas);
-    parent.appendChild(createElement('div', null, panel, toolbar));
+/**
+ * The Paint object is returned by the createPaint function to let the page embedding the program use it from code.
+ *
+ * The on method registers a handler for one of these events:
+ * 'toolchange' with the name of the selected tool, 'colorchange' and 'secondarycolorchange' with the new color as a
+ * '#rrggbb' string, or '#rrggbbaa' when it is transparent, 'palettechange' after colors were added to or removed from
+ * the palette, 'brushsizechange' with the new brush size, 'brushchange' with the brush settings after a preset was
+ * chosen or the brush options were changed, 'change' with the history action ('push', 'undo', 'redo' or 'clear') after
+ * the picture changed, 'load' after an image or project was loaded and 'destroy' when the program is destroyed.
+ *
+ * @param element The element holding the UI of the program.
+ * @param cx The 2DCanvasContext of the active layer.
+ * @param paint The state object of the Paint program.
+ */
+function Paint(element, cx, paint) {
+    this.element = element;
+    this.cx = cx;
+    this.paint = paint;
 }
 
 /**
- * The tools object holds the handler functions for each tool in the tool control element. Each tool with a handler
- * will be added to the tools control when it is constructed.
+ * Registers a function that is called whenever the named event is emitted.
+ *
+ * @param type The name of the event. Example: 'change'.
+ * @param handler The function to call with the arguments of the event.
+ */
+Paint.prototype.on = function(type, handler) {
+    this.paint.events.on(type, handler);
+};
+
+/**
+ * Unregisters a function registered with the on method.
+ *
+ * @param type The name of the event.
+ * @param handler The function to unregister.
+ */
+Paint.prototype.off = function(type, handler) {
+    this.paint.events.off(type, handler);
+};
+
+/**
+ * Selects a tool. Names of tools which are not enabled are ignored.
+ *
+ * @param name The name of the tool. Example: 'Line'.
+ */
+Paint.prototype.setTool = function(name) {
+    this.paint.setTool(name);
+};
+
+/**
+ * Changes the color used by the tools.
+ *
+ * @param color A CSS color string. Example: '#ff0000' or 'rgba(255, 0, 0, 0.5)'.
+ */
+Paint.prototype.setColor = function(color) {
+    this.paint.setColor(color);
+};
+
+/**
+ * Changes the secondary color, which the tools use when the picture is clicked with the right mouse button.
+ *
+ * @param color A CSS color string. Example: '#ffffff'.
+ */
+Paint.prototype.setSecondaryColor = function(color) {
+    this.paint.setSecondaryColor(color);
+};
+
+/**
+ * Changes the brush size used by the tools. Sizes are kept between 1 and maxBrushSize pixels, and a size which is not
+ * a number is ignored.
+ *
+ * @param size The size in pixels.
+ */
+Paint.prototype.setBrushSize = function(size) {
+    this.paint.setBrushSize(size);
+};
+
+/**
+ * Replaces the picture with an image, like opening an image as a new image in the open file control does. The picture
+ * is resized to the image.
+ *
+ * @param source The URL of the image, or a Blob or File holding the image.
+ * @param callback An optional function(error) called when the image is loaded or could not be loaded.
+ */
+Paint.prototype.loadImage = function(source, callback) {
+    var url = typeof source == 'string' ? source : URL.createObjectURL(source);
+    loadImageURL(this.cx, url, this.paint, function(error) {
+        if(url != source) {
+            URL.revokeObjectURL(url);
+        }
+        if(callback) {
+            callback(error);
+        }
+    });
+};
+
+/**
+ * Encodes the flattened picture as an image file. Formats without alpha are flattened onto white.
+ *
+ * @param callback A function(error, blob) as described by the encodeCanvas function.
+ * @param format An optional name of one of the exportFormats. Default: 'png'.
+ * @param quality The optional quality of lossy formats from 0 to 1. Default: 0.92.
+ */
+Paint.prototype.toBlob = function(callback, format, quality) {
+    var chosen = exportFormats[format || 'png'];
+    if(!chosen) {
+        callback('Unknown image format: ' + format);
+        return;
+    }
+    var canvas = exportCanvas(this.paint, {selection: false, scale: 1, background: chosen.alpha ? null : '#ffffff'});
+    encodeCanvas(canvas, chosen, quality == null ? 0.92 : quality, callback);
+};
+
+/**
+ * @returns {ImageData} The pixels of the flattened picture.
+ */
+Paint.prototype.getImageData = function() {
+    var layers = this.paint.layers;
+    return layers.composite().getContext('2d').getImageData(0, 0, layers.width(), layers.height());
+};
+
+/**
+ * Replaces the picture with an empty picture of the same size. This can be undone.
+ */
+Paint.prototype.clear = function() {
+    newPicture(this.paint, this.paint.layers.width(), this.paint.layers.height());
+};
+
+/**
+ * Removes the program from the page. Its drags, timers and connections are stopped and the listeners registered with
+ * the listen function of the state are removed. The object can not be used afterwards.
+ */
+Paint.prototype.destroy = function() {
+    var paint = this.paint;
+    paint.events.emit('destroy');
+    endDrags(this.element);
+    if(paint.recorder.active) {
+        paint.recorder.stop();
+    }
+    paint.selection.clear();
+    paint.listeners.forEach(function(listener) {
+        listener.target.removeEventListener(listener.type, listener.handler);
+    });
+    paint.listeners = [];
+    if(focusedPaint == paint) {
+        focusedPaint = null;
+    }
+    if(this.element.parentNode) {
+        this.element.parentNode.removeChild(this.element);
+    }
+};
+
+/**
+ * The tools object holds the tools which can be selected in the tools control, unless the program is created with a
+ * list of tools which leaves some out. Tools can be added to it by any script loaded before createPaint is called.
+ *
+ * A tool is an object with any of the following optional properties. Every handler is called with the tool as this.
+ *
+ * - down(event, cx, paint, operation): called with the pointer down event which starts an operation of the tool.
+ * - move(event, cx, paint, operation): called for every pointer move event while the pointer is held down.
+ * - up(event, cx, paint, operation): called with the pointer up event which completes the operation.
+ * - cancel(event, cx, paint, operation): called instead of up when the browser cancels the pointer. Everything the
+ *   operation drew onto the active layer is removed afterwards.
+ * - key(event, cx, paint, operation): called for every keydown and keyup event during the operation.
+ * - activate(cx, paint) and deactivate(cx, paint): called when the tool is selected and when another tool is selected
+ *   or the program is destroyed.
+ * - cursor: the CSS cursor shown above the picture while the tool is selected, or a function(cx, paint) returning it.
+ *   It is asked again when the brush size or zoom level changes, see the brushCursor function.
+ * - options: a function(cx, paint) which creates the DOM Element holding the options of the tool. The element is shown
+ *   next to the tools control while the tool is selected. Tools sharing the same options function share one element.
+ * - symmetric: true when the tool draws through the mirror method of the operation, which repeats the drawing for the
+ *   symmetry mode chosen in the symmetry control.
+ *
+ * The operation is a ToolOperation object. Tools which are done after the pointer down event, such as the Fill tool,
+ * call its end method from their down handler. Tools which need to remember something between the events of an
+ * operation keep it as a property of the operation object.
+ *
+ * For compatibility a tool can also be a handler function(event, cx, onEnd, paint) which is called with the pointer
+ * down event and tracks the rest of the operation itself, calling onEnd once it is complete.
  */
 var tools = Object.create(null);
 
 /**
- * The tools control constructor creates a select form control and adds all tools with handlers in the tools object
- * as options to the form control. The constructor also registers an event handler on the canvas that calls the
- * selected tool's handler function when mouse 1 is pressed.
+ * The contextProperties array holds the names of the 2DCanvasContext properties which tools may change while they
+ * draw. They are saved when a tool operation starts and restored when it ends.
+ */
+var contextProperties = ['lineCap', 'lineJoin', 'miterLimit', 'lineDashOffset', 'font', 'textAlign', 'textBaseline',
+    'globalAlpha', 'globalCompositeOperation', 'imageSmoothingEnabled', 'shadowBlur', 'shadowColor', 'shadowOffsetX',
+    'shadowOffsetY', 'filter'];
+
+/**
+ * A ToolOperation object represents one use of a tool, from the pointer press until the operation ends. Starting it
+ * records the active layer in the history and passes the operation to the recorder, which also provides the random
+ * numbers of the operation as the random function of the paint state object. The operation paints with the color of
+ * the paint state object, or with the secondary color when it was started with the right mouse button, and keeps it
+ * as its color property.
+ *
+ * Ending the operation commits the change as an undoable step, clears the overlay canvas and restores the
+ * 2DCanvasContext: the properties in contextProperties, the transform and the line dash are reset to their state when
+ * the operation started, and the color and brush size to the ones chosen in the paint state object. This also happens
+ * when a handler of the tool throws an error, in which case the operation is cancelled. The color of an operation which
+ * changed the picture is added to the recent colors.
+ *
+ * @param cx The 2DCanvasContext of the active layer.
+ * @param paint The state object of the Paint program.
+ * @param name The name of the tool.
+ * @param event The pointer down event which started the operation.
+ */
+function ToolOperation(cx, paint, name, event) {
+    this.cx = cx;
+    this.paint = paint;
+    this.name = name;
+    this.tool = paint.tools[name];
+    this.ended = false;
+    this.state = {lineDash: cx.getLineDash()};
+    var state = this.state;
+    contextProperties.forEach(function(property) {
+        state[property] = cx[property];
+    });
+
+    this.color = event.button == 2 ? paint.secondaryColor : paint.color;
+    cx.fillStyle = cx.strokeStyle = this.color;
+    this.transforms = this.tool.symmetric ? symmetryTransforms(paint.symmetry, cx.canvas.width, cx.canvas.height) :
+        [[1, 0, 0, 1, 0, 0]];
+
+    paint.history.begin();
+    paint.random = seededRandom(paint.recorder.begin(name, event, cx));
+}
+
+/**
+ * Calls a handler of the tool. When it throws an error the operation is cancelled before the error is passed on.
+ *
+ * @param type The name of the handler. Example: 'move'.
+ * @param event The event passed to the handler.
+ */
+ToolOperation.prototype.handle = function(type, event) {
+    var handler = this.tool[type];
+    if(this.ended || !handler) return;
+    try {
+        handler.call(this.tool, event, this.cx, this.paint, this);
+    } catch(e) {
+        this.cancel();
+        throw e;
+    }
+};
+
+/**
+ * Calls the down handler of the tool with the pointer down event, and unless the operation was ended by it, passes
+ * the following pointer and keyboard events to the tool until the pointer is released or cancelled.
+ *
+ * @param event The pointer down event which started the operation.
+ */
+ToolOperation.prototype.start = function(event) {
+    var operation = this;
+    if(typeof this.tool == 'function') {
+        try {
+            this.tool(event, this.cx, function() {
+                operation.end();
+            }, this.paint);
+        } catch(e) {
+            this.cancel();
+            throw e;
+        }
+        return;
+    }
+
+    this.handle('down', event);
+    if(this.ended) return;
+
+    function onKey(event) {
+        operation.handle('key', event);
+    }
+    addEventListener('keydown', onKey);
+    addEventListener('keyup', onKey);
+    this.stopKeys = function() {
+        removeEventListener('keydown', onKey);
+        removeEventListener('keyup', onKey);
+    };
+    trackDrag(function(event) {
+        operation.handle('move', event);
+    }, function(event) {
+        if(event.type == 'pointercancel') {
+            operation.handle('cancel', event);
+            operation.cancel();
+        } else {
+            operation.handle('up', event);
+            operation.end();
+        }
+    }, event);
+};
+
+/**
+ * Ends the operation, committing its change as an undoable step. Calling it again does nothing.
+ */
+ToolOperation.prototype.end = function() {
+    if(this.ended) return;
+    this.ended = true;
+    if(this.stopKeys) {
+        this.stopKeys();
+    }
+
+    var cx = this.cx, paint = this.paint, state = this.state;
+    contextProperties.forEach(function(property) {
+        cx[property] = state[property];
+    });
+    cx.setTransform(1, 0, 0, 1, 0, 0);
+    cx.setLineDash(state.lineDash);
+    cx.fillStyle = cx.strokeStyle = paint.color;
+    cx.lineWidth = paint.brushSize;
+    clearOverlay(paint.overlay, cx.canvas);
+
+    if(paint.history.commit(this.name) && !paint.recorder.replaying) {
+        addRecentColor(paint, this.color);
+    }
+    paint.recorder.end();
+};
+
+/**
+ * Runs a drawing function once for every copy made by the symmetry mode, with the transform of the copy applied to
+ * the 2DCanvasContext, see the symmetryTransforms function. Without symmetry, or when the tool does not support it,
+ * the drawing function is run once without a transform. The context is saved and restored around every run.
+ *
+ * @param cx The 2DCanvasContext to draw onto, which is the active layer or the overlay canvas.
+ * @param drawing The function which draws onto the context. It is called with the transform of the copy.
+ */
+ToolOperation.prototype.mirror = function(cx, drawing) {
+    this.transforms.forEach(function(transform) {
+        cx.save();
+        cx.transform.apply(cx, transform);
+        drawing(transform);
+        cx.restore();
+    });
+};
+
+/**
+ * Ends the operation and removes everything it drew onto the active layer.
+ */
+ToolOperation.prototype.cancel = function() {
+    if(this.ended) return;
+    this.paint.history.cancel();
+    this.end();
+};
+
+/**
+ * Returns the CSS cursor for tools which draw with the brush size: the outline of a circle as large as the brush at the
+ * current zoom level. Brushes too small or too large to be shown as a cursor use a crosshair.
+ *
+ * @param cx The 2DCanvasContext of the active layer.
+ * @param paint The state object of the Paint program.
+ * @returns {string} The CSS cursor.
+ */
+function brushCursor(cx, paint) {
+    var diameter = paint.brushSize * paint.viewport.zoom;
+    if(diameter < 5 || diameter > 120) {
+        return 'crosshair';
+    }
+    var size = Math.ceil(diameter) + 4, center = size / 2, radius = diameter / 2;
+    var svg = '<svg xmlns="http://www.w3.org/2000/svg" width="' + size + '" height="' + size + '">' +
+        '<circle cx="' + center + '" cy="' + center + '" r="' + radius + '" fill="none" stroke="white" ' +
+        'stroke-width="3"/><circle cx="' + center + '" cy="' + center + '" r="' + radius + '" fill="none" ' +
+        'stroke="black"/></svg>';
+    return 'url("data:image/svg+xml,' + encodeURIComponent(svg) + '") ' + Math.round(center) + ' ' +
+        Math.round(center) + ', crosshair';
+}
+
+/**
+ * Registers the event handler on the canvas that starts an operation of the selected tool when the primary button of
+ * a mouse, pen or touch pointer is pressed, or the right mouse button, which paints with the secondary color instead
+ * of showing the context menu. Tools can not be used on a locked or hidden layer.
+ *
+ * The selected tool is activated when the program starts and whenever another tool is selected, and its cursor is
+ * shown above the picture.
  *
  * @param cx The 2DCanvasContext for the canvas element of the Paint UI.
+ * @param paint The state object of the Paint program.
+ */
+function handleToolEvents(cx, paint) {
+    var active = null;
+    var panel = paint.viewport.panel;
+
+    function updateCursor() {
+        var cursor = active && active.cursor;
+        if(typeof cursor == 'function') {
+            cursor = cursor.call(active, cx, paint);
+        }
+        panel.style.setProperty('--tool-cursor', cursor || 'auto');
+    }
+    function select(name) {
+        if(active && active.deactivate) {
+            active.deactivate(cx, paint);
+        }
+        active = paint.tools[name] || null;
+        if(active && active.activate) {
+            active.activate(cx, paint);
+        }
+        updateCursor();
+    }
+
+    paint.events.on('toolchange', select);
+    paint.events.on('brushsizechange', updateCursor);
+    paint.viewport.onChange(updateCursor);
+    paint.events.on('destroy', function() {
+        select(null);
+    });
+    select(paint.tool);
+
+    cx.canvas.addEventListener('pointerdown', function(event) {
+        var layer = paint.layers.active();
+        var name = paint.tool;
+        if((event.button == 0 || event.button == 2) && event.isPrimary && !layer.locked && layer.visible && name) {
+            event.preventDefault();
+            new ToolOperation(cx, paint, name, event).start(event);
+        }
+    });
+    cx.canvas.addEventListener('contextmenu', function(event) {
+        event.preventDefault();
+    });
+}
+
+/**
+ * The tools control constructor creates a select form control and adds the enabled tools as options to the form
+ * control. Selecting an option selects the tool with the setTool function of the paint state object. The options
+ * element of the selected tool is shown next to the select.
+ *
+ * @param cx The 2DCanvasContext for the canvas element of the Paint UI.
+ * @param paint The state object of the Paint program.
  * @returns {Element} The DOM Element for the tools control to be added to the toolbar UI.
  */
-controls.tools = function(cx) {
+controls.tools = function(cx, paint) {
     var select = createElement('select');
-    for(var name in tools) {
+    for(var name in paint.tools) {
         select.appendChild(createElement('option', null, name));
     }
+    var options = createElement('div', {class: 'tool-options'});
+    var panels = [];
 
-    cx.canvas.addEventListener('mousedown', function(event) {
-        if(event.which == 1) {
-            tools[select.value](event, cx);
-            event.preventDefault();
+    function show(name) {
+        select.value = name;
+        options.textContent = '';
+        var tool = paint.tools[name];
+        if(!tool || !tool.options) return;
+        var panel = panels.filter(function(panel) {
+            return panel.create == tool.options;
+        })[0];
+        if(!panel) {
+            panel = {create: tool.options, element: tool.options(cx, paint)};
+            panels.push(panel);
         }
+        options.appendChild(panel.element);
+    }
+    select.addEventListener('change', function() {
+        paint.setTool(select.value);
     });
+    paint.events.on('toolchange', show);
+    show(paint.tool);
 
-    return createElement('span', null, 'Tool: ', select);
+    return createElement('div', null, 'Tool: ', select, options);
 };
 
 /**
  * The relativePos function converts a mouse event with absolute coordinates to a coordinate object that is relative
- * to the supplied element. The function also takes into account the border, margin, and padding of the element to
- * ensure the relative coordinates are within the usable space of the element. This is typically used with the canvas
- * element to ensure drawing occurs at the correct location in the canvas.
+ * to the supplied canvas element. The function takes into account the border of the element and the difference
+ * between its displayed size and its size in pixels, so the coordinates point at the pixel under the mouse at any
+ * zoom level. This is typically used with the canvas element to ensure drawing occurs at the correct location in the
+ * canvas.
  *
  * @param event The mouse event which holds the absolute coordinates of the mouse event.
- * @param element The element within which relative coordinates are to be calculated.
+ * @param element The canvas element within which relative coordinates are to be calculated.
  * @returns {{x: number, y: number}} Coordinate object with relative x and y coordinates.
  */
 function relativePos(event, element) {
     var rect = element.getBoundingClientRect();
-    var xDelta = (rect.width - element.width) / 2;
-    var yDelta = (rect.height - element.height) / 2;
-    return {x: Math.floor(event.clientX - rect.left - xDelta),
-            y: Math.floor(event.clientY - rect.top - yDelta)};
+    var scaleX = element.clientWidth ? element.width / element.clientWidth : 1;
+    var scaleY = element.clientHeight ? element.height / element.clientHeight : 1;
+    return {x: Math.floor((event.clientX - rect.left - element.clientLeft) * scaleX),
+            y: Math.floor((event.clientY - rect.top - element.clientTop) * scaleY)};
 }
 
 /**
- * The trackDrag function is a helper function for handling mouse move events when a mouse button is held down.
- * It accepts an onMove function and onEnd function. The onMove function is registered to the mouse move event.
- * When the mouse button is released the end function is executed which unregisters the listeners and calls the onEnd
- * function if it is present.
+ * The drags array holds the end function of every drag currently tracked by the trackDrag function. The element
+ * property of an end function holds the element the drag was started on.
+ */
+var drags = [];
+
+/**
+ * The trackDrag function is a helper function for handling pointer move events when a mouse button is held down or a
+ * pen or finger touches the screen. It accepts an onMove function and onEnd function. The onMove function is
+ * registered to the pointer move event. When the pointer is released or cancelled the end function is executed which
+ * unregisters the listeners and calls the onEnd function if it is present.
  *
- * @param onMove The handler function for mouse move events.
- * @param onEnd The function called after the mouse button is released.
+ * When the pointer down event which started the drag is supplied, only that pointer is tracked and it is captured by
+ * the element it was pressed on, so the drag continues when the pointer leaves the window.
+ *
+ * @param onMove The handler function for pointer move events.
+ * @param onEnd The function called after the pointer is released.
+ * @param start The optional pointer down event which started the drag.
  */
-function trackDrag(onMove, onEnd) {
+function trackDrag(onMove, onEnd, start) {
+    var pointerId = start ? start.pointerId : null;
+    var last = start;
+
+    function tracked(event) {
+        return pointerId === null || event.pointerId === pointerId;
+    }
+    function move(event) {
+        if(tracked(event)) {
+            last = event;
+            onMove(event);
+        }
+    }
     function end(event) {
-        removeEventListener('mousemove', onMove);
-        removeEventListener('mouseup', end);
+        if(!tracked(event)) return;
+        removeEventListener('pointermove', move);
+        removeEventListener('pointerup', end);
+        removeEventListener('pointercancel', end);
+        drags.splice(drags.indexOf(stop), 1);
         if(onEnd) {
             onEnd(event);
         }
     }
-    addEventListener('mousemove', onMove);
-    addEventListener('mouseup', end);
+    function stop() {
+        end(last || {pointerId: pointerId});
+    }
+
+    addEventListener('pointermove', move);
+    addEventListener('pointerup', end);
+    addEventListener('pointercancel', end);
+    stop.element = start ? start.target : null;
+    drags.push(stop);
+    if(start && start.target.setPointerCapture) {
+        try {
+            start.target.setPointerCapture(pointerId);
+        } catch(e) {
+            // The pointer was already released, its pointerup event ends the drag.
+        }
+    }
 }
 
 /**
- * The Line tool handler draws a line under the mouse cursor as long as mouse 1 is held down.
+ * Ends every drag tracked by the trackDrag function as if its pointer was released at its last position. This is used
+ * when a touch gesture takes over from a drag that was already started.
  *
- * @param event The mouse down event that initiated the handler.
- * @param cx The 2DCanvasContext used for drawings the line.
- * @param onEnd A pass through of the onEnd function to allow the Line tool to be extended for other tools.
+ * @param container An optional element. When it is supplied only the drags started inside of it are ended.
  */
-tools.Line = function(event, cx, onEnd) {
-    cx.lineCap = 'round';
-    var pos = relativePos(event, cx.canvas);
+function endDrags(container) {
+    drags.filter(function(stop) {
+        return !container || (stop.element && container.contains(stop.element));
+    }).forEach(function(stop) {
+        stop();
+    });
+}
 
-    trackDrag(function(event) {
-        cx.beginPath();
-        cx.moveTo(pos.x, pos.y);
-        pos = relativePos(event, cx.canvas);
-        cx.lineTo(pos.x, pos.y);
-        cx.stroke();
-    }, onEnd);
+/**
+ * The Line tool paints a stroke under the mouse cursor as long as mouse 1 is held down, with the brush settings of the
+ * brush control and the brushOptions panel. The stroke is only drawn inside of the current selection. Every sample of
+ * a pen's movement is drawn, with its pressure and tilt changing the size and opacity of the brush as set in the pen
+ * control.
+ */
+tools.Line = {
+    cursor: brushCursor,
+    symmetric: true,
+    options: function(cx, paint) {
+        return brushOptions(cx, paint);
+    },
+    down: function(event, cx, paint, operation) {
+        beginStroke(event, cx, paint, operation, this.erase);
+    },
+    move: function(event, cx, paint, operation) {
+        continueStroke(event, cx, paint, operation);
+    },
+    up: function(event, cx, paint, operation) {
+        endStroke(event, cx, paint, operation);
+    }
 };
 
 /**
- * The Erase tool handler extends the Line tool by setting the 2DCanvasContext's operation to 'destination-out' which
- * causes the lines to draw empty 'erased' space instead of colored lines. When the mouse button is released the
- * operation is set back to 'source-over' which causes the 2DCanvasContext to revert to normal operation.
- *
- * @param event The mouse down event which initiated the handler.
- * @param cx The 2DCanvasContext used for drawing the empty 'erased' space.
+ * The Erase tool extends the Line tool by erasing the pixels under the stroke instead of painting them. It shares the
+ * brush and its options panel with the Line tool.
  */
-tools.Erase = function(event, cx) {
-    cx.globalCompositeOperation = 'destination-out';
-    tools.Line(event, cx, function() {
-        cx.globalCompositeOperation = 'source-over';
-    });
-};
+tools.Erase = Object.create(tools.Line);
+tools.Erase.erase = true;
 
 /**
- * The color control constructor creates a color input form control and registers an event listener that updates
- * the 2DCanvasContext's fillStyle and strokeStyle when a change occurs.
+ * The color control constructor creates the color panel, see the colorPanel function.
  *
  * @param cx The 2DCanvasContext for the canvas element of the Paint UI.
+ * @param paint The state object of the Paint program.
  * @returns {Element} The DOM Element for the color control to be added to the toolbar UI.
  */
-controls.color = function(cx) {
-    var input = createElement('input', {type: 'color', id: 'color'});
-    input.addEventListener('change', function() {
-        cx.fillStyle = input.value;
-        cx.strokeStyle = input.value;
-    });
-    return createElement('span', null, 'Color: ', input);
+controls.color = function(cx, paint) {
+    return colorPanel(cx, paint);
 };
 
 /**
- * The brushSize control constructor creates a select form control and adds the hard coded sizes as options to the
- * form control. The constructor also registers an event listener that updates the 2DCanvasContext's lineWidth when
- * a change occurs.
+ * The largest brush size in pixels which can be chosen.
+ */
+var maxBrushSize = 1000;
+
+/**
+ * The brush sizes stepped through by the stepBrushSize function.
+ */
+var brushSizeSteps = [1, 2, 3, 4, 5, 6, 8, 10, 12, 15, 20, 25, 30, 40, 50, 60, 80, 100, 150, 200, 300, 400, 500, 750,
+    1000];
+
+/**
+ * Changes the brush size to the next larger or smaller size in brushSizeSteps.
+ *
+ * @param paint The state object of the Paint program.
+ * @param direction 1 to make the brush larger or -1 to make it smaller.
+ */
+function stepBrushSize(paint, direction) {
+    var steps = brushSizeSteps.filter(function(size) {
+        return direction > 0 ? size > paint.brushSize : size < paint.brushSize;
+    });
+    if(steps.length) {
+        paint.setBrushSize(direction > 0 ? steps[0] : steps[steps.length - 1]);
+    }
+}
+
+/**
+ * The brushSize control constructor creates a number input form control for the brush size, which accepts any size
+ * from 1 to maxBrushSize pixels, and a select form control for the brush presets. Changing the size changes it with the
+ * setBrushSize function of the paint state object, and sizes which are not valid are reverted. Choosing a preset
+ * replaces the settings of the brush, and when the settings are changed in the brush options the select shows that
+ * they no longer match a preset.
  *
  * @param cx The 2DCanvasContext for the canvas element of the Paint UI.
+ * @param paint The state object of the Paint program.
  * @returns {Element} The DOM Element for the brush size control to be added to the toolbar UI.
  */
-controls.brushSize = function(cx) {
+controls.brushSize = function(cx, paint) {
+    var input = createElement('input', {type: 'number', min: 1, max: maxBrushSize, step: 'any', value: cx.lineWidth});
     var select = createElement('select');
-    var sizes = [1, 2, 3, 5, 8, 12, 25, 35, 50, 75, 100];
+    var custom = createElement('option', {value: '', disabled: ''}, 'Custom');
+    select.appendChild(custom);
+    for(var name in brushPresets) {
+        select.appendChild(createElement('option', {value: name}, name));
+    }
 
-    sizes.forEach(function(size) {
-        select.appendChild(createElement('option', {value: size},
-            size + ' pixels'));
+    input.addEventListener('change', function() {
+        var size = Number(input.value);
+        if(input.value !== '' && size >= 1 && size <= maxBrushSize) {
+            paint.setBrushSize(size);
+        } else {
+            input.value = paint.brushSize;
+        }
     });
-
     select.addEventListener('change', function() {
-        cx.lineWidth = select.value;
+        paint.brush = brushPreset(select.value);
+        paint.events.emit('brushchange', paint.brush);
     });
+    function showPreset() {
+        select.value = paint.brush.preset in brushPresets ? paint.brush.preset : '';
+        custom.hidden = !!select.value;
+    }
+    paint.events.on('brushsizechange', function(size) {
+        input.value = size;
+    });
+    paint.events.on('brushchange', showPreset);
+    showPreset();
 
-    return createElement('span', null, 'Brush size: ', select);
+    return createElement('span', null, 'Brush size: ', input, ' pixels ', select);
 };
 
 /**
- * The save control constructor creates a link which is updated on mouseover or focus. When updated, the link is
- * set to a data URL which represents the canvas's content. The handler also addresses a potential security error
- * which occurs when the canvas data is locked due to being part of a different domain.
+ * The save control constructor creates a button which opens the export dialog, where the flattened content of all
+ * layers is saved as an image file.
  *
  * @param cx The 2DCanvasContext for the canvas element whose content will be saved.
+ * @param paint The state object of the Paint program holding its layers.
  * @returns {Element} The DOM Element for the save control to be added to the toolbar UI.
  */
-controls.save = function(cx) {
-    var link = createElement('a', {href: '/'}, 'Save');
-    function update() {
-        try {
-            link.href = cx.canvas.toDataURL();
-        } catch (e) {
-            if(e instanceof SecurityError) {
-                link.href = 'javascript:alert(' +
-                        JSON.stringify("Can't save: " + e.toString()) + ')';
+controls.save = function(cx, paint) {
+    var button = createElement('button', {type: 'button'}, 'Export…');
+    button.addEventListener('click', function() {
+        showExportDialog(paint);
+    });
+    return button;
+};
+
+
+/**
+ * The messages shown when an image can not be opened: when it could not be loaded, when a file is not an image and
+ * when the image comes from a website which does not allow other websites to read its pixels. Drawing such an image
+ * would taint the canvas, after which the picture could no longer be read, undone or saved.
+ */
+var imageErrors = {
+    load: 'The image could not be loaded. Check that the file or the address is an image.',
+    type: 'The file is not an image.',
+    tainted: 'The image is on a website which does not allow it to be edited on other websites. Save the image to ' +
+        'your computer and open the file instead.'
+};
+
+/**
+ * Returns a boolean indicating if drawing an image onto a canvas would taint the canvas.
+ *
+ * @param image The loaded image element.
+ * @returns {boolean} True when the pixels of the image can not be read.
+ */
+function imageTainted(image) {
+    var cx = createElement('canvas', {width: 1, height: 1}).getContext('2d');
+    cx.drawImage(image, 0, 0);
+    try {
+        cx.getImageData(0, 0, 1, 1);
+        return false;
+    } catch(e) {
+        if(e.name != 'SecurityError') throw e;
+        return true;
+    }
+}
+
+/**
+ * Loads an image element from a URL. Images from other websites are requested with CORS, so their pixels can be read
+ * when the website allows it. When the request fails the image is loaded once more without CORS, which tells an image
+ * that does not exist from one the website does not allow to be edited.
+ *
+ * @param url The URL of the image.
+ * @param callback A function(error, image) called with one of the imageErrors messages when the image can not be
+ * used, or with null and the loaded image element.
+ */
+function loadImageElement(url, callback) {
+    function load(cors) {
+        var image = document.createElement('img');
+        if(cors) {
+            image.crossOrigin = 'anonymous';
+        }
+        image.addEventListener('load', function() {
+            if(imageTainted(image)) {
+                callback(imageErrors.tainted);
             } else {
-                throw e;
+                callback(null, image);
             }
-        }
+        });
+        image.addEventListener('error', function() {
+            if(cors) {
+                load(false);
+            } else {
+                callback(imageErrors.load);
+            }
+        });
+        image.src = url;
     }
+    load(!/^(data|blob):/i.test(url));
+}
 
-    link.addEventListener('mouseover', update);
-    link.addEventListener('focus', update);
-    return link;
-};
+/**
+ * Loads an image element from a file, such as one chosen in a file input or dropped onto the picture.
+ *
+ * @param file The File or Blob holding the image.
+ * @param callback A function(error, image) as described by the loadImageElement function.
+ */
+function loadImageFile(file, callback) {
+    if(file.type && !/^image\//.test(file.type)) {
+        callback(imageErrors.type);
+        return;
+    }
+    var url = URL.createObjectURL(file);
+    loadImageElement(url, function(error, image) {
+        URL.revokeObjectURL(url);
+        callback(error, image);
+    });
+}
 
+/**
+ * Replaces the picture with an image. Every layer is resized to the size of the image, which is drawn onto the active
+ * layer, and the other frames of an animation are dropped. Opening the image is recorded in the history so it can be
+ * undone, and a load event is emitted.
+ *
+ * @param cx The 2DCanvasContext of the active layer.
+ * @param paint The state object of the Paint program.
+ * @param image The loaded image element.
+ */
+function openImage(cx, paint, image) {
+    paint.history.recordDocument('Load image', function() {
+        paint.layers.removeFrames();
+        paint.layers.resize(image.width, image.height);
+        cx.drawImage(image, 0, 0);
+    });
+    paint.events.emit('load');
+}
 
 /**
- * Given an image data URL and a 2DCanvasContext, the loadImageURL function will draw the loaded image onto the canvas.
+ * Given an image URL and a 2DCanvasContext, the loadImageURL function loads the image and replaces the picture with
+ * it, see the openImage function.
  *
  * @param cx The 2DCanvasContext for the canvas on which the image will be loaded.
- * @param url The image data URL to be loaded.
- */
-function loadImageURL(cx, url) {
-    var image = document.createElement('img');
-    image.addEventListener('load', function() {
-        var color = cx.fillStyle, size = cx.lineWidth;
-        cx.canvas.width = image.width;
-        cx.canvas.height = image.height;
-        cx.drawImage(image, 0, 0);
-        cx.fillStyle = color;
-        cx.strokeStyle = color;
-        cx.lineWidth = size;
+ * @param url The image URL to be loaded.
+ * @param paint The state object of the Paint program.
+ * @param callback An optional function(error) called with null when the image is loaded, or with one of the
+ * imageErrors messages when it could not be loaded.
+ */
+function loadImageURL(cx, url, paint, callback) {
+    callback = callback || function() {};
+    loadImageElement(url, function(error, image) {
+        if(!error) {
+            openImage(cx, paint, image);
+        }
+        callback(error);
     });
-    image.src = url;
 }
 
 /**
- * The openFile control creates a file input form control. When the file input form control is changed, the selected
- * file will be read as a data URL and then loaded onto the supplied canvas.
+ * The resizeCanvas function changes the size of the canvas of the supplied 2DCanvasContext. Changing the size of a
+ * canvas clears it and resets the 2DCanvasContext, so the fillStyle, strokeStyle and lineWidth are restored afterwards.
+ *
+ * @param cx The 2DCanvasContext of the canvas to be resized.
+ * @param width The new width of the canvas in pixels.
+ * @param height The new height of the canvas in pixels.
+ */
+function resizeCanvas(cx, width, height) {
+    var fill = cx.fillStyle, stroke = cx.strokeStyle, size = cx.lineWidth;
+    cx.canvas.width = width;
+    cx.canvas.height = height;
+    cx.fillStyle = fill;
+    cx.strokeStyle = stroke;
+    cx.lineWidth = size;
+}
+
+/**
+ * The openFile control creates a file input form control. When a file is chosen, or an image file or link is dropped
+ * onto the picture, the image is loaded and the user chooses between placing it onto the picture and opening it as a
+ * new picture, see the importImage function. An image which can not be loaded is reported next to the file input, or
+ * in a dialog when it was dropped.
  *
  * @param cx The 2DCanvasContext of the canvas which the loaded image will be drawn onto.
+ * @param paint The state object of the Paint program.
  * @returns {Element} The DOM Element for the openFile control to be added to the toolbar UI.
  */
-controls.openFile = function(cx) {
-    var input = createElement('input', {type: 'file'});
+controls.openFile = function(cx, paint) {
+    var input = createElement('input', {type: 'file', accept: 'image/*'});
+    var error = createElement('span', {class: 'error'});
     input.addEventListener('change', function() {
         if(input.files.length == 0) return;
-        var reader = new FileReader();
-        reader.addEventListener('load', function() {
-            loadImageURL(cx, reader.result);
+        error.textContent = '';
+        loadImageFile(input.files[0], function(message, image) {
+            input.value = '';
+            if(message) {
+                error.textContent = message;
+            } else {
+                importImage(cx, paint, image);
+            }
         });
-        reader.readAsDataURL(input.files[0]);
     });
-    return createElement('div', null, 'Open file: ', input);
+
+    var view = paint.viewport.element;
+    function droppable(event) {
+        var types = Array.prototype.slice.call(event.dataTransfer.types);
+        return types.indexOf('Files') != -1 || types.indexOf('text/uri-list') != -1;
+    }
+    function dropped(message, image) {
+        if(message) {
+            showError('The image could not be opened', message);
+        } else {
+            importImage(cx, paint, image);
+        }
+    }
+    view.addEventListener('dragover', function(event) {
+        if(!droppable(event)) return;
+        event.preventDefault();
+        event.dataTransfer.dropEffect = 'copy';
+    });
+    view.addEventListener('drop', function(event) {
+        if(!droppable(event)) return;
+        event.preventDefault();
+        var file = event.dataTransfer.files[0];
+        var url = event.dataTransfer.getData('text/uri-list').split(/\r?\n/).filter(function(line) {
+            return line && line.charAt(0) != '#';
+        })[0];
+        if(file) {
+            loadImageFile(file, dropped);
+        } else if(url) {
+            loadImageElement(url, dropped);
+        }
+    });
+
+    return createElement('div', null, 'Open file: ', input, ' ', error);
 };
 
 /**
- * The openURL control creates a text input form control & a submit button form control. The form control accepts an
- * image data URL string which will be loaded onto the supplied context when the form is submitted via the load button.
+ * The openURL control creates a text input form control & a submit button form control. The image at the URL typed
+ * into the text input is loaded when the form is submitted via the load button, and the user chooses what to do with
+ * it, see the importImage function. An image which can not be loaded is reported next to the button.
  *
  * @param cx The 2DCanvasContext of the canvas which the loaded image will be drawn onto.
+ * @param paint The state object of the Paint program.
  * @returns {Element} The DOM Element for the openURL control to be added to the toolbar UI.
  */
-controls.openURL = function(cx) {
+controls.openURL = function(cx, paint) {
     var input = createElement('input', {type: 'text'});
+    var error = createElement('span', {class: 'error'});
     var form = createElement('form', null,
         'Open URL: ', input,
-        createElement('button', {type: 'submit'}, 'load'));
+        createElement('button', {type: 'submit'}, 'load'), ' ', error);
     form.addEventListener('submit', function(event) {
         event.preventDefault();
-        loadImageURL(cx, input.value);
+        error.textContent = '';
+        loadImageElement(input.value, function(message, image) {
+            if(message) {
+                error.textContent = message;
+            } else {
+                importImage(cx, paint, image);
+            }
+        });
     });
     return form;
 };
 
 /**
- * The text tool handler prompts the user for input text and then draws it on the canvas at the mouse down location.
- * The text uses the size set by the brushSize control (minimum of 7pt size) and sans-serif font.
- *
- * @param event The mouse down event that initiated the handler.
- * @param cx The 2DCanvasContext used for drawing the text.
+ * The Text tool opens a text box where the picture is clicked, and draws the text of the box onto the active layer
+ * when the picture is clicked outside of it, see the TextEditor object. The text box is hidden while another tool is
+ * selected.
  */
-tools.Text = function(event, cx) {
-    var text = prompt('Text:', "");
-    if(text) {
-        var pos = relativePos(event, cx.canvas);
-        cx.font = Math.max(7, cx.lineWidth) + 'px sans-serif';
-        cx.fillText(text, pos.x, pos.y);
+tools.Text = {
+    cursor: 'text',
+    options: function(cx, paint) {
+        return textOptions(cx, paint);
+    },
+    activate: function(cx, paint) {
+        if(paint.textEditor) {
+            paint.textEditor.show();
+        }
+    },
+    deactivate: function(cx, paint) {
+        if(paint.textEditor) {
+            paint.textEditor.hide();
+        }
+    },
+    down: function(event, cx, paint, operation) {
+        placeText(event, cx, paint, operation);
     }
 };
 
 /**
- * The spray tool handler acts like the traditional spray can tool found in drawing applications. The diameter of the
- * spray circle is set by the brushSize control. The circle will move with the mouse if it is held down and the dots
- * are placed at a 25ms tick. Each a number of dots equal to 1/30 of the area of the circle are placed.
- *
- * @param event The mouse down event that initiated the handler.
- * @param cx The 2DCanvasContext used for drawing the spray.
+ * The spray tool acts like the traditional spray can tool found in drawing applications. The diameter of the spray
+ * circle is set by the brushSize control. The circle will move with the mouse if it is held down and the dots are
+ * placed at a 25ms tick. Each a number of dots equal to 1/30 of the area of the circle are placed. Dots are only placed
+ * inside of the current selection, and are repeated by the symmetry mode. The pressure and tilt of a pen change the
+ * size of the circle and the opacity of the dots as set in the pen control. The ticks and the random dots come from the
+ * recorder, so that a recorded spray is replayed exactly.
  */
-tools.Spray = function(event, cx) {
-    var radius = cx.lineWidth / 2;
-    var area = radius * radius * Math.PI;
-    var dotsPerTick = Math.ceil(area / 30);
+tools.Spray = {
+    cursor: brushCursor,
+    symmetric: true,
+    down: function(event, cx, paint, operation) {
+        operation.pos = relativePos(event, cx.canvas);
+        operation.dynamics = penDynamics(event, paint.pen);
 
-    var currentPos = relativePos(event, cx.canvas);
-    var spray = setInterval(function() {
-        for(var i = 0; i < dotsPerTick; i++) {
-            var offset = randomPointInRadius(radius);
-            cx.fillRect(currentPos.x + offset.x,
-                currentPos.y + offset.y, 1, 1);
-        }
-    }, 25);
-    trackDrag(function(event) {
-        currentPos = relativePos(event, cx.canvas);
-    }, function() {
-        clearInterval(spray);
-    });
+        operation.stopSpray = paint.recorder.interval(function() {
+            var pos = operation.pos, dynamics = operation.dynamics;
+            var radius = cx.lineWidth * dynamics.size / 2;
+            var area = radius * radius * Math.PI;
+            var dotsPerTick = Math.ceil(area / 30);
+
+            var offsets = [];
+            for(var i = 0; i < dotsPerTick; i++) {
+                offsets.push(randomPointInRadius(radius, paint.random));
+            }
+            paint.selection.draw(cx, function() {
+                operation.mirror(cx, function() {
+                    cx.globalAlpha *= dynamics.opacity;
+                    offsets.forEach(function(offset) {
+                        cx.fillRect(pos.x + offset.x,
+                            pos.y + offset.y, 1, 1);
+                    });
+                });
+            });
+        }, 25);
+    },
+    move: function(event, cx, paint, operation) {
+        operation.pos = relativePos(event, cx.canvas);
+        operation.dynamics = penDynamics(event, paint.pen);
+    },
+    up: function(event, cx, paint, operation) {
+        operation.stopSpray();
+    },
+    cancel: function(event, cx, paint, operation) {
+        operation.stopSpray();
+    }
 };
 
 /**
@@ -355,59 +1319,20 @@ tools.Spray = function(event, cx) {
  * tightly distributed towards the center.
  *
  * @param radius The radius of the circle within which the points will fall.
+ * @param random An optional function returning random numbers from 0 to 1. By default Math.random is used.
  * @returns {{x: number, y: number}} A coordinate object containing the random point.
  */
-function randomPointInRadius(radius) {
+function randomPointInRadius(radius, random) {
+    random = random || Math.random;
     for(;;) {
-        var x = Math.random() * 2 - 1;
-        var y = Math.random() * 2 - 1;
+        var x = random() * 2 - 1;
+        var y = random() * 2 - 1;
         if(x * x + y * y <= 1) {
             return {x: x*radius, y: y * radius};
         }
     }
 }
 
-/**
- * The rectangle tool draws a rectangle on the canvas between the points where the mouse was clicked and released.
- * A placeholder rectangle is displayed before the change is committed to the canvas to the assist the user in seeing
- * where the rectangle will be drawn.
- *
- * @param event The mouse down event which initiated the handler.
- * @param cx The 2DCanvasContext used for drawing the rectangle.
- */
-tools.Rectangle = function(event, cx) {
-    var canvasStartPos = relativePos(event, cx.canvas);
-    var pageStartPos = {x: event.clientX, y: event.clientY};
-    var placeholder = createElement('div', {
-        style: {
-            background: cx.fillStyle,
-            position: 'absolute',
-            left: pageStartPos.x + 'px',
-            top: pageStartPos.y + 'px',
-            width: '1px',
-            height: '1px'
-        }
-    });
-    cx.canvas.parentNode.appendChild(placeholder);
-
-    trackDrag(function(event) {
-        var pos = {x: event.clientX, y: event.clientY};
-        pos = keepInBounds(pos, cx.canvas);
-        var rect = rectangleFromPoints(pageStartPos, pos);
-        setStyle(placeholder, {
-            left: rect.left + 'px',
-            top: rect.top + 'px',
-            width: rect.width + 'px',
-            height: rect.height + 'px'
-        });
-    }, function(event) {
-        var canvasEndPos = relativePos(event, cx.canvas);
-        var rect = rectangleFromPoints(canvasStartPos, canvasEndPos);
-        cx.fillRect(rect.left, rect.top, rect.width, rect.height);
-        cx.canvas.parentNode.removeChild(placeholder);
-    })
-};
-
 /**
  * The rectangleFromPoints functions takes two coordinate objects representing opposing corners of a rectangles and
  * generates an equivalent rectangle coordinate object in terms of its top coordinate, left coordinate, width, and
@@ -425,52 +1350,73 @@ function rectangleFromPoints(a, b) {
 }
 
 /**
- * The keepInBounds function takes a coordinate object and an element and returns a coordinate object that does not
- * exceed the bounding client rectangle of the element. This function is used to ensure that mouse move events do not
- * exceed the object that they are initiated in, for example to draw the rectangle assisting element before committing
- * it to the canvas.
+ * A color object which holds the red, green, blue, and alpha values for a color. The values are checked, so a color
+ * object always holds a valid color: values which are not numbers from 0 to 255 throw a RangeError, and fractions are
+ * rounded.
  *
- * @param point A coordinate object {{x: number, y: number}}.
- * @param element The element which should contain the coordinate object.
- * @returns {{x: number, y: number}} The original coordinate if it is in the element or the closest coordinate in the
- * element otherwise.
+ * @param r Red value (0 to 255).
+ * @param g Green value (0 to 255).
+ * @param b Blue value (0 to 255).
+ * @param a Alpha value (0 to 255), 255 when it is left out.
  */
-function keepInBounds(point, element) {
-    var rect = element.getBoundingClientRect();
-    var result = {};
-
-    result.x = point.x < rect.left ? rect.left : point.x;
-    result.x = point.x > rect.right ? rect.right : result.x;
-    result.y = point.y < rect.top ? rect.top : point.y;
-    result.y = point.y > rect.bottom ? rect.bottom : result.y;
-
-    return result;
+function Color(r, g, b, a) {
+    this.r = colorChannel(r, 'red');
+    this.g = colorChannel(g, 'green');
+    this.b = colorChannel(b, 'blue');
+    this.a = a === undefined ? 255 : colorChannel(a, 'alpha');
 }
 
 /**
- * A color object which holds the red, green, blue, and alpha values for a color.
+ * Checks one value of a color.
  *
- * @param r Red value (0 to 255).
- * @param g Green value (0 to 255).
- * @param b Blue value (0 to 255).
- * @param a Alpha value (0 to 255).
+ * @param value The value.
+ * @param name The name of the value, used in the error message.
+ * @returns {number} The value rounded to an integer.
  */
-// @TODO Add validators on the constructor to ensure input values do not exceed limits.
-function Color(r, g, b, a) {
-    this.r = r;
-    this.g = g;
-    this.b = b;
-    this.a = a;
+function colorChannel(value, name) {
+    if(typeof value != 'number' || !(value >= 0 && value <= 255)) {
+        throw new RangeError('The ' + name + ' value of a color must be a number from 0 to 255, not ' + value + '.');
+    }
+    return Math.round(value);
 }
 
 /**
  * The toContextString function returns a string that can be assigned to the 2DCanvasContext's fillStyle and
  * strokeStyle properties to change its color.
  *
- * @returns {string} Example: 'rgb(0, 0, 0)'
+ * @returns {string} Example: 'rgba(0, 0, 0, 1)'
  */
 Color.prototype.toContextString = function() {
-    return 'rgb(' + this.r + ', ' + this.g + ', ' + this.b + ')';
+    return 'rgba(' + this.r + ', ' + this.g + ', ' + this.b + ', ' + this.a / 255 + ')';
+};
+
+/**
+ * Returns the color as a hexadecimal string, with the alpha value only when the color is not opaque.
+ *
+ * @returns {string} Example: '#ff0000' or '#ff000080'.
+ */
+Color.prototype.toHex = function() {
+    return this.toDOMString() + (this.a == 255 ? '' : ('0' + this.a.toString(16)).slice(-2));
+};
+
+/**
+ * Returns a color object for a hexadecimal color string with 3, 4, 6 or 8 digits, with or without the leading '#'.
+ *
+ * @param hex The color string. Example: '#ff000080'.
+ * @returns {Color} The color object.
+ */
+Color.fromHex = function(hex) {
+    var digits = String(hex).trim().replace(/^#/, '');
+    if(!/^([0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/i.test(digits)) {
+        throw new RangeError('"' + hex + '" is not a hexadecimal color.');
+    }
+    if(digits.length <= 4) {
+        digits = digits.replace(/./g, '$&$&');
+    }
+    var values = digits.match(/../g).map(function(pair) {
+        return parseInt(pair, 16);
+    });
+    return new Color(values[0], values[1], values[2], values[3]);
 };
 
 /**
@@ -492,18 +1438,32 @@ Color.prototype.toDOMString = function() {
 };
 
 /**
- * The color matcher tool detects the pixel color at the location of the mousedown event and sets the color control and
- * 2DCanvasContext color to the detected color.
- *
- * @param event The mousedown event which initialized the handler.
- * @param cx The 2DCanvasContext for the canvas in which the pixel color is to be detected.
+ * The color matcher tool detects the pixel color at the location of the mousedown event and selects it with the
+ * setColor function of the paint state object, or as the secondary color when the right mouse button was pressed. The
+ * color is detected in the active layer, or in the merged picture when the sampleMerged option of the paint state
+ * object is set.
  */
-tools['Color Matcher'] = function(event, cx) {
-    var pos = relativePos(event, cx.canvas);
-    var color = pixelColor(pos, cx);
+tools['Color Matcher'] = {
+    cursor: 'crosshair',
+    down: function(event, cx, paint, operation) {
+        var pos = relativePos(event, cx.canvas);
+        var source = paint.sampleMerged ? paint.layers.composite().getContext('2d') : cx;
+        try {
+            var color = pixelColor(pos, source);
+        } catch(e) {
+            if(e.name != 'SecurityError') throw e;
+            operation.cancel();
+            showError('The color could not be read', imageErrors.tainted);
+            return;
+        }
 
-    cx.fillStyle = cx.strokeStyle = color.toContextString();
-    document.getElementById('color').value = color.toDOMString();
+        if(event.button == 2) {
+            paint.setSecondaryColor(color.toHex());
+        } else {
+            paint.setColor(color.toHex());
+        }
+        operation.end();
+    }
 };
 
 /**
@@ -513,19 +1473,11 @@ tools['Color Matcher'] = function(event, cx) {
  * @param coord Location of the pixel of interest {{x: number, y: number}}.
  * @param cx The 2DCanvasContext of the canvas in which the pixel resides.
  * @returns {Color} Color object {{r: number, g: number, b: number, a: number}}.
+ * @throws {DOMException} A SecurityError when the canvas holds an image from another website, see imageErrors.
  */
 function pixelColor(coord, cx) {
-    try {
-        var data = cx.getImageData(coord.x, coord.y, 1, 1).data;
-    } catch(e) {
-        if(e instanceof SecurityError) {
-            alert(JSON.stringify("Can't access image data: " + e.toString()));
-        } else {
-            throw e;
-        }
-    }
-
-    return new Color(data[0], data[1], data[2], data[3])
+    var data = cx.getImageData(coord.x, coord.y, 1, 1).data;
+    return new Color(data[0], data[1], data[2], data[3]);
 }
 
 /**
@@ -549,19 +1501,48 @@ Vector.prototype.plus = function(other) {
 };
 
 /**
- * A collection of direction names mapped to vectors which can be added to traverse a spatial data set.
+ * Returns a new vector that is the result of this vector minus the vector supplied to this method.
+ *
+ * @param other Another vector or coordinate object {{x: number, y: number}} to be subtracted from this vector.
+ * @returns {Vector} A new vector with the result of the subtraction.
+ */
+Vector.prototype.minus = function(other) {
+    return new Vector(this.x - other.x, this.y - other.y);
+};
+
+/**
+ * Returns a new vector that is the result of this vector multiplied by a number.
+ *
+ * @param factor The number to multiply with.
+ * @returns {Vector} A new vector with the result of the multiplication.
+ */
+Vector.prototype.times = function(factor) {
+    return new Vector(this.x * factor, this.y * factor);
+};
+
+/**
+ * Returns the dot product of this vector and the vector supplied to this method.
+ *
+ * @param other Another vector or coordinate object {{x: number, y: number}}.
+ * @returns {number} The dot product.
+ */
+Vector.prototype.dot = function(other) {
+    return this.x * other.x + this.y * other.y;
+};
+
+/**
+ * @returns {number} The length of the vector.
  */
-var directions = {
-    'n': new Vector( 0, -1),
-    'e': new Vector( 1,  0),
-    's': new Vector( 0,  1),
-    'w': new Vector(-1,  0)
+Vector.prototype.length = function() {
+    return Math.sqrt(this.x * this.x + this.y * this.y);
 };
 
 /**
- * An array of valid direction names.
+ * @returns {number} The angle of the vector in radians, measured from the positive x axis towards the positive y axis.
  */
-var directionNames = 'n e s w'.split(' ');
+Vector.prototype.angle = function() {
+    return Math.atan2(this.y, this.x);
+};
 
 /**
  * Returns a boolean indicating if two color objects are equal.
@@ -576,51 +1557,137 @@ Color.prototype.equals = function(other) {
 };
 
 /**
- * The fill tool handler starts the mouse down event point and traverses the canvas outward, replacing every pixel
- * that matches the origin pixel's color with the current fill color. The fill does not cross boundaries of pixels
- * that do not match the origin pixel's color.
+ * Returns the largest difference between the red, green, blue and alpha values of two color objects. Two colors
+ * match within a tolerance when their distance does not exceed it.
  *
- * @param event The mouse down event that initialized the handler.
- * @param cx The 2DCanvasContext of the canvas in which the fill will occur.
+ * @param other A color object.
+ * @returns {number} The difference from 0 (equal colors) to 255.
  */
-//@TODO Optimize fill algorithm by reducing calls to pixelColor. Get all image data in one call.
-tools.Fill = function(event, cx) {
-    var origin = relativePos(event, cx.canvas);
-    var matchColor = pixelColor(origin, cx);
-    var searched = {};
+Color.prototype.distance = function(other) {
+    return Math.max(Math.abs(this.r - other.r),
+                    Math.abs(this.g - other.g),
+                    Math.abs(this.b - other.b),
+                    Math.abs(this.a - other.a));
+};
 
-    function flood(coordinates) {
-        var matches = [];
+/**
+ * Returns a color object for a string that can be assigned to the 2DCanvasContext's fillStyle and strokeStyle
+ * properties, such as '#ff0000' or 'rgba(255, 0, 0, 0.5)'. Hexadecimal and rgb() colors are read exactly, other colors
+ * are read back from a canvas.
+ *
+ * @param style The color string.
+ * @returns {Color} The color object.
+ */
+Color.fromStyle = function(style) {
+    style = String(style).trim();
+    if(style.charAt(0) == '#') {
+        return Color.fromHex(style);
+    }
+    var match = /^rgba?\(\s*([\d.]+)\s*,\s*([\d.]+)\s*,\s*([\d.]+)\s*(?:,\s*([\d.]+)\s*)?\)$/.exec(style);
+    if(match) {
+        return new Color(Number(match[1]), Number(match[2]), Number(match[3]),
+                         match[4] === undefined ? 255 : Number(match[4]) * 255);
+    }
+    var cx = createElement('canvas', {width: 1, height: 1}).getContext('2d');
+    cx.fillStyle = style;
+    cx.fillRect(0, 0, 1, 1);
+    return pixelColor({x: 0, y: 0}, cx);
+};
 
-        coordinates.forEach(function(coordinate) {
-            directionNames.forEach(function(direction) {
-                var target = keepInCanvasBounds(directions[direction].plus(coordinate), cx.canvas);
-                var id = 'px' + target.x.toString() + 'y' + target.y.toString();
-                if(searched[id] !== true) {
-                    searched[id] = true;
-                    var targetColor = pixelColor(target, cx);
+/**
+ * @param value A value read from a file or a recorded command.
+ * @returns {boolean} A boolean indicating if the value is a color string which the Color.fromStyle function accepts.
+ */
+function isColor(value) {
+    if(typeof value != 'string') {
+        return false;
+    }
+    try {
+        Color.fromStyle(value);
+        return true;
+    } catch(e) {
+        return false;
+    }
+}
 
-                    if (targetColor.equals(matchColor)) {
-                        matches.push(target);
-                        cx.fillRect(target.x, target.y, 1, 1);
-                    }
-                }
-            });
-        });
+/**
+ * Returns the hue, saturation and lightness of the color.
+ *
+ * @returns {{h: number, s: number, l: number}} The hue from 0 to 360 degrees, saturation and lightness from 0 to 1.
+ */
+Color.prototype.toHSL = function() {
+    var r = this.r / 255, g = this.g / 255, b = this.b / 255;
+    var max = Math.max(r, g, b), min = Math.min(r, g, b);
+    var l = (max + min) / 2, d = max - min;
+    var h = 0, s = 0;
 
-        if(matches.length > 0) {
-            flood(matches);
+    if(d) {
+        s = d / (1 - Math.abs(2 * l - 1));
+        if(max == r) {
+            h = (g - b) / d + (g < b ? 6 : 0);
+        } else if(max == g) {
+            h = (b - r) / d + 2;
+        } else {
+            h = (r - g) / d + 4;
         }
+        h *= 60;
     }
+    return {h: h, s: s, l: l};
+};
 
-    cx.fillRect(origin.x, origin.y, 1, 1);
-    flood([origin]);
+/**
+ * Returns a color object for a hue, saturation and lightness. Values out of range are wrapped (hue) or limited.
+ *
+ * @param h The hue in degrees.
+ * @param s The saturation from 0 to 1.
+ * @param l The lightness from 0 to 1.
+ * @param a The alpha value (0 to 255).
+ * @returns {Color} The color object.
+ */
+Color.fromHSL = function(h, s, l, a) {
+    h = ((h % 360) + 360) % 360;
+    s = Math.max(0, Math.min(1, s));
+    l = Math.max(0, Math.min(1, l));
+
+    function channel(n) {
+        var k = (n + h / 30) % 12;
+        var value = l - s * Math.min(l, 1 - l) * Math.max(-1, Math.min(k - 3, 9 - k, 1));
+        return Math.round(value * 255);
+    }
+    return new Color(channel(0), channel(8), channel(4), a);
+};
+
+/**
+ * Returns the hue, saturation and value of the color.
+ *
+ * @returns {{h: number, s: number, v: number}} The hue from 0 to 360 degrees, saturation and value from 0 to 1.
+ */
+Color.prototype.toHSV = function() {
+    var hsl = this.toHSL();
+    var v = hsl.l + hsl.s * Math.min(hsl.l, 1 - hsl.l);
+    return {h: hsl.h, s: v ? 2 * (1 - hsl.l / v) : 0, v: v};
+};
+
+/**
+ * Returns a color object for a hue, saturation and value. Values out of range are wrapped (hue) or limited.
+ *
+ * @param h The hue in degrees.
+ * @param s The saturation from 0 to 1.
+ * @param v The value from 0 to 1.
+ * @param a The alpha value (0 to 255).
+ * @returns {Color} The color object.
+ */
+Color.fromHSV = function(h, s, v, a) {
+    s = Math.max(0, Math.min(1, s));
+    v = Math.max(0, Math.min(1, v));
+    var l = v * (1 - s / 2);
+    return Color.fromHSL(h, l > 0 && l < 1 ? (v - l) / Math.min(l, 1 - l) : 0, l, a);
 };
 
 /**
- * The keepInCanvasBounds function operates similarly to the keepInBounds function except that it works within the
- * relative coordinate system of the canvas instead of the absolute coordinate system of the DOM client. If the
- * supplied point is outside of the canvas bounds, the nearest point within bounds will be returned.
+ * The keepInCanvasBounds function keeps a point, in the coordinate system of the canvas, on a pixel of the canvas.
+ * Coordinates below 0 become 0, x coordinates beyond the last column become width - 1 and y coordinates beyond the
+ * last row become height - 1, so a point outside of the canvas is moved to the nearest pixel on its edge.
  *
  * @param point The point to be evaluated.
  * @param canvas The canvas in which the point should fall.
@@ -630,9 +1697,9 @@ function keepInCanvasBounds(point, canvas) {
     var result = {};
 
     result.x = point.x < 0 ? 0 : point.x;
-    result.x = point.x > canvas.width ? canvas.width : result.x;
+    result.x = point.x > canvas.width - 1 ? canvas.width - 1 : result.x;
     result.y = point.y < 0 ? 0 : point.y;
-    result.y = point.y > canvas.height ? canvas.height : result.y;
+    result.y = point.y > canvas.height - 1 ? canvas.height - 1 : result.y;
 
     return result;
 }
\ No newline at end of file
@@ -0,0 +1,67 @@
+/**
+ * The pointerSamples function returns every position a pointer passed through since the previous pointer move event.
+ * Browsers fire at most one pointer move event per frame, while pens and touch screens report their position much
+ * more often, so drawing only the position of the event would turn curves into visible straight segments.
+ *
+ * @param event The pointer move event.
+ * @returns {Array} The coalesced events of the pointer move event, or an array holding only the event itself.
+ */
+function pointerSamples(event) {
+    var samples = event.getCoalescedEvents ? event.getCoalescedEvents() : [];
+    return samples.length ? samples : [event];
+}
+
+/**
+ * The penDynamics function calculates how much the pressure and tilt of a pen change the size and opacity of what a
+ * tool draws. Mice and fingers do not report a meaningful pressure, so they always draw at full size and opacity. A
+ * pen pressed as lightly as possible still draws at a fifth of the size, and a pen held flat draws up to twice as wide
+ * as one held upright.
+ *
+ * @param event The pointer event of the pen.
+ * @param options The pen options object {{size: boolean, opacity: boolean, tilt: boolean}}.
+ * @returns {{size: number, opacity: number}} The factors the line width and opacity should be multiplied by.
+ */
+function penDynamics(event, options) {
+    var dynamics = {size: 1, opacity: 1};
+    if(event.pointerType != 'pen' || !options) return dynamics;
+
+    var pressure = event.pressure || 0;
+    if(options.size) {
+        dynamics.size = 0.2 + 0.8 * pressure;
+    }
+    if(options.opacity) {
+        dynamics.opacity = 0.1 + 0.9 * pressure;
+    }
+    if(options.tilt) {
+        var tilt = Math.sqrt(Math.pow(event.tiltX || 0, 2) + Math.pow(event.tiltY || 0, 2));
+        dynamics.size *= 1 + Math.min(tilt, 90) / 90;
+    }
+    return dynamics;
+}
+
+/**
+ * The pen control constructor creates checkboxes which choose whether the pressure of a pen changes the size or the
+ * opacity of the Line, Erase and Spray tools, and whether tilting the pen makes them wider. The options are stored in
+ * the paint state object.
+ *
+ * @param cx The 2DCanvasContext for the canvas element of the Paint UI.
+ * @param paint The state object of the Paint program.
+ * @returns {Element} The DOM Element for the pen control to be added to the toolbar UI.
+ */
+controls.pen = function(cx, paint) {
+    var options = paint.pen;
+
+    function checkbox(name, label) {
+        var input = createElement('input', {type: 'checkbox'});
+        input.checked = options[name];
+        input.addEventListener('change', function() {
+            options[name] = input.checked;
+        });
+        return createElement('label', null, input, label);
+    }
+
+    return createElement('div', null, 'Pen: ',
+        checkbox('size', 'pressure sets size'), ' ',
+        checkbox('opacity', 'pressure sets opacity'), ' ',
+        checkbox('tilt', 'tilt widens'));
+};
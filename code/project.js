@@ -0,0 +1,360 @@
+/**
+ * Projects are saved as JSON files which keep everything needed to continue editing a picture. A project file holds
+ * one object with the following properties:
+ *
+ *   format      Always 'paint-project', which tells project files apart from other JSON files.
+ *   version     The version of the format the file was written in, currently 2. Version 2 added the frames.
+ *   compatible  The oldest version of the format which can read the file. Newer versions of the program write files
+ *               with a higher version, but only raise compatible when older versions would open the file incorrectly.
+ *   width       The width of the picture in pixels.
+ *   height      The height of the picture in pixels.
+ *   layers      An array of layers from the bottom to the top of the stack. Each layer is an object with the name,
+ *               visible, locked, opacity and blendMode properties of a Layer, and an image property holding its pixels
+ *               as a PNG data URL.
+ *   active      The index of the active layer in the layers array.
+ *   color       The current color as a '#rrggbb' string, or '#rrggbbaa' when it is transparent.
+ *   secondaryColor  The secondary color, in the same format. Older files have no secondary color.
+ *   brushSize   The current brush size in pixels.
+ *   tool        The name of the selected tool.
+ *   palette     An array of color strings.
+ *   frames      An array of the frames of the animation in the order they are played. Each frame is an object with
+ *               its duration in milliseconds and, except for the shown frame whose layers are the layers above, the
+ *               layers and active properties of its own layers, like those of the project. Files of version 1 have
+ *               no frames and hold a still picture.
+ *   frame       The index of the shown frame in the frames array.
+ *
+ * A file written by a newer version whose compatible version is not newer than projectVersion is opened, ignoring any
+ * properties this version does not know about.
+ */
+var projectVersion = 2;
+
+/**
+ * Creates the project object for the current picture and editing state of the program.
+ *
+ * @param cx The 2DCanvasContext of the active layer.
+ * @param paint The state object of the Paint program.
+ * @returns {Object} The project object described above.
+ */
+function createProject(cx, paint) {
+    var layers = paint.layers;
+    return {
+        format: 'paint-project',
+        version: projectVersion,
+        compatible: 1,
+        width: layers.width(),
+        height: layers.height(),
+        layers: projectLayers(layers.layers, layers.layers.map(function(layer) {
+            return layer.canvas;
+        })),
+        active: layers.layers.indexOf(layers.active()),
+        color: paint.color,
+        secondaryColor: paint.secondaryColor,
+        brushSize: Number(cx.lineWidth),
+        tool: paint.tool,
+        palette: paint.palette.slice(),
+        frames: layers.frames.map(function(frame) {
+            var snapshot = frame.snapshot;
+            if(!snapshot) {
+                return {duration: frame.duration};
+            }
+            return {
+                duration: frame.duration,
+                layers: projectLayers(snapshot.state.properties, snapshotCanvases(snapshot)),
+                active: snapshot.state.layers.indexOf(snapshot.state.active)
+            };
+        }),
+        frame: layers.frame
+    };
+}
+
+/**
+ * Creates the layers array of a project.
+ *
+ * @param properties An array of objects holding the name, visible, locked, opacity and blendMode properties of the
+ * layers, such as the layers themselves.
+ * @param canvases An array of canvas elements holding the pixels of the layers.
+ * @returns {Array} The layers of the project described above.
+ */
+function projectLayers(properties, canvases) {
+    return properties.map(function(layer, i) {
+        return {
+            name: layer.name,
+            visible: layer.visible,
+            locked: layer.locked,
+            opacity: layer.opacity,
+            blendMode: layer.blendMode,
+            image: canvases[i].toDataURL('image/png')
+        };
+    });
+}
+
+/**
+ * Checks that an object read from a project file is a valid project which this version of the program can open.
+ *
+ * @param project The object parsed from the file.
+ * @throws {Error} An error whose message describes the first problem found in the file.
+ */
+function validateProject(project) {
+    function check(condition, message) {
+        if(!condition) {
+            throw new Error('This project file is damaged: ' + message);
+        }
+    }
+    function isSize(value) {
+        return value === Math.round(value) && value >= 1 && value <= maxPictureSize;
+    }
+    function checkLayers(source, frame) {
+        var of = frame ? ' of frame ' + frame : '';
+        check(Array.isArray(source.layers) && source.layers.length > 0,
+              (frame ? 'frame ' + frame : 'it') + ' has no layers.');
+        source.layers.forEach(function(layer, i) {
+            var name = 'layer ' + (i + 1) + of;
+            check(layer && typeof layer == 'object', name + ' is not an object.');
+            check(typeof layer.name == 'string', name + ' has no name.');
+            check(typeof layer.opacity == 'number' && layer.opacity >= 0 && layer.opacity <= 1,
+                  name + ' has an invalid opacity.');
+            check(isBlendMode(layer.blendMode), name + ' has an unknown blend mode.');
+            check(typeof layer.image == 'string' && layer.image.indexOf('data:image/') == 0, name + ' has no image.');
+        });
+        check(source.active === Math.round(source.active) && source.active >= 0 &&
+              source.active < source.layers.length, 'the active layer' + of + ' is invalid.');
+    }
+
+    if(!project || typeof project != 'object' || project.format != 'paint-project') {
+        throw new Error('This file is not a Paint project.');
+    }
+    check(typeof project.version == 'number' && project.version >= 1, 'its version is missing.');
+    if((project.compatible || project.version) > projectVersion) {
+        throw new Error('This project was saved by a newer version of Paint and can not be opened.');
+    }
+    check(isSize(project.width) && isSize(project.height), 'the picture size is invalid.');
+    checkLayers(project);
+    if(project.frames !== undefined) {
+        check(Array.isArray(project.frames) && project.frames.length > 0, 'it has no frames.');
+        check(project.frame === Math.round(project.frame) && project.frame >= 0 &&
+              project.frame < project.frames.length, 'the shown frame is invalid.');
+        project.frames.forEach(function(frame, i) {
+            check(frame && typeof frame == 'object', 'frame ' + (i + 1) + ' is not an object.');
+            check(isFrameDuration(frame.duration), 'frame ' + (i + 1) + ' has an invalid duration.');
+            if(i != project.frame) {
+                checkLayers(frame, i + 1);
+            }
+        });
+    }
+    check(isColor(project.color), 'the color is missing or invalid.');
+    check(project.secondaryColor === undefined || isColor(project.secondaryColor), 'the secondary color is invalid.');
+    check(typeof project.brushSize == 'number' && project.brushSize > 0 &&
+          project.brushSize <= maxBrushSize, 'the brush size is invalid.');
+    check(Array.isArray(project.palette) && project.palette.every(isColor), 'the palette is invalid.');
+}
+
+/**
+ * @param value A value read from a project file.
+ * @returns {boolean} A boolean indicating if the value is the globalCompositeOperation of one of the blend modes.
+ */
+function isBlendMode(value) {
+    for(var name in blendModes) {
+        if(blendModes[name] === value) {
+            return true;
+        }
+    }
+    return false;
+}
+
+/**
+ * @param value A value read from a project file or typed by the user.
+ * @returns {boolean} A boolean indicating if the value is a valid duration of a frame in milliseconds.
+ */
+function isFrameDuration(value) {
+    return typeof value == 'number' && value >= LayerStack.minFrameDuration && value <= LayerStack.maxFrameDuration;
+}
+
+/**
+ * Parses the text of a project file.
+ *
+ * @param text The content of the file.
+ * @returns {Object} The validated project object.
+ * @throws {Error} An error describing why the file can not be opened.
+ */
+function parseProject(text) {
+    var project;
+    try {
+        project = JSON.parse(text);
+    } catch(e) {
+        throw new Error('This file is not a Paint project.');
+    }
+    validateProject(project);
+    return project;
+}
+
+/**
+ * Decodes the layer images of a project.
+ *
+ * @param project A project object which passed the validateProject function.
+ * @param callback A function(error, images) called with the image elements in the order of the layers, followed by
+ * the images of the layers of the other frames in the order of the frames.
+ */
+function loadProjectImages(project, callback) {
+    var sources = project.layers.map(function(layer, i) {
+        return {url: layer.image, name: 'layer ' + (i + 1)};
+    });
+    (project.frames || []).forEach(function(frame, i) {
+        if(i == project.frame) return;
+        frame.layers.forEach(function(layer, j) {
+            sources.push({url: layer.image, name: 'layer ' + (j + 1) + ' of frame ' + (i + 1)});
+        });
+    });
+
+    var images = [], remaining = sources.length, failed = false;
+    sources.forEach(function(source, i) {
+        var image = document.createElement('img');
+        image.addEventListener('load', function() {
+            images[i] = image;
+            if(--remaining == 0 && !failed) {
+                callback(null, images);
+            }
+        });
+        image.addEventListener('error', function() {
+            if(!failed) {
+                failed = true;
+                callback(new Error('This project file is damaged: the image of ' + source.name + ' can not be read.'));
+            }
+        });
+        image.src = source.url;
+    });
+}
+
+/**
+ * Replaces the layers and frames of the picture with those of a project.
+ *
+ * @param paint The state object of the Paint program.
+ * @param project A project object which passed the validateProject function.
+ * @param images The layer images decoded by the loadProjectImages function.
+ */
+function setProjectLayers(paint, project, images) {
+    var width = project.width, height = project.height, next = 0;
+
+    function frameSnapshot(source) {
+        var created = source.layers.map(function(properties) {
+            var layer = new Layer(properties.name, createElement('canvas', {width: width, height: height}));
+            layer.context().drawImage(images[next++], 0, 0);
+            return layer;
+        });
+        return {
+            width: width,
+            height: height,
+            state: {
+                layers: created,
+                active: created[source.active],
+                properties: source.layers.map(function(layer) {
+                    return {name: layer.name, visible: layer.visible !== false, locked: !!layer.locked,
+                            opacity: layer.opacity, blendMode: layer.blendMode};
+                })
+            },
+            pixels: created.map(function(layer) {
+                return layer.context().getImageData(0, 0, width, height);
+            })
+        };
+    }
+
+    var shown = project.frames ? project.frame : 0;
+    var snapshot = frameSnapshot(project);
+    var frames = (project.frames || [{duration: LayerStack.defaultFrameDuration}]).map(function(frame, i) {
+        return {duration: frame.duration, snapshot: i == shown ? snapshot : frameSnapshot(frame)};
+    });
+    paint.layers.setFrames(frames, shown);
+}
+
+/**
+ * Replaces the picture and editing state of the program with a project. The layer images are decoded first, and
+ * replacing the picture is recorded in the history so that it can be undone.
+ *
+ * @param cx The 2DCanvasContext of the active layer.
+ * @param paint The state object of the Paint program.
+ * @param project A project object which passed the validateProject function.
+ * @param callback An optional function(error) called when the project is opened or could not be opened.
+ */
+function openProject(cx, paint, project, callback) {
+    callback = callback || function() {};
+    loadProjectImages(project, function(error, images) {
+        if(error) {
+            callback(error);
+            return;
+        }
+        paint.history.recordDocument('Open project', function() {
+            setProjectLayers(paint, project, images);
+        });
+        paint.selection.clear();
+        paint.setColor(project.color);
+        paint.setBrushSize(project.brushSize);
+        paint.setTool(project.tool);
+        if(project.secondaryColor !== undefined) {
+            paint.setSecondaryColor(project.secondaryColor);
+        }
+        setPalette(paint, project.palette.slice());
+        paint.events.emit('load');
+        callback(null);
+    });
+}
+
+/**
+ * The project control constructor creates a Save Project button, which asks for the name of the project and downloads
+ * the project file of the picture, and an Open Project file input, which opens a project file. Problems with a file
+ * are reported to the user in a dialog.
+ *
+ * @param cx The 2DCanvasContext for the canvas element of the Paint UI.
+ * @param paint The state object of the Paint program.
+ * @returns {Element} The DOM Element for the project control to be added to the toolbar UI.
+ */
+controls.project = function(cx, paint) {
+    var save = createElement('button', {type: 'button'}, 'Save project');
+    save.addEventListener('click', function() {
+        var name = createElement('input', {type: 'text', value: paint.projectName || 'picture'});
+        showFormDialog('Save Project', [createElement('label', null, 'Project name: ', name)], function() {
+            paint.projectName = name.value.trim().replace(/\.paint$/i, '') || 'picture';
+            try {
+                var project = createProject(cx, paint);
+            } catch(e) {
+                if(e.name == 'SecurityError') {
+                    showError('The project could not be saved', 'It contains an image from another website.');
+                    return;
+                }
+                throw e;
+            }
+            downloadBlob(new Blob([JSON.stringify(project)], {type: 'application/json'}),
+                         paint.projectName + '.paint');
+        });
+        name.select();
+    });
+
+    var input = createElement('input', {type: 'file', accept: '.paint,application/json'});
+    input.addEventListener('change', function() {
+        if(input.files.length == 0) return;
+        var file = input.files[0];
+        var reader = new FileReader();
+        reader.addEventListener('load', function() {
+            input.value = '';
+            try {
+                var project = parseProject(reader.result);
+            } catch(e) {
+                showError('The project could not be opened', e.message);
+                return;
+            }
+            openProject(cx, paint, project, function(error) {
+                if(error) {
+                    showError('The project could not be opened', error.message);
+                    return;
+                }
+                paint.projectName = file.name.replace(/\.paint$/i, '');
+                paint.documentId = null;
+                if(project.version > projectVersion) {
+                    showError('Parts of the project were left out', 'This project was saved by a newer version ' +
+                              'of Paint. Anything this version does not support was left out.');
+                }
+            });
+        });
+        reader.readAsText(file);
+    });
+
+    return createElement('div', null, save, ' Open project: ', input);
+};
@@ -0,0 +1,1011 @@
+/**
+ * Recordings are saved as JSON files which hold every tool operation of a drawing session, so that the session can be
+ * replayed onto a blank picture. A recording file holds one object with the following properties:
+ *
+ *   format    Always 'paint-recording', which tells recording files apart from other JSON files.
+ *   version   The version of the format the file was written in, currently 1.
+ *   width     The width of the picture when the recording started.
+ *   height    The height of the picture when the recording started.
+ *   commands  An array of commands in the order they happened.
+ *
+ * Every command has a type and a time t in milliseconds since the recording started. The 'undo' and 'redo' commands
+ * undo or redo the last step of the history. A 'tool' command is one operation of a tool, from pressing the pointer
+ * until the tool's onEnd function is called, and has the following properties:
+ *
+ *   tool    The name of the tool.
+ *   seed    The seed of the random numbers the tool used, see the seededRandom function.
+ *   layer   The index of the active layer.
+ *   params  The color, the brushSize, the brush settings, the options of the fill, shapes, wand, gradient, symmetry
+ *           and pen controls and sampleMerged.
+ *   selection  The selected area as the run lengths created by the maskRuns function, or null when nothing was
+ *           selected.
+ *   events  The input of the operation. Each entry has a type and a time t. Pointer entries of the type 'down',
+ *           'move', 'up' and 'cancel' have the pixel position x and y, the pointerType, pressure, tiltX and tiltY of
+ *           the pointer and the modifier keys shiftKey, altKey, ctrlKey and metaKey. Entries of the type 'keydown' and
+ *           'keyup' have the key and the modifier keys. 'tick' entries are the ticks of the recorder's interval
+ *           function.
+ *   inputs  The values the tool asked the user for with the recorder's input function.
+ *
+ * Only tool operations and undo and redo are recorded. Operations of the layers control and the Image menu are not, and
+ * the picture the recording started on is not part of it, so recordings are best started on a new picture.
+ */
+var recordingVersion = 1;
+
+/**
+ * The keys which are recorded while a tool is used. Tools only react to the modifier keys, and recording other keys
+ * would replay keyboard shortcuts.
+ */
+var recordedKeys = ['Shift', 'Alt', 'Control', 'Meta'];
+
+/**
+ * The longest pause between two recorded entries in a replay, in milliseconds. Longer pauses are shortened to this.
+ */
+var replayMaxPause = 500;
+
+/**
+ * The pointerId of the pointer events dispatched by a replay.
+ */
+var replayPointerId = 0x7fff;
+
+/**
+ * The number of layers a tool command may draw on. Replaying a command adds the layers it needs, so commands from
+ * files or from other people are limited to keep them from filling the memory with layers.
+ */
+var maxReplayLayers = 100;
+
+/**
+ * The number of gradient stops kept from a tool command, which keeps a command from making a gradient too slow to
+ * calculate.
+ */
+var maxReplayGradientStops = 256;
+
+/**
+ * Creates a function returning random numbers from 0 to 1 like Math.random, which returns the same numbers every time
+ * it is created with the same seed.
+ *
+ * @param seed An integer.
+ * @returns {Function} The random number function.
+ */
+function seededRandom(seed) {
+    return function() {
+        seed = (seed + 0x6d2b79f5) | 0;
+        var t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * The Recorder object captures the operations of the tools as commands, adds them to the recording while recording,
+ * and feeds the recorded input back to the tools while a command is replayed. The tool dispatcher passes every tool
+ * operation to the begin and end methods. Tools which ask the user for a value or draw on a timer use the input and
+ * interval methods instead of prompt and setInterval, so that a replay gets the same values and ticks.
+ *
+ * Every command is captured, also while not recording, and passed to the listeners registered with the onChange
+ * method when its operation ends, so that it can be sent to the other people drawing on the picture.
+ *
+ * @param paint The state object of the Paint program.
+ */
+function Recorder(paint) {
+    this.paint = paint;
+    this.recording = null;
+    this.active = false;
+    this.started = 0;
+    this.command = null;
+    this.stopListening = null;
+    this.replaying = null;
+    this.inputIndex = 0;
+    this.tick = null;
+    this.listeners = [];
+
+    var recorder = this;
+    paint.history.onChange(function(history, action) {
+        if(recorder.active && (action == 'undo' || action == 'redo')) {
+            recorder.recording.commands.push({type: action, t: recorder.time()});
+            recorder.notify(null);
+        }
+    });
+}
+
+/**
+ * Registers a function that is called whenever recording starts or stops or a command is recorded. When a tool
+ * operation ends the listener also receives its command.
+ *
+ * @param listener The function(recorder, command) to call when the recorder changes.
+ */
+Recorder.prototype.onChange = function(listener) {
+    this.listeners.push(listener);
+};
+
+/**
+ * Calls every listener registered with the onChange method.
+ *
+ * @param command The command of the tool operation which ended, or null.
+ */
+Recorder.prototype.notify = function(command) {
+    var recorder = this;
+    this.listeners.forEach(function(listener) {
+        listener(recorder, command);
+    });
+};
+
+/**
+ * @returns {number} The time in milliseconds since the recording started.
+ */
+Recorder.prototype.time = function() {
+    return Math.round(performance.now() - this.started);
+};
+
+/**
+ * Starts a new recording, replacing the previous one.
+ */
+Recorder.prototype.start = function() {
+    this.recording = {
+        format: 'paint-recording',
+        version: recordingVersion,
+        width: this.paint.layers.width(),
+        height: this.paint.layers.height(),
+        commands: []
+    };
+    this.started = performance.now();
+    this.active = true;
+    this.notify(null);
+};
+
+/**
+ * Stops recording. The recording is kept in the recording property.
+ */
+Recorder.prototype.stop = function() {
+    this.active = false;
+    this.notify(null);
+};
+
+/**
+ * Called by the tool dispatcher when a tool operation starts. A command is created for the operation and the pointer
+ * and modifier keys are captured until the end method is called.
+ *
+ * @param tool The name of the tool.
+ * @param event The pointer down event which started the operation.
+ * @param cx The 2DCanvasContext of the active layer.
+ * @returns {number} The seed for the random numbers of the operation, which is the recorded seed during a replay.
+ */
+Recorder.prototype.begin = function(tool, event, cx) {
+    if(this.replaying) {
+        return this.replaying.seed;
+    }
+    var seed = Math.floor(Math.random() * 0x100000000);
+    if(this.command) {
+        this.end();
+    }
+
+    var recorder = this, layers = this.paint.layers, selection = this.paint.selection;
+    var command = this.command = {
+        type: 'tool',
+        tool: tool,
+        t: this.time(),
+        seed: seed,
+        layer: layers.layers.indexOf(layers.active()),
+        params: {
+            color: Color.fromStyle(cx.fillStyle).toHex(),
+            brushSize: Number(cx.lineWidth),
+            options: recorderOptions(this.paint)
+        },
+        selection: selection.isEmpty() ? null : maskRuns(selection.mask),
+        events: [pointerEntry('down', event, cx.canvas, this.time())],
+        inputs: []
+    };
+
+    function onPointer(event) {
+        if(event.pointerId !== command.events[0].pointerId) return;
+        var type = event.type.replace('pointer', '');
+        var samples = type == 'move' ? pointerSamples(event) : [event];
+        samples.forEach(function(sample) {
+            command.events.push(pointerEntry(type, sample, cx.canvas, recorder.time()));
+        });
+    }
+    function onKey(event) {
+        if(recordedKeys.indexOf(event.key) == -1) return;
+        command.events.push({type: event.type, t: recorder.time(), key: event.key, shiftKey: event.shiftKey,
+                             altKey: event.altKey, ctrlKey: event.ctrlKey, metaKey: event.metaKey});
+    }
+    var types = ['pointermove', 'pointerup', 'pointercancel', 'keydown', 'keyup'];
+    types.forEach(function(type) {
+        addEventListener(type, type.indexOf('key') == 0 ? onKey : onPointer, true);
+    });
+    this.stopListening = function() {
+        types.forEach(function(type) {
+            removeEventListener(type, type.indexOf('key') == 0 ? onKey : onPointer, true);
+        });
+    };
+    return seed;
+};
+
+/**
+ * Called by the tool dispatcher when a tool operation has ended. While recording, the command of the operation is added
+ * to the recording, and it is passed to the listeners.
+ */
+Recorder.prototype.end = function() {
+    if(this.stopListening) {
+        this.stopListening();
+        this.stopListening = null;
+    }
+    var command = this.command;
+    if(command) {
+        this.command = null;
+        command.events.forEach(function(entry) {
+            delete entry.pointerId;
+        });
+        if(this.active) {
+            this.recording.commands.push(command);
+        }
+        this.notify(command);
+    }
+    this.replaying = null;
+    this.tick = null;
+};
+
+/**
+ * Asks the user for a value during a tool operation. While recording, the value is recorded, and during a replay the
+ * recorded value is returned without asking.
+ *
+ * @param ask A function which asks the user, such as a call to prompt, and returns the value.
+ * @returns The value.
+ */
+Recorder.prototype.input = function(ask) {
+    if(this.replaying) {
+        var inputs = this.replaying.inputs;
+        return this.inputIndex < inputs.length ? inputs[this.inputIndex++] : null;
+    }
+    var value = ask();
+    if(this.command) {
+        this.command.inputs.push(value);
+    }
+    return value;
+};
+
+/**
+ * Calls a function repeatedly during a tool operation, like setInterval. While recording, every call is recorded as a
+ * tick, and during a replay the function is only called for the recorded ticks.
+ *
+ * @param callback The function to call.
+ * @param delay The time between calls in milliseconds.
+ * @returns {Function} A function which stops the calls.
+ */
+Recorder.prototype.interval = function(callback, delay) {
+    var recorder = this;
+    if(this.replaying) {
+        this.tick = callback;
+        return function() {
+            if(recorder.tick == callback) {
+                recorder.tick = null;
+            }
+        };
+    }
+    var command = this.command;
+    var timer = setInterval(function() {
+        if(command) {
+            command.events.push({type: 'tick', t: recorder.time()});
+        }
+        callback();
+    }, delay);
+    return function() {
+        clearInterval(timer);
+    };
+};
+
+/**
+ * Creates a recorded pointer entry from a pointer event.
+ *
+ * @param type The type of the entry: 'down', 'move', 'up' or 'cancel'.
+ * @param event The pointer event.
+ * @param canvas The canvas the position is relative to.
+ * @param t The time of the entry.
+ * @returns {Object} The entry, which holds the pointerId until the command ends.
+ */
+function pointerEntry(type, event, canvas, t) {
+    var pos = relativePos(event, canvas);
+    return {type: type, t: t, x: pos.x, y: pos.y, pointerId: event.pointerId,
+            pointerType: event.pointerType || 'mouse', pressure: event.pressure || 0,
+            tiltX: event.tiltX || 0, tiltY: event.tiltY || 0,
+            shiftKey: event.shiftKey, altKey: event.altKey, ctrlKey: event.ctrlKey, metaKey: event.metaKey};
+}
+
+/**
+ * @param paint The state object of the Paint program.
+ * @returns {Object} A copy of the tool options which are recorded with every tool command.
+ */
+function recorderOptions(paint) {
+    return JSON.parse(JSON.stringify({fill: paint.fill, shapes: paint.shapes, wand: paint.wand, pen: paint.pen,
+                                      brush: paint.brush, gradient: paint.gradient, symmetry: paint.symmetry,
+                                      sampleMerged: paint.sampleMerged}));
+}
+
+/**
+ * Returns a copy of tool options from a file or from another person which only holds values the controls of the
+ * options could have set. Numbers are kept inside of the ranges of their controls, and other invalid values are left
+ * out, so that they keep their current value when the options are set. Without this a single option, such as a polygon
+ * with a billion sides, could make a tool draw for ever.
+ *
+ * @param options The tool options, as returned by the recorderOptions function.
+ * @returns {Object} The cleaned tool options.
+ */
+function cleanRecorderOptions(options) {
+    function number(min, max, whole) {
+        return function(value) {
+            if(typeof value != 'number' || !isFinite(value)) return undefined;
+            value = Math.max(min, Math.min(max, value));
+            return whole ? Math.round(value) : value;
+        };
+    }
+    function boolean(value) {
+        return typeof value == 'boolean' ? value : undefined;
+    }
+    function name(names) {
+        return function(value) {
+            return typeof value == 'string' && Object.prototype.hasOwnProperty.call(names, value) ? value : undefined;
+        };
+    }
+    var checks = {
+        fill: {tolerance: number(0, 255, true), contiguous: boolean, antialias: boolean, pattern: name(fillPatterns)},
+        shapes: {mode: name(shapeModes), sides: number(3, 20, true), radius: number(0, 500)},
+        wand: {tolerance: number(0, 255, true), contiguous: boolean},
+        pen: {size: boolean, opacity: boolean, tilt: boolean},
+        brush: {
+            preset: function(value) {
+                return name(brushPresets)(value) || null;
+            },
+            opacity: number(0.01, 1),
+            hardness: number(0, 1),
+            spacing: number(0.01, 2),
+            smoothing: number(0, 0.95),
+            tip: function(value) {
+                return value == 'round' || value == 'flat' || decodeBrushTip(value) ? value : undefined;
+            }
+        },
+        gradient: {
+            type: name(gradientTypes),
+            region: name(gradientRegions),
+            stops: function(value) {
+                return Array.isArray(value) ? value.slice(0, maxReplayGradientStops) : undefined;
+            }
+        },
+        symmetry: {
+            mode: name(symmetryModes),
+            ways: number(2, maxSymmetryWays, true),
+            center: function(value) {
+                if(value === null) return null;
+                return value && isFinite(value.x) && isFinite(value.y) ? {x: Number(value.x), y: Number(value.y)} :
+                    undefined;
+            }
+        }
+    };
+
+    var cleaned = {sampleMerged: !!options.sampleMerged};
+    for(var group in checks) {
+        if(!options[group] || typeof options[group] != 'object') continue;
+        cleaned[group] = {};
+        for(var key in checks[group]) {
+            var value = checks[group][key](options[group][key]);
+            if(value !== undefined) {
+                cleaned[group][key] = value;
+            }
+        }
+    }
+    return cleaned;
+}
+
+/**
+ * Sets the tool options to options returned by the recorderOptions function, after cleaning them with the
+ * cleanRecorderOptions function. The option objects of the controls are changed rather than replaced, since the
+ * controls keep a reference to them.
+ *
+ * @param paint The state object of the Paint program.
+ * @param options The tool options.
+ */
+function setRecorderOptions(paint, options) {
+    options = cleanRecorderOptions(options);
+    ['fill', 'shapes', 'wand', 'pen', 'brush', 'gradient', 'symmetry'].forEach(function(name) {
+        for(var key in options[name]) {
+            if(paint[name] && key in paint[name]) {
+                paint[name][key] = options[name][key];
+            }
+        }
+    });
+    if(!options.symmetry) {
+        // Recordings made before symmetry existed were drawn without it.
+        paint.symmetry.mode = 'off';
+    }
+    paint.sampleMerged = !!options.sampleMerged;
+    paint.events.emit('brushchange', paint.brush);
+    paint.events.emit('gradientchange', paint.gradient);
+    paint.events.emit('symmetrychange', paint.symmetry);
+}
+
+/**
+ * Checks that an object read from a recording file is a valid recording which this version of the program can
+ * replay.
+ *
+ * @param recording The object parsed from the file.
+ * @param available The tools object of the program which will replay the recording.
+ * @throws {Error} An error whose message describes the first problem found in the file.
+ */
+function validateRecording(recording, available) {
+    function check(condition, message) {
+        if(!condition) {
+            throw new Error('This recording is damaged: ' + message);
+        }
+    }
+    function isSize(value) {
+        return value === Math.round(value) && value >= 1 && value <= maxPictureSize;
+    }
+
+    if(!recording || typeof recording != 'object' || recording.format != 'paint-recording') {
+        throw new Error('This file is not a Paint recording.');
+    }
+    check(typeof recording.version == 'number' && recording.version >= 1, 'its version is missing.');
+    if(recording.version > recordingVersion) {
+        throw new Error('This recording was made by a newer version of Paint and can not be replayed.');
+    }
+    check(isSize(recording.width) && isSize(recording.height), 'the picture size is invalid.');
+    check(Array.isArray(recording.commands), 'it has no commands.');
+    recording.commands.forEach(function(command, i) {
+        check(command && typeof command.t == 'number', 'command ' + (i + 1) + ' has no time.');
+        if(command.type == 'undo' || command.type == 'redo') return;
+        try {
+            validateToolCommand(command, available);
+        } catch(e) {
+            throw new Error('Command ' + (i + 1) + ' of this recording ' + e.message);
+        }
+    });
+}
+
+/**
+ * Checks that a tool command received from a file or from another person can be replayed.
+ *
+ * @param command The command object.
+ * @param available The tools object of the program which will replay the command.
+ * @throws {Error} An error whose message describes the first problem, written to follow a description of the command.
+ * Example: 'has no parameters.'
+ */
+function validateToolCommand(command, available) {
+    function check(condition, message) {
+        if(!condition) {
+            throw new Error(message);
+        }
+    }
+
+    check(command && command.type == 'tool', 'has an unknown type.');
+    check(command.tool in available, 'uses the ' + command.tool + ' tool, which this version of Paint does not have.');
+    check(typeof command.seed == 'number' && command.layer === Math.round(command.layer) && command.layer >= 0,
+          'is incomplete.');
+    check(command.layer < maxReplayLayers, 'draws on layer ' + (command.layer + 1) + ', more than the ' +
+          maxReplayLayers + ' layers a replay can create.');
+    check(command.params && isColor(command.params.color) && command.params.brushSize > 0 &&
+          command.params.brushSize <= maxBrushSize && command.params.options &&
+          typeof command.params.options == 'object', 'has no parameters.');
+    check(!command.selection || Array.isArray(command.selection), 'has an invalid selection.');
+    check(Array.isArray(command.inputs), 'has no inputs.');
+    check(Array.isArray(command.events) && command.events.length && command.events[0].type == 'down',
+          'does not start with a pointer press.');
+    command.events.forEach(function(entry) {
+        check(entry && typeof entry.t == 'number', 'has an event without a time.');
+        if(['down', 'move', 'up', 'cancel'].indexOf(entry.type) != -1) {
+            check(typeof entry.x == 'number' && typeof entry.y == 'number', 'has an invalid position.');
+        } else {
+            check(['keydown', 'keyup', 'tick'].indexOf(entry.type) != -1, 'has an unknown event.');
+        }
+    });
+}
+
+/**
+ * Parses the text of a recording file.
+ *
+ * @param text The content of the file.
+ * @param available The tools object of the program which will replay the recording.
+ * @returns {Object} The validated recording object.
+ * @throws {Error} An error describing why the file can not be replayed.
+ */
+function parseRecording(text, available) {
+    var recording;
+    try {
+        recording = JSON.parse(text);
+    } catch(e) {
+        throw new Error('This file is not a Paint recording.');
+    }
+    validateRecording(recording, available);
+    return recording;
+}
+
+/**
+ * Puts the commands of a recording and the events of its tool commands in one list, and gives every entry the time
+ * it is replayed at. Pauses longer than replayMaxPause are shortened.
+ *
+ * @param recording The recording object.
+ * @returns {Array} The entries {{time: number, command: Object, entry: Object}}, where entry is missing for undo and
+ * redo commands.
+ */
+function replayEntries(recording) {
+    var entries = [];
+    recording.commands.forEach(function(command) {
+        if(command.type == 'tool') {
+            command.events.forEach(function(entry) {
+                entries.push({t: entry.t, command: command, entry: entry});
+            });
+        } else {
+            entries.push({t: command.t, command: command});
+        }
+    });
+
+    var time = 0;
+    entries.forEach(function(entry, i) {
+        if(i > 0) {
+            time += Math.max(0, Math.min(entry.t - entries[i - 1].t, replayMaxPause));
+        }
+        entry.time = time;
+    });
+    return entries;
+}
+
+/**
+ * Dispatches a recorded pointer entry on the canvas as a pointer event, at the center of the recorded pixel.
+ *
+ * @param canvas The canvas element of the active layer.
+ * @param entry The pointer entry.
+ */
+function replayPointer(canvas, entry) {
+    var rect = canvas.getBoundingClientRect();
+    var scaleX = canvas.clientWidth ? canvas.clientWidth / canvas.width : 1;
+    var scaleY = canvas.clientHeight ? canvas.clientHeight / canvas.height : 1;
+    canvas.dispatchEvent(new PointerEvent('pointer' + entry.type, {
+        bubbles: true,
+        cancelable: true,
+        pointerId: replayPointerId,
+        isPrimary: true,
+        pointerType: entry.pointerType,
+        pressure: entry.pressure,
+        tiltX: entry.tiltX,
+        tiltY: entry.tiltY,
+        button: entry.type == 'move' ? -1 : 0,
+        buttons: entry.type == 'down' || entry.type == 'move' ? 1 : 0,
+        clientX: rect.left + canvas.clientLeft + (entry.x + 0.5) * scaleX,
+        clientY: rect.top + canvas.clientTop + (entry.y + 0.5) * scaleY,
+        shiftKey: !!entry.shiftKey,
+        altKey: !!entry.altKey,
+        ctrlKey: !!entry.ctrlKey,
+        metaKey: !!entry.metaKey
+    }));
+}
+
+/**
+ * Returns the color, brush size, tool and tool options chosen by the user, which replaying a command changes.
+ *
+ * @param cx The 2DCanvasContext of the active layer.
+ * @param paint The state object of the Paint program.
+ * @returns {Object} The settings object.
+ */
+function toolSettings(cx, paint) {
+    return {color: cx.fillStyle, brushSize: Number(cx.lineWidth), tool: paint.tool, options: recorderOptions(paint)};
+}
+
+/**
+ * Restores the settings returned by the toolSettings function.
+ *
+ * @param paint The state object of the Paint program.
+ * @param settings The settings object.
+ */
+function setToolSettings(paint, settings) {
+    paint.setColor(settings.color);
+    paint.setBrushSize(settings.brushSize);
+    setRecorderOptions(paint, settings.options);
+    paint.setTool(settings.tool);
+}
+
+/**
+ * Prepares the program for a recorded tool command and starts it: the layer, color, brush size, options, selection
+ * and tool of the command are set, missing layers are added, and the recorded pointer press is dispatched.
+ *
+ * @param cx The 2DCanvasContext of the active layer.
+ * @param paint The state object of the Paint program.
+ * @param command The tool command.
+ */
+function replayCommand(cx, paint, command) {
+    var layers = paint.layers;
+    while(layers.layers.length <= command.layer) {
+        paint.history.recordLayers('Add layer', function() {
+            layers.activate(layers.layers[layers.layers.length - 1]);
+            layers.add();
+        });
+    }
+    layers.activate(layers.layers[command.layer]);
+    paint.setColor(command.params.color);
+    paint.setBrushSize(command.params.brushSize);
+    setRecorderOptions(paint, command.params.options);
+    paint.setTool(command.tool);
+    if(command.selection) {
+        paint.selection.set(runsMask(command.selection, layers.width() * layers.height()));
+    } else if(!paint.selection.isEmpty()) {
+        paint.selection.clear();
+    }
+
+    paint.recorder.replaying = command;
+    paint.recorder.inputIndex = 0;
+    replayPointer(cx.canvas, command.events[0]);
+}
+
+/**
+ * Replays one entry of the events of a tool command.
+ *
+ * @param cx The 2DCanvasContext of the active layer.
+ * @param paint The state object of the Paint program.
+ * @param command The tool command.
+ * @param entry The entry of its events.
+ */
+function replayEntry(cx, paint, command, entry) {
+    if(entry.type == 'down') {
+        replayCommand(cx, paint, command);
+    } else if(entry.type == 'tick') {
+        if(paint.recorder.tick) {
+            paint.recorder.tick();
+        }
+    } else if(entry.type == 'keydown' || entry.type == 'keyup') {
+        dispatchEvent(new KeyboardEvent(entry.type, {key: entry.key, shiftKey: !!entry.shiftKey,
+            altKey: !!entry.altKey, ctrlKey: !!entry.ctrlKey, metaKey: !!entry.metaKey}));
+    } else {
+        replayPointer(cx.canvas, entry);
+    }
+}
+
+/**
+ * Replays a whole tool command at once. The color, brush size, options and tool chosen by the user are kept.
+ *
+ * @param cx The 2DCanvasContext of the active layer.
+ * @param paint The state object of the Paint program.
+ * @param command A tool command which passed the validateToolCommand function.
+ */
+function applyCommand(cx, paint, command) {
+    var settings = toolSettings(cx, paint);
+    command.events.forEach(function(entry) {
+        replayEntry(cx, paint, command, entry);
+    });
+    // A command whose pointer was never released is ended like a cancelled drag.
+    endDrags(paint.viewport.element);
+    paint.recorder.replaying = null;
+    setToolSettings(paint, settings);
+}
+
+/**
+ * Replays a recording onto a new blank picture of the recorded size. The new picture is recorded in the history, so
+ * the previous picture can be restored with undo. The recorded input is dispatched to the tools as pointer and
+ * keyboard events, so every tool draws exactly what it drew when it was recorded. The color, brush size, options and
+ * tool are restored when the replay ends.
+ *
+ * By default the replay runs in real time, multiplied by the speed. When fps is set, the replay instead advances by a
+ * fixed time for every frame, as fast as the frames can be handled, which is used to export the frames of a timelapse.
+ *
+ * @param cx The 2DCanvasContext of the active layer.
+ * @param paint The state object of the Paint program.
+ * @param recording A recording object which passed the validateRecording function.
+ * @param options An object {{speed: number, fps: number, onFrame: Function, onEnd: Function}}. onFrame(progress) is
+ * called after every frame with the part of the recording replayed so far from 0 to 1. onEnd(stopped) is called when
+ * the replay ends, with stopped true when it was stopped early.
+ * @returns {Function} A function which stops the replay.
+ */
+function replayRecording(cx, paint, recording, options) {
+    var speed = options.speed || 1;
+    var entries = replayEntries(recording);
+    var index = 0, clock = 0, last = null, stopped = false, ended = false;
+    var settings = toolSettings(cx, paint);
+
+    newPicture(paint, recording.width, recording.height);
+
+    function run(item) {
+        var command = item.command;
+        if(item.entry) {
+            replayEntry(cx, paint, command, item.entry);
+        } else {
+            paint.history[command.type]();
+        }
+    }
+
+    function finish() {
+        if(ended) return;
+        ended = true;
+        endDrags(paint.viewport.element);
+        paint.recorder.replaying = null;
+        paint.recorder.tick = null;
+        setToolSettings(paint, settings);
+        if(options.onEnd) {
+            options.onEnd(stopped);
+        }
+    }
+
+    function step(now) {
+        if(stopped) return;
+        if(options.fps) {
+            clock += 1000 / options.fps * speed;
+        } else if(last !== null) {
+            clock += (now - last) * speed;
+        }
+        last = now;
+        while(index < entries.length && entries[index].time <= clock) {
+            run(entries[index++]);
+        }
+        if(options.onFrame) {
+            options.onFrame(entries.length ? index / entries.length : 1);
+        }
+        if(index == entries.length) {
+            finish();
+        } else if(options.fps) {
+            setTimeout(step, 0);
+        } else {
+            requestAnimationFrame(step);
+        }
+    }
+
+    if(options.fps) {
+        setTimeout(step, 0);
+    } else {
+        requestAnimationFrame(step);
+    }
+    return function() {
+        stopped = true;
+        finish();
+    };
+}
+
+/**
+ * Shows a dialog with the progress of a replay and a button which stops it. The dialog is modal, so the picture can
+ * not be changed while the replay runs. Closing the dialog with Escape also stops the replay.
+ *
+ * @param cx The 2DCanvasContext of the active layer.
+ * @param paint The state object of the Paint program.
+ * @param recording The recording to replay.
+ * @param title The title of the dialog.
+ * @param options The options of the replayRecording function. The onFrame and onEnd functions are called after the
+ * dialog is updated.
+ */
+function showReplayDialog(cx, paint, recording, title, options) {
+    var progress = createElement('progress', {max: 1, value: 0});
+    var stopButton = createElement('button', {type: 'button'}, 'Stop');
+    var dialog = showDialog(title, createElement('div', null, progress), createElement('div', null, stopButton));
+    var running = true;
+
+    var stop = replayRecording(cx, paint, recording, {
+        speed: options.speed,
+        fps: options.fps,
+        onFrame: function(done) {
+            progress.value = done;
+            if(options.onFrame) {
+                options.onFrame(done);
+            }
+        },
+        onEnd: function(stopped) {
+            running = false;
+            dialog.close();
+            if(options.onEnd) {
+                options.onEnd(stopped);
+            }
+        }
+    });
+    stopButton.addEventListener('click', function() {
+        stop();
+    });
+    dialog.addEventListener('close', function() {
+        if(running) {
+            stop();
+        }
+    });
+}
+
+/**
+ * Replays a recording and collects the picture after every frame as a PNG image. The frames are downloaded as a ZIP
+ * file, from which video software can create a timelapse.
+ *
+ * @param cx The 2DCanvasContext of the active layer.
+ * @param paint The state object of the Paint program.
+ * @param recording The recording to export.
+ * @param speed The speed of the timelapse.
+ * @param fps The number of frames per second of the timelapse.
+ */
+function exportRecordingFrames(cx, paint, recording, speed, fps) {
+    var frames = [];
+    showReplayDialog(cx, paint, recording, 'Exporting frames', {
+        speed: speed,
+        fps: fps,
+        onFrame: function() {
+            var name = String(frames.length + 1);
+            frames.push({name: 'frame-' + '00000'.slice(name.length) + name + '.png',
+                         bytes: dataURLBytes(paint.layers.composite().toDataURL('image/png'))});
+        },
+        onEnd: function(stopped) {
+            if(!stopped) {
+                downloadBlob(createZip(frames), 'timelapse-frames.zip');
+            }
+        }
+    });
+}
+
+/**
+ * The video formats tried for WebM timelapses, the best first.
+ */
+var webmTypes = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm'];
+
+/**
+ * Replays a recording in real time at the speed and records it as a WebM video, which is downloaded when the replay
+ * ends. The picture is drawn onto a white background.
+ *
+ * @param cx The 2DCanvasContext of the active layer.
+ * @param paint The state object of the Paint program.
+ * @param recording The recording to export.
+ * @param speed The speed of the timelapse.
+ * @param fps The number of frames per second of the video.
+ * @returns {string} An error message when the browser can not record videos, otherwise null.
+ */
+function exportRecordingWebM(cx, paint, recording, speed, fps) {
+    var canvas = createElement('canvas', {width: recording.width, height: recording.height});
+    var type = typeof MediaRecorder != 'undefined' && canvas.captureStream && webmTypes.filter(function(type) {
+        return MediaRecorder.isTypeSupported(type);
+    })[0];
+    if(!type) {
+        return 'This browser can not record WebM videos. Export the frames instead.';
+    }
+
+    var video = canvas.getContext('2d');
+    var chunks = [];
+    var mediaRecorder = new MediaRecorder(canvas.captureStream(fps), {mimeType: type});
+    mediaRecorder.addEventListener('dataavailable', function(event) {
+        chunks.push(event.data);
+    });
+    var keep = true;
+    mediaRecorder.addEventListener('stop', function() {
+        if(keep) {
+            downloadBlob(new Blob(chunks, {type: 'video/webm'}), 'timelapse.webm');
+        }
+    });
+
+    function drawFrame() {
+        video.fillStyle = '#ffffff';
+        video.fillRect(0, 0, canvas.width, canvas.height);
+        video.drawImage(paint.layers.composite(), 0, 0);
+    }
+    drawFrame();
+    mediaRecorder.start();
+    showReplayDialog(cx, paint, recording, 'Recording video', {
+        speed: speed,
+        onFrame: drawFrame,
+        onEnd: function(stopped) {
+            keep = !stopped;
+            // The last frame is shown for a moment, so that the video ends on the finished picture.
+            setTimeout(function() {
+                mediaRecorder.stop();
+            }, stopped ? 0 : 1000);
+        }
+    });
+    return null;
+}
+
+/**
+ * The recording control constructor creates a Record button, which starts and stops recording the tool operations,
+ * and a Recording button, which opens a dialog to replay the recording at a chosen speed, save it as a file, open a
+ * recording file, or export a timelapse of it as a sequence of frames or as a WebM video.
+ *
+ * @param cx The 2DCanvasContext for the canvas element of the Paint UI.
+ * @param paint The state object of the Paint program.
+ * @returns {Element} The DOM Element for the recording control to be added to the toolbar UI.
+ */
+controls.recording = function(cx, paint) {
+    var recorder = paint.recorder;
+    var record = createElement('button', {type: 'button', title: 'Records the tool operations. Start recording on ' +
+                                                                 'a new picture, since the picture is not recorded.'});
+    var status = createElement('small');
+
+    function update() {
+        record.textContent = recorder.active ? 'Stop recording' : 'Record';
+        status.textContent = recorder.recording ? ' ' + recorder.recording.commands.length + ' operations' : '';
+    }
+    recorder.onChange(update);
+    update();
+
+    record.addEventListener('click', function() {
+        if(recorder.active) {
+            recorder.stop();
+        } else if(!recorder.recording || !recorder.recording.commands.length) {
+            recorder.start();
+        } else {
+            showConfirmDialog('New recording', 'Start a new recording? The current recording is replaced.',
+                              'Record', function() {
+                recorder.start();
+            });
+        }
+    });
+
+    var open = createElement('button', {type: 'button'}, 'Recording…');
+    open.addEventListener('click', function() {
+        recorder.stop();
+        var speed = createElement('select');
+        [0.5, 1, 2, 4, 8, 16, 32].forEach(function(value) {
+            speed.appendChild(createElement('option', {value: value}, value + '×'));
+        });
+        speed.value = 4;
+        var fps = createElement('input', {type: 'number', min: 1, max: 60, value: 10});
+        var message = createElement('div', {class: 'error'});
+        var input = createElement('input', {type: 'file', accept: '.paintrec,application/json'});
+
+        function button(label, action) {
+            var element = createElement('button', {type: 'button'}, label);
+            element.addEventListener('click', action);
+            return element;
+        }
+        function replayAction(action) {
+            return function() {
+                var frames = Math.round(Number(fps.value));
+                if(!recorder.recording || !recorder.recording.commands.length) {
+                    message.textContent = 'Nothing has been recorded yet.';
+                } else if(!(frames >= 1 && frames <= 60)) {
+                    message.textContent = 'The frame rate must be between 1 and 60.';
+                } else {
+                    var error = action(Number(speed.value), frames);
+                    if(error) {
+                        message.textContent = error;
+                    } else {
+                        dialog.close();
+                    }
+                }
+            };
+        }
+
+        var info = createElement('div');
+        function describe() {
+            info.textContent = recorder.recording ?
+                'The recording holds ' + recorder.recording.commands.length + ' operations.' :
+                'Nothing has been recorded yet.';
+        }
+        describe();
+
+        var dialog = showDialog('Recording', info,
+            createElement('div', null, createElement('label', null, 'Speed: ', speed)),
+            createElement('div', null, button('Replay', replayAction(function(speed) {
+                showReplayDialog(cx, paint, recorder.recording, 'Replaying', {speed: speed});
+            }))),
+            createElement('div', null, createElement('label', null, 'Timelapse frame rate: ', fps, ' fps')),
+            createElement('div', null,
+                button('Export frames', replayAction(function(speed, frames) {
+                    exportRecordingFrames(cx, paint, recorder.recording, speed, frames);
+                })), ' ',
+                button('Export WebM', replayAction(function(speed, frames) {
+                    return exportRecordingWebM(cx, paint, recorder.recording, speed, frames);
+                }))),
+            createElement('div', null,
+                button('Save recording', function() {
+                    if(!recorder.recording) {
+                        message.textContent = 'Nothing has been recorded yet.';
+                        return;
+                    }
+                    downloadBlob(new Blob([JSON.stringify(recorder.recording)], {type: 'application/json'}),
+                                 'recording.paintrec');
+                }), ' Open recording: ', input),
+            message,
+            createElement('div', null, button('Close', function() {
+                dialog.close();
+            })));
+
+        input.addEventListener('change', function() {
+            if(input.files.length == 0) return;
+            var reader = new FileReader();
+            reader.addEventListener('load', function() {
+                try {
+                    recorder.recording = parseRecording(reader.result, paint.tools);
+                } catch(e) {
+                    message.textContent = e.message;
+                    return;
+                }
+                message.textContent = '';
+                recorder.notify();
+                describe();
+            });
+            reader.readAsText(input.files[0]);
+        });
+    });
+
+    return createElement('div', null, record, ' ', open, status);
+};
@@ -0,0 +1,757 @@
+/**
+ * The PictureSelection object holds the area of the picture selected by the selection tools as a mask with one value
+ * per pixel: 255 for selected pixels and 0 for all others. While a selection exists it is outlined by animated
+ * 'marching ants' on a canvas displayed above the layers, and tools which support it only draw inside of it. The name
+ * keeps it from hiding the Selection object of the browser.
+ *
+ * @param layers The LayerStack of the picture. The mask always has the size of the layers.
+ * @param panel The picture panel element in which the outline is displayed.
+ */
+function PictureSelection(layers, panel) {
+    this.layers = layers;
+    this.mask = null;
+    this.bounds = null;
+    this.clipPath = null;
+    this.outlinePath = null;
+    this.antsOffset = 0;
+    this.timer = null;
+    this.listeners = [];
+    this.canvas = createElement('canvas', {class: 'overlay', width: layers.width(), height: layers.height()});
+    panel.appendChild(this.canvas);
+}
+
+/**
+ * Registers a function that is called whenever the selected area changes.
+ *
+ * @param listener The function to call when the selection changes.
+ */
+PictureSelection.prototype.onChange = function(listener) {
+    this.listeners.push(listener);
+};
+
+/**
+ * @returns {boolean} A boolean indicating if nothing is selected. A selection made before the picture was resized is
+ * no longer valid and also counts as empty.
+ */
+PictureSelection.prototype.isEmpty = function() {
+    return !this.mask || this.mask.length != this.layers.width() * this.layers.height();
+};
+
+/**
+ * Replaces the selected area with the supplied mask. A mask without any selected pixels clears the selection.
+ *
+ * @param mask A Uint8Array with one value per pixel of the picture.
+ */
+PictureSelection.prototype.set = function(mask) {
+    var width = this.layers.width(), height = this.layers.height();
+    var bounds = maskBounds(mask, width, height);
+    if(!bounds) {
+        this.clear();
+        return;
+    }
+
+    this.mask = mask;
+    this.bounds = bounds;
+    this.clipPath = maskClipPath(mask, width, bounds);
+    this.outlinePath = maskOutlinePath(mask, width, height, bounds);
+    if(!this.timer) {
+        var selection = this;
+        this.timer = setInterval(function() {
+            selection.antsOffset = (selection.antsOffset + 1) % 8;
+            selection.render();
+        }, 120);
+    }
+    this.render();
+    this.notify();
+};
+
+/**
+ * Combines the selected area with a mask. The 'replace' mode selects only the pixels of the mask, 'add' also selects
+ * them, 'subtract' removes them from the selection and 'intersect' keeps only the selected pixels which are also set
+ * in the mask.
+ *
+ * @param mask A Uint8Array with one value per pixel of the picture.
+ * @param mode One of 'replace', 'add', 'subtract' or 'intersect'.
+ */
+PictureSelection.prototype.combine = function(mask, mode) {
+    if(mode == 'replace' || (this.isEmpty() && mode == 'add')) {
+        this.set(mask);
+        return;
+    }
+    if(this.isEmpty()) {
+        this.clear();
+        return;
+    }
+
+    var combined = new Uint8Array(mask.length);
+    for(var i = 0; i < mask.length; i++) {
+        var selected = this.mask[i] !== 0, masked = mask[i] !== 0;
+        if(mode == 'add') {
+            combined[i] = selected || masked ? 255 : 0;
+        } else if(mode == 'subtract') {
+            combined[i] = selected && !masked ? 255 : 0;
+        } else {
+            combined[i] = selected && masked ? 255 : 0;
+        }
+    }
+    this.set(combined);
+};
+
+/**
+ * Selects the pixels inside of a rectangle.
+ *
+ * @param rect The rectangle coordinate object {{left: number, top: number, width: number, height: number}}.
+ */
+PictureSelection.prototype.selectRect = function(rect) {
+    var width = this.layers.width(), height = this.layers.height();
+    var mask = new Uint8Array(width * height);
+    var left = Math.max(0, Math.round(rect.left)), right = Math.min(width, Math.round(rect.left + rect.width));
+    var top = Math.max(0, Math.round(rect.top)), bottom = Math.min(height, Math.round(rect.top + rect.height));
+    for(var y = top; y < bottom; y++) {
+        mask.fill(255, y * width + left, y * width + right);
+    }
+    this.set(mask);
+};
+
+/**
+ * Selects the pixels inside of a polygon, such as the path drawn with the Lasso tool.
+ *
+ * @param points An array of coordinate objects {{x: number, y: number}}.
+ */
+PictureSelection.prototype.selectPolygon = function(points) {
+    var width = this.layers.width(), height = this.layers.height();
+    var cx = createElement('canvas', {width: width, height: height}).getContext('2d');
+    cx.beginPath();
+    points.forEach(function(point) {
+        cx.lineTo(point.x, point.y);
+    });
+    cx.closePath();
+    cx.fill();
+
+    var data = cx.getImageData(0, 0, width, height).data;
+    var mask = new Uint8Array(width * height);
+    for(var i = 0; i < mask.length; i++) {
+        mask[i] = data[i * 4 + 3] >= 128 ? 255 : 0;
+    }
+    this.set(mask);
+};
+
+/**
+ * Selects the whole picture.
+ */
+PictureSelection.prototype.selectAll = function() {
+    this.selectRect({left: 0, top: 0, width: this.layers.width(), height: this.layers.height()});
+};
+
+/**
+ * Removes the selection.
+ */
+PictureSelection.prototype.clear = function() {
+    this.mask = null;
+    this.bounds = null;
+    this.clipPath = null;
+    this.outlinePath = null;
+    clearInterval(this.timer);
+    this.timer = null;
+    this.render();
+    this.notify();
+};
+
+/**
+ * Calls every listener registered with the onChange method.
+ */
+PictureSelection.prototype.notify = function() {
+    var selection = this;
+    this.listeners.forEach(function(listener) {
+        listener(selection);
+    });
+};
+
+/**
+ * Returns a boolean indicating if a pixel is selected.
+ *
+ * @param point The coordinate object of the pixel {{x: number, y: number}}.
+ * @returns {boolean} A boolean indicating if the pixel is selected.
+ */
+PictureSelection.prototype.contains = function(point) {
+    var width = this.layers.width(), height = this.layers.height();
+    if(this.isEmpty() || point.x < 0 || point.y < 0 || point.x >= width || point.y >= height) return false;
+    return this.mask[point.y * width + point.x] !== 0;
+};
+
+/**
+ * Moves the selected area by an offset. Pixels moved outside of the picture are no longer selected.
+ *
+ * @param dx The horizontal offset in pixels.
+ * @param dy The vertical offset in pixels.
+ */
+PictureSelection.prototype.translate = function(dx, dy) {
+    if(this.isEmpty()) return;
+    var width = this.layers.width(), height = this.layers.height();
+    var mask = new Uint8Array(width * height);
+    var bounds = this.bounds;
+    for(var y = bounds.top; y < bounds.top + bounds.height; y++) {
+        var targetY = y + dy;
+        if(targetY < 0 || targetY >= height) continue;
+        for(var x = bounds.left; x < bounds.left + bounds.width; x++) {
+            var targetX = x + dx;
+            if(targetX >= 0 && targetX < width) {
+                mask[targetY * width + targetX] = this.mask[y * width + x];
+            }
+        }
+    }
+    this.set(mask);
+};
+
+/**
+ * Runs a drawing function on a 2DCanvasContext so that it only affects the selected pixels. When nothing is selected
+ * the drawing function affects the whole canvas.
+ *
+ * @param cx The 2DCanvasContext to draw onto.
+ * @param drawing The function which draws onto the context.
+ */
+PictureSelection.prototype.draw = function(cx, drawing) {
+    if(this.isEmpty()) {
+        drawing();
+        return;
+    }
+    cx.save();
+    cx.clip(this.clipPath);
+    drawing();
+    cx.restore();
+};
+
+/**
+ * Limits a mask, such as one created by the fillMask function, to the selected pixels. Nothing happens when nothing is
+ * selected.
+ *
+ * @param mask A Uint8Array with one value per pixel of the picture.
+ */
+PictureSelection.prototype.limit = function(mask) {
+    if(this.isEmpty()) return;
+    for(var i = 0; i < mask.length; i++) {
+        if(this.mask[i] === 0) {
+            mask[i] = 0;
+        }
+    }
+};
+
+/**
+ * Returns a canvas, with the size of the selection's bounds, holding the selected pixels of a 2DCanvasContext.
+ * Pixels inside of the bounds which are not selected are transparent.
+ *
+ * @param cx The 2DCanvasContext to copy the pixels from.
+ * @returns {Element} The canvas element holding the copied pixels.
+ */
+PictureSelection.prototype.extract = function(cx) {
+    var bounds = this.bounds, width = this.layers.width();
+    var image = cx.getImageData(bounds.left, bounds.top, bounds.width, bounds.height);
+    for(var y = 0; y < bounds.height; y++) {
+        for(var x = 0; x < bounds.width; x++) {
+            if(this.mask[(bounds.top + y) * width + bounds.left + x] === 0) {
+                image.data[(y * bounds.width + x) * 4 + 3] = 0;
+            }
+        }
+    }
+    var canvas = createElement('canvas', {width: bounds.width, height: bounds.height});
+    canvas.getContext('2d').putImageData(image, 0, 0);
+    return canvas;
+};
+
+/**
+ * Makes the selected pixels of a 2DCanvasContext transparent.
+ *
+ * @param cx The 2DCanvasContext to erase the pixels from.
+ */
+PictureSelection.prototype.erase = function(cx) {
+    var bounds = this.bounds;
+    cx.save();
+    cx.clip(this.clipPath);
+    cx.clearRect(bounds.left, bounds.top, bounds.width, bounds.height);
+    cx.restore();
+};
+
+/**
+ * Draws the outline of the selection as marching ants, alternating black and white dashes which move each time the
+ * outline is drawn.
+ */
+PictureSelection.prototype.render = function() {
+    var cx = clearOverlay(this.canvas, this.layers.cx.canvas);
+    if(this.isEmpty()) return;
+
+    cx.lineWidth = 1;
+    cx.setLineDash([4, 4]);
+    cx.strokeStyle = 'black';
+    cx.lineDashOffset = this.antsOffset;
+    cx.stroke(this.outlinePath);
+    cx.strokeStyle = 'white';
+    cx.lineDashOffset = this.antsOffset + 4;
+    cx.stroke(this.outlinePath);
+};
+
+/**
+ * Returns the smallest rectangle containing every non zero value of a mask.
+ *
+ * @param mask A Uint8Array with one value per pixel.
+ * @param width The width of the mask in pixels.
+ * @param height The height of the mask in pixels.
+ * @returns {{left: number, top: number, width: number, height: number}|null} The rectangle coordinate object or null
+ * if the mask is empty.
+ */
+function maskBounds(mask, width, height) {
+    var left = width, right = -1, top = height, bottom = -1;
+    for(var y = 0; y < height; y++) {
+        for(var x = 0; x < width; x++) {
+            if(mask[y * width + x] !== 0) {
+                if(x < left) left = x;
+                if(x > right) right = x;
+                if(y < top) top = y;
+                bottom = y;
+            }
+        }
+    }
+    if(right < 0) return null;
+    return {left: left, top: top, width: right - left + 1, height: bottom - top + 1};
+}
+
+/**
+ * Encodes a mask as the lengths of its runs of unselected and selected pixels, which is much smaller than the mask for
+ * the shapes the selection tools create. The first run is of unselected pixels and may be empty.
+ *
+ * @param mask A Uint8Array with one value per pixel.
+ * @returns {Array} The run lengths.
+ */
+function maskRuns(mask) {
+    var runs = [], selected = false, start = 0;
+    for(var i = 0; i < mask.length; i++) {
+        if((mask[i] !== 0) != selected) {
+            runs.push(i - start);
+            selected = !selected;
+            start = i;
+        }
+    }
+    runs.push(mask.length - start);
+    return runs;
+}
+
+/**
+ * Decodes the run lengths created by the maskRuns function.
+ *
+ * @param runs The run lengths.
+ * @param length The number of pixels of the mask.
+ * @returns {Uint8Array} The mask.
+ */
+function runsMask(runs, length) {
+    var mask = new Uint8Array(length), index = 0;
+    runs.forEach(function(run, i) {
+        if(i % 2) {
+            mask.fill(255, index, Math.min(index + run, length));
+        }
+        index += run;
+    });
+    return mask;
+}
+
+/**
+ * Checks run lengths from a file or from another person before they are decoded by the runsMask function.
+ *
+ * @param runs The run lengths.
+ * @param length The number of pixels of the mask.
+ * @returns {boolean} A boolean indicating if the runs are whole numbers of pixels which together fit into the mask.
+ */
+function isMaskRuns(runs, length) {
+    if(!Array.isArray(runs)) return false;
+    var total = 0;
+    for(var i = 0; i < runs.length; i++) {
+        var run = runs[i];
+        if(typeof run != 'number' || !(run >= 0) || run !== Math.floor(run)) return false;
+        total += run;
+    }
+    return total <= length;
+}
+
+/**
+ * Creates a path covering every selected pixel of a mask, made up of one rectangle for each run of selected pixels in
+ * a row. The path is used to clip drawing to the selection.
+ *
+ * @param mask A Uint8Array with one value per pixel.
+ * @param width The width of the mask in pixels.
+ * @param bounds The rectangle coordinate object containing every selected pixel.
+ * @returns {Path2D} The path object.
+ */
+function maskClipPath(mask, width, bounds) {
+    var path = new Path2D();
+    var right = bounds.left + bounds.width;
+    for(var y = bounds.top; y < bounds.top + bounds.height; y++) {
+        var x = bounds.left;
+        while(x < right) {
+            if(mask[y * width + x] === 0) {
+                x++;
+                continue;
+            }
+            var start = x;
+            while(x < right && mask[y * width + x] !== 0) x++;
+            path.rect(start, y, x - start, 1);
+        }
+    }
+    return path;
+}
+
+/**
+ * Creates a path along every edge between a selected and an unselected pixel of a mask. Neighbouring edges on the same
+ * line are joined into a single line so that the dashes of the marching ants flow along them.
+ *
+ * @param mask A Uint8Array with one value per pixel.
+ * @param width The width of the mask in pixels.
+ * @param height The height of the mask in pixels.
+ * @param bounds The rectangle coordinate object containing every selected pixel.
+ * @returns {Path2D} The path object.
+ */
+function maskOutlinePath(mask, width, height, bounds) {
+    var path = new Path2D();
+    function selected(x, y) {
+        return x >= 0 && y >= 0 && x < width && y < height && mask[y * width + x] !== 0;
+    }
+
+    var x, y, start;
+    for(y = bounds.top; y <= bounds.top + bounds.height; y++) {
+        start = -1;
+        for(x = bounds.left; x <= bounds.left + bounds.width; x++) {
+            var horizontalEdge = x < bounds.left + bounds.width && selected(x, y) != selected(x, y - 1);
+            if(horizontalEdge && start < 0) {
+                start = x;
+            } else if(!horizontalEdge && start >= 0) {
+                path.moveTo(start, y + 0.5);
+                path.lineTo(x, y + 0.5);
+                start = -1;
+            }
+        }
+    }
+    for(x = bounds.left; x <= bounds.left + bounds.width; x++) {
+        start = -1;
+        for(y = bounds.top; y <= bounds.top + bounds.height; y++) {
+            var verticalEdge = y < bounds.top + bounds.height && selected(x, y) != selected(x - 1, y);
+            if(verticalEdge && start < 0) {
+                start = y;
+            } else if(!verticalEdge && start >= 0) {
+                path.moveTo(x + 0.5, start);
+                path.lineTo(x + 0.5, y);
+                start = -1;
+            }
+        }
+    }
+    return path;
+}
+
+/**
+ * The selectionTool function creates a selection tool. Pressing the mouse inside of the current selection drags the
+ * selected pixels of the active layer to a new position with the selectionMover. Otherwise the handlers of the supplied
+ * tool create a new selection. A click without dragging removes the selection.
+ *
+ * @param select A tool object whose handlers create the new selection.
+ * @returns {Object} The tool.
+ */
+function selectionTool(select) {
+    function handler(type) {
+        return function(event, cx, paint, operation) {
+            var tool = operation.moving ? selectionMover : select;
+            if(tool[type]) {
+                tool[type](event, cx, paint, operation);
+            }
+        };
+    }
+
+    var down = handler('down');
+    return {
+        cursor: 'crosshair',
+        down: function(event, cx, paint, operation) {
+            operation.moving = paint.selection.contains(relativePos(event, cx.canvas));
+            down(event, cx, paint, operation);
+        },
+        move: handler('move'),
+        up: handler('up')
+    };
+}
+
+/**
+ * The selectionMover lifts the selected pixels of the active layer and moves them with the mouse. The pixels are drawn
+ * onto the overlay canvas while they are dragged and onto the active layer when the mouse is released.
+ */
+var selectionMover = {
+    down: function(event, cx, paint, operation) {
+        var selection = paint.selection;
+        operation.from = relativePos(event, cx.canvas);
+        operation.bounds = selection.bounds;
+        operation.floating = selection.extract(cx);
+        operation.offset = {x: 0, y: 0};
+        selection.erase(cx);
+        this.preview(cx, paint, operation);
+    },
+    move: function(event, cx, paint, operation) {
+        var pos = relativePos(event, cx.canvas);
+        operation.offset = {x: pos.x - operation.from.x, y: pos.y - operation.from.y};
+        this.preview(cx, paint, operation);
+    },
+    up: function(event, cx, paint, operation) {
+        var bounds = operation.bounds, offset = operation.offset;
+        cx.globalAlpha = 1;
+        cx.globalCompositeOperation = 'source-over';
+        cx.drawImage(operation.floating, bounds.left + offset.x, bounds.top + offset.y);
+        paint.selection.translate(offset.x, offset.y);
+    },
+    preview: function(cx, paint, operation) {
+        var bounds = operation.bounds, offset = operation.offset;
+        clearOverlay(paint.overlay, cx.canvas).drawImage(operation.floating, bounds.left + offset.x,
+            bounds.top + offset.y);
+    }
+};
+
+/**
+ * The Select Rectangle tool selects the rectangle dragged by the user. Holding Shift selects a square.
+ */
+tools['Select Rectangle'] = selectionTool({
+    down: function(event, cx, paint, operation) {
+        operation.from = operation.to = relativePos(event, cx.canvas);
+    },
+    move: function(event, cx, paint, operation) {
+        operation.to = relativePos(event, cx.canvas);
+        var ocx = clearOverlay(paint.overlay, cx.canvas);
+        var area = this.rect(operation, event.shiftKey);
+        ocx.setLineDash([4, 4]);
+        ocx.strokeRect(area.left + 0.5, area.top + 0.5, area.width, area.height);
+    },
+    up: function(event, cx, paint, operation) {
+        var area = this.rect(operation, event.shiftKey);
+        if(area.width > 0 && area.height > 0) {
+            paint.selection.selectRect(area);
+        } else {
+            paint.selection.clear();
+        }
+    },
+    rect: function(operation, square) {
+        return shapeGeometry(shapes.Rectangle, operation.from, operation.to, square, false);
+    }
+});
+
+/**
+ * The Lasso tool selects the area inside of the path drawn by the user. The path is closed by connecting its last
+ * point to its first point when the mouse is released.
+ */
+tools.Lasso = selectionTool({
+    down: function(event, cx, paint, operation) {
+        operation.points = [relativePos(event, cx.canvas)];
+    },
+    move: function(event, cx, paint, operation) {
+        operation.points.push(relativePos(event, cx.canvas));
+        var ocx = clearOverlay(paint.overlay, cx.canvas);
+        ocx.setLineDash([4, 4]);
+        ocx.beginPath();
+        operation.points.forEach(function(point) {
+            ocx.lineTo(point.x + 0.5, point.y + 0.5);
+        });
+        ocx.stroke();
+    },
+    up: function(event, cx, paint, operation) {
+        if(operation.points.length > 2) {
+            paint.selection.selectPolygon(operation.points);
+        } else {
+            paint.selection.clear();
+        }
+    }
+});
+
+/**
+ * A text marker written to the system clipboard next to copied pixels. When it is found again while pasting, the
+ * pixels in the clipboard came from this program and the in-app clipboard, which remembers their position, is used.
+ */
+var clipboardMarker = 'paint-selection-' + Date.now();
+
+/**
+ * Copies the selected pixels of the active layer into the in-app clipboard and, where the browser supports it, into
+ * the system clipboard as a PNG image.
+ *
+ * @param cx The 2DCanvasContext of the active layer.
+ * @param paint The state object of the Paint program.
+ */
+function copySelection(cx, paint) {
+    var selection = paint.selection;
+    var canvas = selection.extract(cx);
+    paint.clipboard = {canvas: canvas, left: selection.bounds.left, top: selection.bounds.top};
+
+    if(navigator.clipboard && navigator.clipboard.write && typeof ClipboardItem != 'undefined') {
+        try {
+            navigator.clipboard.write([new ClipboardItem({
+                'image/png': new Promise(function(resolve) {
+                    canvas.toBlob(resolve, 'image/png');
+                }),
+                'text/plain': new Blob([clipboardMarker], {type: 'text/plain'})
+            })]).catch(function() {});
+        } catch(e) {
+            // The in-app clipboard still holds the pixels when the system clipboard is not available.
+        }
+    }
+}
+
+/**
+ * Draws pixels onto the active layer and selects them so they can be moved with the selection tools. Pasting is
+ * recorded in the history.
+ *
+ * @param cx The 2DCanvasContext of the active layer.
+ * @param paint The state object of the Paint program.
+ * @param source The canvas or image element holding the pixels.
+ * @param left The horizontal position of the pixels.
+ * @param top The vertical position of the pixels.
+ * @param width The optional width the pixels are scaled to. Default: the width of the source.
+ * @param height The optional height the pixels are scaled to. Default: the height of the source.
+ */
+function pasteImage(cx, paint, source, left, top, width, height) {
+    width = width || source.width;
+    height = height || source.height;
+    paint.history.record('Paste', function() {
+        cx.save();
+        cx.globalAlpha = 1;
+        cx.globalCompositeOperation = 'source-over';
+        cx.drawImage(source, left, top, width, height);
+        cx.restore();
+    });
+    var mask = createElement('canvas', {width: cx.canvas.width, height: cx.canvas.height}).getContext('2d');
+    mask.drawImage(source, left, top, width, height);
+    var data = mask.getImageData(0, 0, cx.canvas.width, cx.canvas.height).data;
+    var selected = new Uint8Array(cx.canvas.width * cx.canvas.height);
+    for(var i = 0; i < selected.length; i++) {
+        selected[i] = data[i * 4 + 3] ? 255 : 0;
+    }
+    paint.selection.set(selected);
+}
+
+/**
+ * The selection control constructor creates buttons to select all, deselect, copy, cut, paste, delete and fill the
+ * selection with the current color, which recolors a region selected with the Magic Wand tool. It also registers the
+ * keyboard shortcuts for these actions: Ctrl+A, Escape or Ctrl+D, Ctrl+C, Ctrl+X, Ctrl+V and Delete. Copying and
+ * pasting works through the browser's clipboard events so that images copied from other programs can be pasted as
+ * well, which are imported like opened images, see the importImage function. The shortcuts are ignored while a text
+ * field has focus.
+ *
+ * @param cx The 2DCanvasContext for the canvas element of the Paint UI.
+ * @param paint The state object of the Paint program.
+ * @returns {Element} The DOM Element for the selection control to be added to the toolbar UI.
+ */
+controls.selection = function(cx, paint) {
+    var selection = paint.selection;
+    paint.clipboard = null;
+
+    function editable() {
+        var layer = paint.layers.active();
+        return !selection.isEmpty() && !layer.locked && layer.visible;
+    }
+
+    function copy() {
+        if(!selection.isEmpty()) {
+            copySelection(cx, paint);
+        }
+    }
+
+    function cut() {
+        if(editable()) {
+            copySelection(cx, paint);
+            paint.history.record('Cut', function() {
+                selection.erase(cx);
+            });
+        }
+    }
+
+    function remove() {
+        if(editable()) {
+            paint.history.record('Delete', function() {
+                selection.erase(cx);
+            });
+        }
+    }
+
+    function fill() {
+        if(editable()) {
+            var bounds = selection.bounds;
+            paint.history.record('Fill selection', function() {
+                selection.draw(cx, function() {
+                    cx.fillRect(bounds.left, bounds.top, bounds.width, bounds.height);
+                });
+            });
+        }
+    }
+
+    function paste() {
+        var layer = paint.layers.active();
+        if(paint.clipboard && !layer.locked && layer.visible) {
+            pasteImage(cx, paint, paint.clipboard.canvas, paint.clipboard.left, paint.clipboard.top);
+        }
+    }
+
+    function pasteFile(file) {
+        loadImageFile(file, function(error, image) {
+            if(error) {
+                showError('The image could not be pasted', error);
+            } else {
+                importImage(cx, paint, image);
+            }
+        });
+    }
+
+    paint.listen(document, 'copy', function(event) {
+        if(!paint.hasFocus() || isTextField(event.target) || dialogOpen() || selection.isEmpty()) return;
+        copy();
+        event.preventDefault();
+    });
+    paint.listen(document, 'cut', function(event) {
+        if(!paint.hasFocus() || isTextField(event.target) || dialogOpen() || selection.isEmpty()) return;
+        cut();
+        event.preventDefault();
+    });
+    paint.listen(document, 'paste', function(event) {
+        if(!paint.hasFocus() || isTextField(event.target) || dialogOpen()) return;
+        var data = event.clipboardData;
+        var files = data ? Array.prototype.slice.call(data.files) : [];
+        var image = files.filter(function(file) {
+            return /^image\//.test(file.type);
+        })[0];
+        if(image && data.getData('text/plain') != clipboardMarker) {
+            pasteFile(image);
+        } else {
+            paste();
+        }
+        event.preventDefault();
+    });
+    paint.listen(window, 'keydown', function(event) {
+        if(!paint.hasFocus() || isTextField(event.target) || dialogOpen()) return;
+        var key = event.key.toLowerCase();
+        var ctrl = event.ctrlKey || event.metaKey;
+        if(ctrl && key == 'a') {
+            selection.selectAll();
+        } else if(key == 'escape' || (ctrl && key == 'd')) {
+            selection.clear();
+        } else if(key == 'delete' || key == 'backspace') {
+            remove();
+        } else {
+            return;
+        }
+        event.preventDefault();
+    });
+
+    function button(label, onClick) {
+        var node = createElement('button', {type: 'button'}, label);
+        node.addEventListener('click', onClick);
+        return node;
+    }
+
+    return createElement('div', null, 'Selection: ',
+        button('Select all', function() {
+            selection.selectAll();
+        }),
+        button('Deselect', function() {
+            selection.clear();
+        }),
+        button('Copy', copy),
+        button('Cut', cut),
+        button('Paste', paste),
+        button('Delete', remove),
+        button('Fill', fill));
+};
@@ -0,0 +1,273 @@
+/**
+ * The shapes object holds the definition of each shape drawn by the shape tools. A box shape is drawn inside of the
+ * rectangle dragged by the user, while a line shape is drawn from the point where the mouse was pressed to the point
+ * where it was released. The path function adds the shape's path to a 2DCanvasContext, and line shapes can have an
+ * additional decorate function which draws on top of the stroked line.
+ */
+var shapes = Object.create(null);
+
+shapes.Rectangle = {
+    type: 'box',
+    path: function(cx, rect) {
+        cx.rect(rect.left, rect.top, rect.width, rect.height);
+    }
+};
+
+shapes['Rounded Rectangle'] = {
+    type: 'box',
+    path: function(cx, rect, options) {
+        var radius = Math.min(options.radius, rect.width / 2, rect.height / 2);
+        var right = rect.left + rect.width, bottom = rect.top + rect.height;
+        cx.moveTo(rect.left + radius, rect.top);
+        cx.arcTo(right, rect.top, right, bottom, radius);
+        cx.arcTo(right, bottom, rect.left, bottom, radius);
+        cx.arcTo(rect.left, bottom, rect.left, rect.top, radius);
+        cx.arcTo(rect.left, rect.top, right, rect.top, radius);
+        cx.closePath();
+    }
+};
+
+shapes.Ellipse = {
+    type: 'box',
+    path: function(cx, rect) {
+        cx.ellipse(rect.left + rect.width / 2, rect.top + rect.height / 2,
+            rect.width / 2, rect.height / 2, 0, 0, 2 * Math.PI);
+    }
+};
+
+shapes.Polygon = {
+    type: 'box',
+    path: function(cx, rect, options) {
+        var centerX = rect.left + rect.width / 2, centerY = rect.top + rect.height / 2;
+        for(var i = 0; i < options.sides; i++) {
+            var angle = 2 * Math.PI * i / options.sides - Math.PI / 2;
+            cx.lineTo(centerX + Math.cos(angle) * rect.width / 2, centerY + Math.sin(angle) * rect.height / 2);
+        }
+        cx.closePath();
+    }
+};
+
+shapes['Straight Line'] = {
+    type: 'line',
+    path: function(cx, line) {
+        cx.moveTo(line.start.x, line.start.y);
+        cx.lineTo(line.end.x, line.end.y);
+    }
+};
+
+shapes.Arrow = {
+    type: 'line',
+    path: shapes['Straight Line'].path,
+    decorate: function(cx, line) {
+        var angle = Math.atan2(line.end.y - line.start.y, line.end.x - line.start.x);
+        var length = Math.max(10, cx.lineWidth * 3);
+        cx.beginPath();
+        cx.moveTo(line.end.x + Math.cos(angle) * cx.lineWidth / 2, line.end.y + Math.sin(angle) * cx.lineWidth / 2);
+        cx.lineTo(line.end.x - Math.cos(angle - Math.PI / 6) * length, line.end.y - Math.sin(angle - Math.PI / 6) * length);
+        cx.lineTo(line.end.x - Math.cos(angle + Math.PI / 6) * length, line.end.y - Math.sin(angle + Math.PI / 6) * length);
+        cx.closePath();
+        cx.fill();
+    }
+};
+
+/**
+ * The names of the drawing modes of box shapes mapped to a description shown in the shape control.
+ */
+var shapeModes = {
+    'outline': 'Outline',
+    'fill': 'Fill',
+    'both': 'Outline and fill'
+};
+
+/**
+ * The shapeGeometry function converts the points where the mouse was pressed and where it currently is into the
+ * geometry of a shape. When constrain is set (Shift is held) box shapes are made square and line shapes snap to
+ * multiples of 45 degrees. When fromCenter is set (Alt is held) the start point becomes the center of the shape.
+ *
+ * @param shape The shape definition from the shapes object.
+ * @param start The coordinate object where the mouse was pressed.
+ * @param end The coordinate object of the current mouse position.
+ * @param constrain A boolean indicating if the shape is constrained.
+ * @param fromCenter A boolean indicating if the shape is drawn from its center.
+ * @returns {Object} A rectangle coordinate object for box shapes or a {start, end} object for line shapes.
+ */
+function shapeGeometry(shape, start, end, constrain, fromCenter) {
+    var dx = end.x - start.x, dy = end.y - start.y;
+
+    if(shape.type == 'line') {
+        if(constrain) {
+            var length = Math.sqrt(dx * dx + dy * dy);
+            var angle = Math.round(Math.atan2(dy, dx) / (Math.PI / 4)) * (Math.PI / 4);
+            dx = Math.round(Math.cos(angle) * length);
+            dy = Math.round(Math.sin(angle) * length);
+        }
+        return {
+            start: fromCenter ? {x: start.x - dx, y: start.y - dy} : start,
+            end: {x: start.x + dx, y: start.y + dy}
+        };
+    }
+
+    if(constrain) {
+        var size = Math.max(Math.abs(dx), Math.abs(dy));
+        dx = dx < 0 ? -size : size;
+        dy = dy < 0 ? -size : size;
+    }
+    var corner = {x: start.x + dx, y: start.y + dy};
+    return rectangleFromPoints(fromCenter ? {x: start.x - dx, y: start.y - dy} : start, corner);
+}
+
+/**
+ * The drawShape function draws a shape onto a 2DCanvasContext using its current fillStyle, strokeStyle and lineWidth.
+ * Line shapes are always stroked, box shapes are stroked and/or filled depending on the mode.
+ *
+ * @param cx The 2DCanvasContext to draw onto.
+ * @param shape The shape definition from the shapes object.
+ * @param geometry The geometry of the shape created by the shapeGeometry function.
+ * @param options The shape options object {{mode: string, sides: number, radius: number}}.
+ */
+function drawShape(cx, shape, geometry, options) {
+    cx.beginPath();
+    shape.path(cx, geometry, options);
+    if(shape.type == 'line') {
+        cx.stroke();
+        if(shape.decorate) {
+            shape.decorate(cx, geometry, options);
+        }
+        return;
+    }
+    if(options.mode != 'outline') {
+        cx.fill();
+    }
+    if(options.mode != 'fill') {
+        cx.stroke();
+    }
+}
+
+/**
+ * Copies the properties which control how a 2DCanvasContext draws from one context to another.
+ *
+ * @param from The 2DCanvasContext to copy from.
+ * @param to The 2DCanvasContext to copy to.
+ */
+function copyContextStyle(from, to) {
+    ['fillStyle', 'strokeStyle', 'lineWidth', 'lineCap', 'lineJoin', 'font', 'globalAlpha'].forEach(function(name) {
+        to[name] = from[name];
+    });
+}
+
+/**
+ * Clears the overlay canvas which is displayed above the layers, resizing it first if the picture's size changed.
+ *
+ * @param overlay The overlay canvas element.
+ * @param canvas The canvas element whose size the overlay should match.
+ * @returns {CanvasRenderingContext2D} The 2DCanvasContext of the overlay.
+ */
+function clearOverlay(overlay, canvas) {
+    var ocx = overlay.getContext('2d');
+    if(overlay.width != canvas.width || overlay.height != canvas.height) {
+        overlay.width = canvas.width;
+        overlay.height = canvas.height;
+    } else {
+        ocx.clearRect(0, 0, overlay.width, overlay.height);
+    }
+    return ocx;
+}
+
+/**
+ * The shapeTool function creates a tool which drags out a shape. While the mouse is held down a preview of the shape
+ * is drawn onto the overlay canvas, and when the mouse is released the shape is drawn onto the active layer inside of
+ * the current selection. Holding Shift constrains the shape and holding Alt draws it from its center. The preview is
+ * updated when these keys are pressed or released without moving the mouse. Both are repeated by the symmetry mode.
+ *
+ * @param name The name of the shape in the shapes object.
+ * @returns {Object} The tool.
+ */
+function shapeTool(name) {
+    var shape = shapes[name];
+
+    function geometry(operation) {
+        return shapeGeometry(shape, operation.from, operation.to, operation.constrain, operation.fromCenter);
+    }
+    function preview(cx, paint, operation) {
+        var ocx = clearOverlay(paint.overlay, cx.canvas);
+        copyContextStyle(cx, ocx);
+        operation.mirror(ocx, function() {
+            drawShape(ocx, shape, geometry(operation), paint.shapes);
+        });
+    }
+
+    return {
+        cursor: 'crosshair',
+        symmetric: true,
+        options: shapeOptions,
+        down: function(event, cx, paint, operation) {
+            operation.from = operation.to = relativePos(event, cx.canvas);
+            operation.constrain = event.shiftKey;
+            operation.fromCenter = event.altKey;
+        },
+        move: function(event, cx, paint, operation) {
+            operation.to = relativePos(event, cx.canvas);
+            operation.constrain = event.shiftKey;
+            operation.fromCenter = event.altKey;
+            preview(cx, paint, operation);
+        },
+        key: function(event, cx, paint, operation) {
+            operation.constrain = event.shiftKey;
+            operation.fromCenter = event.altKey;
+            if(event.key == 'Alt') {
+                event.preventDefault();
+            }
+            preview(cx, paint, operation);
+        },
+        up: function(event, cx, paint, operation) {
+            var from = operation.from, to = operation.to;
+            if(to.x != from.x || to.y != from.y) {
+                paint.selection.draw(cx, function() {
+                    operation.mirror(cx, function() {
+                        drawShape(cx, shape, geometry(operation), paint.shapes);
+                    });
+                });
+            }
+        }
+    };
+}
+
+for(var shapeName in shapes) {
+    tools[shapeName] = shapeTool(shapeName);
+}
+
+/**
+ * The shapeOptions function creates the form controls for the options of the shape tools: a select for drawing box
+ * shapes as an outline, filled, or both, the number of sides of the Polygon tool and the corner radius of the Rounded
+ * Rectangle tool. The options are stored in the paint state object.
+ *
+ * @param cx The 2DCanvasContext for the canvas element of the Paint UI.
+ * @param paint The state object of the Paint program.
+ * @returns {Element} The DOM Element holding the options, shown while a shape tool is selected.
+ */
+function shapeOptions(cx, paint) {
+    var options = paint.shapes;
+
+    var mode = createElement('select');
+    for(var name in shapeModes) {
+        mode.appendChild(createElement('option', {value: name}, shapeModes[name]));
+    }
+    mode.value = options.mode;
+    mode.addEventListener('change', function() {
+        options.mode = mode.value;
+    });
+
+    var sides = createElement('input', {type: 'number', min: 3, max: 20, value: options.sides});
+    sides.addEventListener('change', function() {
+        options.sides = Math.max(3, Math.min(20, Math.round(sides.value) || 3));
+        sides.value = options.sides;
+    });
+
+    var radius = createElement('input', {type: 'number', min: 0, max: 500, value: options.radius});
+    radius.addEventListener('change', function() {
+        options.radius = Math.max(0, Number(radius.value) || 0);
+        radius.value = options.radius;
+    });
+
+    return createElement('div', null, 'Shapes: ', mode, ' Polygon sides: ', sides, ' Corner radius: ', radius);
+}
@@ -0,0 +1,226 @@
+/**
+ * The symmetryModes object holds the labels of the symmetry modes. Except when it is off, every stroke of a tool which
+ * supports symmetry is repeated mirrored across a vertical axis, a horizontal axis or both axes through the center of
+ * symmetry, or rotated around the center a number of times, like in a kaleidoscope.
+ */
+var symmetryModes = {off: 'Off', vertical: 'Vertical axis', horizontal: 'Horizontal axis', both: 'Both axes',
+                     radial: 'Radial'};
+
+/**
+ * The largest number of copies the radial symmetry mode can make.
+ */
+var maxSymmetryWays = 32;
+
+/**
+ * Returns the center of symmetry. Unless the user dragged it somewhere else it is the center of the picture.
+ *
+ * @param symmetry The symmetry options object {{mode: string, ways: number, center: Object}}.
+ * @param width The width of the picture.
+ * @param height The height of the picture.
+ * @returns {{x: number, y: number}} The center in picture pixels.
+ */
+function symmetryCenter(symmetry, width, height) {
+    var center = symmetry.center;
+    if(center && isFinite(center.x) && isFinite(center.y)) {
+        return {x: Number(center.x), y: Number(center.y)};
+    }
+    return {x: width / 2, y: height / 2};
+}
+
+/**
+ * Returns the number of copies made by the radial symmetry mode, which is limited to the range from 2 to
+ * maxSymmetryWays.
+ *
+ * @param symmetry The symmetry options object.
+ * @returns {number} The number of copies.
+ */
+function symmetryWays(symmetry) {
+    return Math.max(2, Math.min(maxSymmetryWays, Math.round(symmetry.ways) || 2));
+}
+
+/**
+ * Returns the angles of the lines which divide the picture into the parts that are copies of each other, as drawn by
+ * the guide of the symmetry control. The lines start at the center of symmetry.
+ *
+ * @param symmetry The symmetry options object.
+ * @returns {Array} The angles in radians, where 0 points to the right and the angles grow clockwise.
+ */
+function symmetryGuideAngles(symmetry) {
+    switch(symmetry.mode) {
+    case 'vertical':
+        return [-Math.PI / 2, Math.PI / 2];
+    case 'horizontal':
+        return [0, Math.PI];
+    case 'both':
+        return [0, Math.PI / 2, Math.PI, -Math.PI / 2];
+    case 'radial':
+        var ways = symmetryWays(symmetry), angles = [];
+        for(var i = 0; i < ways; i++) {
+            angles.push(-Math.PI / 2 + 2 * Math.PI * i / ways);
+        }
+        return angles;
+    }
+    return [];
+}
+
+/**
+ * Returns the transforms of the copies made by the symmetry mode, as arguments for the transform method of a
+ * 2DCanvasContext. The first transform leaves what a tool draws where it is, the others move it to its mirror images.
+ * The options may come from a recording or from someone else, so an unknown mode leaves only the first transform.
+ *
+ * @param symmetry The symmetry options object {{mode: string, ways: number, center: Object}}.
+ * @param width The width of the picture.
+ * @param height The height of the picture.
+ * @returns {Array} The transforms as arrays [a, b, c, d, e, f].
+ */
+function symmetryTransforms(symmetry, width, height) {
+    var center = symmetryCenter(symmetry, width, height);
+    var x = center.x, y = center.y;
+    var transforms = [[1, 0, 0, 1, 0, 0]];
+    if(symmetry.mode == 'vertical' || symmetry.mode == 'both') {
+        transforms.push([-1, 0, 0, 1, 2 * x, 0]);
+    }
+    if(symmetry.mode == 'horizontal' || symmetry.mode == 'both') {
+        transforms.push([1, 0, 0, -1, 0, 2 * y]);
+    }
+    if(symmetry.mode == 'both') {
+        transforms.push([-1, 0, 0, -1, 2 * x, 2 * y]);
+    }
+    if(symmetry.mode == 'radial') {
+        var ways = symmetryWays(symmetry);
+        for(var i = 1; i < ways; i++) {
+            var cos = Math.cos(2 * Math.PI * i / ways), sin = Math.sin(2 * Math.PI * i / ways);
+            transforms.push([cos, sin, -sin, cos, x - cos * x + sin * y, y - sin * x - cos * y]);
+        }
+    }
+    return transforms;
+}
+
+/**
+ * Returns the smallest rectangle of whole pixels containing a rectangle moved by a transform.
+ *
+ * @param rect The rectangle {{left: number, top: number, right: number, bottom: number}}.
+ * @param transform The transform as an array [a, b, c, d, e, f].
+ * @returns {{left: number, top: number, right: number, bottom: number}} The rectangle containing the moved rectangle.
+ */
+function transformRect(rect, transform) {
+    var xs = [], ys = [];
+    [[rect.left, rect.top], [rect.right, rect.top], [rect.left, rect.bottom], [rect.right, rect.bottom]].forEach(
+        function(corner) {
+            xs.push(transform[0] * corner[0] + transform[2] * corner[1] + transform[4]);
+            ys.push(transform[1] * corner[0] + transform[3] * corner[1] + transform[5]);
+        });
+    return {left: Math.floor(Math.min.apply(null, xs)), top: Math.floor(Math.min.apply(null, ys)),
+            right: Math.ceil(Math.max.apply(null, xs)), bottom: Math.ceil(Math.max.apply(null, ys))};
+}
+
+/**
+ * The SymmetryGuide object shows the center of symmetry and the lines between the copies above the picture while a
+ * symmetry mode is chosen. The center can be dragged to move it, and the lines scale with the picture, so they stay
+ * one screen pixel wide at every zoom level.
+ *
+ * @param cx The 2DCanvasContext of the active layer.
+ * @param paint The state object of the Paint program.
+ * @constructor
+ */
+function SymmetryGuide(cx, paint) {
+    var guide = this;
+    this.cx = cx;
+    this.paint = paint;
+    this.lines = createElement('div');
+    this.center = createElement('div', {class: 'symmetry-center', title: 'Drag to move the center of symmetry'});
+    this.element = createElement('div', {class: 'symmetry-layer'}, this.lines, this.center);
+    paint.viewport.panel.appendChild(this.element);
+
+    this.center.addEventListener('pointerdown', function(event) {
+        if(event.button != 0) return;
+        event.preventDefault();
+        trackDrag(function(event) {
+            var pos = keepInCanvasBounds(relativePos(event, cx.canvas), cx.canvas);
+            paint.symmetry.center = {x: pos.x, y: pos.y};
+            guide.update();
+        }, function() {
+            paint.events.emit('symmetrychange', paint.symmetry);
+        }, event);
+    });
+    paint.layers.onChange(function() {
+        guide.update();
+    });
+    paint.events.on('symmetrychange', function() {
+        guide.update();
+    });
+    this.update();
+}
+
+/**
+ * Shows the guide for the current symmetry options, or hides it when symmetry is off.
+ */
+SymmetryGuide.prototype.update = function() {
+    var symmetry = this.paint.symmetry, canvas = this.cx.canvas;
+    var angles = symmetryGuideAngles(symmetry);
+    this.element.style.display = angles.length ? '' : 'none';
+
+    var center = symmetryCenter(symmetry, canvas.width, canvas.height);
+    var left = center.x / canvas.width * 100 + '%', top = center.y / canvas.height * 100 + '%';
+    this.center.style.left = left;
+    this.center.style.top = top;
+    this.lines.textContent = '';
+    angles.forEach(function(angle) {
+        this.lines.appendChild(createElement('div', {class: 'symmetry-line', style: {
+            left: left,
+            top: top,
+            transform: 'rotate(' + angle + 'rad)'
+        }}));
+    }, this);
+};
+
+/**
+ * The symmetry control constructor creates a select form control for the symmetry mode, a number input form control
+ * for the number of copies of the radial mode and a button which moves the center of symmetry back to the center of
+ * the picture. It also adds the guide of the symmetry mode above the picture. The options are stored in the paint
+ * state object.
+ *
+ * @param cx The 2DCanvasContext for the canvas element of the Paint UI.
+ * @param paint The state object of the Paint program.
+ * @returns {Element} The DOM Element for the symmetry control to be added to the toolbar UI.
+ */
+controls.symmetry = function(cx, paint) {
+    var options = paint.symmetry;
+    new SymmetryGuide(cx, paint);
+
+    var mode = createElement('select');
+    for(var name in symmetryModes) {
+        mode.appendChild(createElement('option', {value: name}, symmetryModes[name]));
+    }
+    mode.addEventListener('change', function() {
+        options.mode = mode.value;
+        paint.events.emit('symmetrychange', options);
+    });
+
+    var ways = createElement('input', {type: 'number', min: 2, max: maxSymmetryWays, title: 'Copies'});
+    ways.addEventListener('change', function() {
+        var value = Number(ways.value);
+        if(ways.value !== '' && value >= 2 && value <= maxSymmetryWays) {
+            options.ways = Math.round(value);
+        }
+        paint.events.emit('symmetrychange', options);
+    });
+
+    var reset = createElement('button', {type: 'button'}, 'Center');
+    reset.title = 'Move the center of symmetry to the center of the picture';
+    reset.addEventListener('click', function() {
+        options.center = null;
+        paint.events.emit('symmetrychange', options);
+    });
+
+    function update() {
+        mode.value = options.mode;
+        ways.value = symmetryWays(options);
+        ways.style.display = options.mode == 'radial' ? '' : 'none';
+        reset.disabled = options.mode == 'off';
+    }
+    paint.events.on('symmetrychange', update);
+    update();
+
+    return createElement('span', null, 'Symmetry: ', mode, ' ', ways, ' ', reset);
+};
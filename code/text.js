@@ -0,0 +1,444 @@
+/**
+ * The font families which can be chosen for the Text tool. The generic families are always available, the others only
+ * when they are installed.
+ */
+var textFonts = ['sans-serif', 'serif', 'monospace', 'cursive', 'fantasy', 'Arial', 'Georgia', 'Times New Roman',
+                 'Courier New', 'Verdana', 'Trebuchet MS', 'Impact'];
+
+/**
+ * The alignments of the lines of a text inside of its box.
+ */
+var textAligns = {left: 'Left', center: 'Center', right: 'Right'};
+
+/**
+ * The height of a line of text as a part of the font size.
+ */
+var textLineHeight = 1.2;
+
+/**
+ * The largest font size of the Text tool in pixels.
+ */
+var maxTextSize = 500;
+
+/**
+ * Returns the CSS font of a text, such as 'italic bold 24px serif'.
+ *
+ * @param text The text options or text box object.
+ * @returns {string} The font string for the font property of a 2DCanvasContext.
+ */
+function textFont(text) {
+    var family = /^[\w-]+$/.test(text.font) ? text.font : '"' + text.font + '"';
+    return (text.italic ? 'italic ' : '') + (text.bold ? 'bold ' : '') + text.size + 'px ' + family;
+}
+
+/**
+ * Breaks the text of a text box into the lines which are drawn. Lines end at line breaks and are wrapped between
+ * words at the width of the box. Words wider than the box are broken between characters.
+ *
+ * @param cx A 2DCanvasContext used to measure the text. Its font is set to the font of the text box.
+ * @param box The text box object.
+ * @returns {Array} The lines as strings.
+ */
+function layoutText(cx, box) {
+    cx.font = textFont(box);
+    function fits(text) {
+        return cx.measureText(text).width <= box.width;
+    }
+
+    var lines = [];
+    box.text.split('\n').forEach(function(paragraph) {
+        var line = null;
+        paragraph.split(' ').forEach(function(word) {
+            if(line !== null && fits(line + ' ' + word)) {
+                line += ' ' + word;
+                return;
+            }
+            if(line !== null) {
+                lines.push(line);
+            }
+            while(word.length > 1 && !fits(word)) {
+                var end = word.length - 1;
+                while(end > 1 && !fits(word.slice(0, end))) {
+                    end--;
+                }
+                lines.push(word.slice(0, end));
+                word = word.slice(end);
+            }
+            line = word;
+        });
+        lines.push(line);
+    });
+    return lines;
+}
+
+/**
+ * @param cx A 2DCanvasContext used to measure the text.
+ * @param box The text box object.
+ * @returns {number} The height of the box in pixels, which grows to fit every line of its text.
+ */
+function textBoxHeight(cx, box) {
+    return Math.max(box.height, layoutText(cx, box).length * box.size * textLineHeight);
+}
+
+/**
+ * Draws the text of a text box. The outline is drawn below the fill, so it does not cover the letters, and the
+ * underline has the color of the fill, or of the outline when the text is not filled.
+ *
+ * @param cx The 2DCanvasContext to draw onto.
+ * @param box The text box object, as returned by the readTextBox function.
+ */
+function drawText(cx, box) {
+    var lines = layoutText(cx, box), lineHeight = box.size * textLineHeight;
+    var x = box.x + (box.align == 'center' ? box.width / 2 : box.align == 'right' ? box.width : 0);
+    cx.textAlign = box.align;
+    cx.textBaseline = 'top';
+    cx.lineJoin = 'round';
+
+    lines.forEach(function(line, i) {
+        var y = box.y + i * lineHeight + (lineHeight - box.size) / 2;
+        if(box.outline) {
+            cx.strokeStyle = box.outlineColor;
+            cx.lineWidth = box.outlineWidth * 2;
+            cx.strokeText(line, x, y);
+        }
+        if(box.fill) {
+            cx.fillStyle = box.color;
+            cx.fillText(line, x, y);
+        }
+        if(box.underline && line) {
+            var width = cx.measureText(line).width;
+            var left = box.align == 'center' ? x - width / 2 : box.align == 'right' ? x - width : x;
+            cx.fillStyle = box.fill ? box.color : box.outlineColor;
+            cx.fillRect(left, y + box.size * 0.95, width, Math.max(1, box.size / 15));
+        }
+    });
+}
+
+/**
+ * Checks a text box read from a recording or sent by someone else, since it is drawn without asking.
+ *
+ * @param value The recorded value.
+ * @returns {Object} The text box, or null when the value is not a valid text box.
+ */
+function readTextBox(value) {
+    function number(value, min, max) {
+        return typeof value == 'number' && value >= min && value <= max;
+    }
+    var valid = value && typeof value == 'object' && typeof value.text == 'string' &&
+        number(value.x, -1e5, 1e5) && number(value.y, -1e5, 1e5) && number(value.width, 1, 1e5) &&
+        number(value.height, 0, 1e5) && number(value.size, 1, maxTextSize) && number(value.outlineWidth, 0, 100) &&
+        textFonts.indexOf(value.font) != -1 && value.align in textAligns &&
+        typeof value.color == 'string' && typeof value.outlineColor == 'string';
+    return valid ? value : null;
+}
+
+/**
+ * Returns the text editor of a Paint program, creating it the first time the Text tool is activated.
+ *
+ * @param cx The 2DCanvasContext of the active layer.
+ * @param paint The state object of the Paint program.
+ * @returns {TextEditor} The text editor, kept as the textEditor property of the paint state object.
+ */
+function textEditor(cx, paint) {
+    if(!paint.textEditor) {
+        paint.textEditor = new TextEditor(cx, paint);
+    }
+    return paint.textEditor;
+}
+
+/**
+ * The TextEditor object shows the text box of the Text tool above the picture. The text is typed into a text area
+ * lying over a preview of the text, and the box can be moved by its top edge and resized by its bottom right corner
+ * before the text is drawn onto the layer. Until then the text is not part of the picture, and is kept when another
+ * tool is selected, so it can be edited again when the Text tool is selected again. Changing the text options or the
+ * color changes the text in the box.
+ *
+ * Pressing Escape discards the text, and Ctrl+Enter or clicking the picture outside of the box draws it. Drawing the
+ * text is a click of the Text tool like any other, so it is recorded and shared with everyone in a collaboration.
+ *
+ * @param cx The 2DCanvasContext of the active layer.
+ * @param paint The state object of the Paint program.
+ * @constructor
+ */
+function TextEditor(cx, paint) {
+    var editor = this;
+    this.cx = cx;
+    this.paint = paint;
+    this.box = null;
+    this.preview = createElement('canvas', {class: 'text-preview'});
+    this.textarea = createElement('textarea', {spellcheck: 'false', 'aria-label': 'Text'});
+    var move = createElement('div', {class: 'text-move', title: 'Move'});
+    var resize = createElement('div', {class: 'text-resize', title: 'Resize'});
+    this.frame = createElement('div', {class: 'text-box'}, move, this.textarea, resize);
+    this.element = createElement('div', {class: 'text-layer', style: {display: 'none'}}, this.preview, this.frame);
+    paint.viewport.panel.appendChild(this.element);
+
+    this.textarea.addEventListener('input', function() {
+        editor.box.text = editor.textarea.value;
+        editor.update();
+    });
+    this.textarea.addEventListener('keydown', function(event) {
+        if(event.key == 'Escape') {
+            event.preventDefault();
+            editor.close();
+        } else if(event.key == 'Enter' && (event.ctrlKey || event.metaKey)) {
+            event.preventDefault();
+            editor.commit();
+        }
+    });
+    this.drag(move, function(box, origin, dx, dy) {
+        box.x = origin.x + dx;
+        box.y = origin.y + dy;
+    });
+    this.drag(resize, function(box, origin, dx, dy) {
+        box.width = Math.max(box.size, origin.width + dx);
+        box.height = Math.max(box.size * textLineHeight, textBoxHeight(editor.preview.getContext('2d'), origin) + dy);
+    });
+    paint.viewport.onChange(function() {
+        editor.update();
+    });
+    paint.events.on('colorchange', function() {
+        editor.update();
+    });
+}
+
+/**
+ * Changes the box while a handle of the frame is dragged.
+ *
+ * @param handle The element of the handle.
+ * @param change A function(box, origin, dx, dy) which changes the box, given a copy of the box from before the drag
+ * and the distance the pointer moved in picture pixels.
+ */
+TextEditor.prototype.drag = function(handle, change) {
+    var editor = this;
+    handle.addEventListener('pointerdown', function(event) {
+        if(event.button != 0 || !editor.box) return;
+        event.preventDefault();
+        var start = relativePos(event, editor.cx.canvas);
+        var origin = JSON.parse(JSON.stringify(editor.textBox()));
+        trackDrag(function(event) {
+            var pos = relativePos(event, editor.cx.canvas);
+            change(editor.box, origin, pos.x - start.x, pos.y - start.y);
+            editor.update();
+        }, function() {
+            editor.textarea.focus();
+        }, event);
+    });
+};
+
+/**
+ * Opens a new empty text box.
+ *
+ * @param pos The top left corner of the box in picture pixels.
+ */
+TextEditor.prototype.open = function(pos) {
+    var size = this.paint.text.size;
+    this.box = {x: pos.x, y: pos.y, width: Math.max(size * 10, 100), height: size * textLineHeight, text: ''};
+    this.textarea.value = '';
+    this.show();
+    this.textarea.focus();
+};
+
+/**
+ * @returns {Object} The text box with the current text options and color, or null when no text box is open.
+ */
+TextEditor.prototype.textBox = function() {
+    var box = this.box, options = this.paint.text;
+    if(!box) return null;
+    return {x: box.x, y: box.y, width: box.width, height: box.height, text: box.text, font: options.font,
+            size: options.size, bold: options.bold, italic: options.italic, underline: options.underline,
+            align: options.align, fill: options.fill, color: this.paint.color, outline: options.outline,
+            outlineColor: options.outlineColor, outlineWidth: options.outlineWidth};
+};
+
+/**
+ * Closes the text box and returns it to be drawn.
+ *
+ * @returns {Object} The text box, or null when no text box is open or its text is empty.
+ */
+TextEditor.prototype.take = function() {
+    var box = this.textBox();
+    this.close();
+    return box && box.text.trim() ? box : null;
+};
+
+/**
+ * Closes the text box, discarding its text.
+ */
+TextEditor.prototype.close = function() {
+    this.box = null;
+    this.hide();
+};
+
+/**
+ * Draws the text onto the active layer with a click of the Text tool outside of the box.
+ */
+TextEditor.prototype.commit = function() {
+    replayPointer(this.cx.canvas, {type: 'down', x: this.box.x, y: this.box.y, pointerType: 'mouse'});
+};
+
+/**
+ * Shows the text box, if one is open. Called when the Text tool is activated. The text area gets the focus back when
+ * it had it before the box was hidden, since replaying the operations of someone else selects their tool for a moment.
+ */
+TextEditor.prototype.show = function() {
+    if(!this.box) return;
+    this.element.style.display = '';
+    this.update();
+    if(this.focused) {
+        this.textarea.focus();
+    }
+};
+
+/**
+ * Hides the text box without discarding its text. Called when the Text tool is deactivated.
+ */
+TextEditor.prototype.hide = function() {
+    this.focused = document.activeElement == this.textarea;
+    this.element.style.display = 'none';
+};
+
+/**
+ * Redraws the preview and places the text area over it. Positions are set as percentages of the picture, so they
+ * stay in place at every zoom level, while the font of the text area is scaled by the zoom level to keep the caret
+ * near the letters.
+ */
+TextEditor.prototype.update = function() {
+    var box = this.textBox();
+    if(!box || this.element.style.display == 'none') return;
+    var width = this.paint.layers.width(), height = this.paint.layers.height();
+    var pcx = this.preview.getContext('2d');
+    var boxHeight = textBoxHeight(pcx, box);
+    var margin = Math.ceil(box.outlineWidth + box.size / 2);
+
+    this.preview.width = Math.ceil(box.width) + margin * 2;
+    this.preview.height = Math.ceil(boxHeight) + margin * 2;
+    pcx.translate(margin - box.x, margin - box.y);
+    drawText(pcx, box);
+
+    function percent(value, size) {
+        return value / size * 100 + '%';
+    }
+    setStyle(this.preview, {
+        left: percent(box.x - margin, width),
+        top: percent(box.y - margin, height),
+        width: percent(this.preview.width, width),
+        height: percent(this.preview.height, height)
+    });
+    setStyle(this.frame, {
+        left: percent(box.x, width),
+        top: percent(box.y, height),
+        width: percent(box.width, width),
+        height: percent(boxHeight, height)
+    });
+    var zoom = this.paint.viewport.zoom;
+    setStyle(this.textarea, {
+        font: textFont({font: box.font, size: box.size * zoom, bold: box.bold, italic: box.italic}),
+        lineHeight: textLineHeight,
+        textAlign: box.align,
+        caretColor: box.fill ? box.color : box.outlineColor
+    });
+};
+
+/**
+ * Called by the Text tool when the picture is clicked. A text box which is open is drawn onto the active layer,
+ * inside of the current selection, and otherwise a new text box is opened where the picture was clicked. The drawn
+ * text box is recorded as an input of the operation, so it is drawn the same way when the operation is replayed.
+ * Recordings made before the text box was added hold the typed text as a string, which is drawn on one line at the
+ * clicked position as it was back then.
+ *
+ * @param event The pointer down event.
+ * @param cx The 2DCanvasContext of the active layer.
+ * @param paint The state object of the Paint program.
+ * @param operation The ToolOperation of the click.
+ */
+function placeText(event, cx, paint, operation) {
+    var input = paint.recorder.input(function() {
+        return paint.textEditor ? paint.textEditor.take() : null;
+    });
+    var box = readTextBox(input);
+    if(typeof input == 'string' && input) {
+        var pos = relativePos(event, cx.canvas);
+        cx.font = Math.max(7, cx.lineWidth) + 'px sans-serif';
+        cx.fillText(input, pos.x, pos.y);
+    } else if(box) {
+        paint.selection.draw(cx, function() {
+            drawText(cx, box);
+        });
+    } else if(!paint.recorder.replaying) {
+        textEditor(cx, paint).open(relativePos(event, cx.canvas));
+    }
+    operation.end();
+}
+
+/**
+ * The textOptions function creates the form controls for the options of the Text tool: the font family and size,
+ * bold, italic and underline, the alignment, and whether the text is filled with the current color and outlined with
+ * the outline color. The options are stored in the paint state object and change the open text box right away.
+ *
+ * @param cx The 2DCanvasContext for the canvas element of the Paint UI.
+ * @param paint The state object of the Paint program.
+ * @returns {Element} The DOM Element holding the options, shown while the Text tool is selected.
+ */
+function textOptions(cx, paint) {
+    var options = paint.text;
+    function changed() {
+        if(paint.textEditor) {
+            paint.textEditor.update();
+        }
+    }
+
+    var font = createElement('select');
+    textFonts.forEach(function(name) {
+        font.appendChild(createElement('option', {value: name, style: {fontFamily: name}}, name));
+    });
+    font.value = options.font;
+    font.addEventListener('change', function() {
+        options.font = font.value;
+        changed();
+    });
+
+    function number(name, min, max) {
+        var input = createElement('input', {type: 'number', min: min, max: max, value: options[name]});
+        input.addEventListener('change', function() {
+            var value = Number(input.value);
+            if(input.value !== '' && value >= min && value <= max) {
+                options[name] = value;
+                changed();
+            }
+            input.value = options[name];
+        });
+        return input;
+    }
+
+    function checkbox(name, label) {
+        var input = createElement('input', {type: 'checkbox'});
+        input.checked = options[name];
+        input.addEventListener('change', function() {
+            options[name] = input.checked;
+            changed();
+        });
+        return createElement('label', null, input, label);
+    }
+
+    var align = createElement('select');
+    for(var name in textAligns) {
+        align.appendChild(createElement('option', {value: name}, textAligns[name]));
+    }
+    align.value = options.align;
+    align.addEventListener('change', function() {
+        options.align = align.value;
+        changed();
+    });
+
+    var outlineColor = createElement('input', {type: 'color', value: options.outlineColor});
+    outlineColor.addEventListener('input', function() {
+        options.outlineColor = outlineColor.value;
+        changed();
+    });
+
+    return createElement('div', null, 'Font: ', font, ' ', number('size', 1, maxTextSize), 'px ',
+        checkbox('bold', 'Bold'), ' ', checkbox('italic', 'Italic'), ' ', checkbox('underline', 'Underline'),
+        ' Align: ', align, ' ', checkbox('fill', 'Fill'), ' ', checkbox('outline', 'Outline'), ' ', outlineColor,
+        ' Outline width: ', number('outlineWidth', 0, 100));
+}
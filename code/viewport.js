@@ -0,0 +1,266 @@
+/**
+ * The Viewport object displays the picture panel inside of a scrollable element at a zoom level. The pixels of the
+ * canvases are not changed by zooming, only their displayed size, so tools keep working in canvas pixels as long as
+ * they convert mouse positions with the relativePos function. At zoom levels of 200% and above the canvases are
+ * displayed without smoothing so that single pixels can be edited.
+ *
+ * @param element The scrollable element which contains the picture panel.
+ * @param panel The picture panel element holding the canvases.
+ * @param layers The LayerStack of the picture.
+ */
+function Viewport(element, panel, layers) {
+    this.element = element;
+    this.panel = panel;
+    this.layers = layers;
+    this.zoom = 1;
+    this.listeners = [];
+
+    var viewport = this;
+    layers.onChange(function() {
+        viewport.update();
+    });
+    this.update();
+}
+
+/**
+ * The smallest and largest zoom levels and the preset zoom levels stepped through by the zoom buttons.
+ */
+Viewport.minZoom = 0.1;
+Viewport.maxZoom = 32;
+Viewport.zoomLevels = [0.1, 0.25, 0.33, 0.5, 0.67, 1, 1.5, 2, 3, 4, 6, 8, 12, 16, 24, 32];
+
+/**
+ * Registers a function that is called whenever the zoom level changes.
+ *
+ * @param listener The function to call when the zoom level changes.
+ */
+Viewport.prototype.onChange = function(listener) {
+    this.listeners.push(listener);
+};
+
+/**
+ * Sets the displayed size of the canvases for the current zoom level and picture size.
+ */
+Viewport.prototype.update = function() {
+    var style = this.panel.style;
+    style.setProperty('--picture-width', this.layers.width() * this.zoom + 'px');
+    style.setProperty('--picture-height', this.layers.height() * this.zoom + 'px');
+    this.panel.classList.toggle('pixelated', this.zoom >= 2);
+};
+
+/**
+ * Changes the zoom level. The point of the picture under the anchor stays in place, so zooming with the mouse wheel
+ * zooms toward the mouse.
+ *
+ * @param zoom The new zoom level where 1 is 100%. It is limited to the range from 10% to 3200%.
+ * @param anchor An optional coordinate object in client coordinates. By default the center of the viewport is used.
+ */
+Viewport.prototype.setZoom = function(zoom, anchor) {
+    zoom = Math.max(Viewport.minZoom, Math.min(Viewport.maxZoom, zoom));
+    var element = this.element, canvas = this.layers.cx.canvas;
+    var view = element.getBoundingClientRect();
+    anchor = anchor || {x: view.left + element.clientWidth / 2, y: view.top + element.clientHeight / 2};
+
+    var before = canvas.getBoundingClientRect();
+    var pixelX = (anchor.x - before.left - canvas.clientLeft) / this.zoom;
+    var pixelY = (anchor.y - before.top - canvas.clientTop) / this.zoom;
+
+    this.zoom = zoom;
+    this.update();
+
+    var after = canvas.getBoundingClientRect();
+    element.scrollLeft += after.left + canvas.clientLeft + pixelX * zoom - anchor.x;
+    element.scrollTop += after.top + canvas.clientTop + pixelY * zoom - anchor.y;
+
+    var viewport = this;
+    this.listeners.forEach(function(listener) {
+        listener(viewport);
+    });
+};
+
+/**
+ * Steps to the next larger or smaller preset zoom level.
+ *
+ * @param direction 1 to zoom in or -1 to zoom out.
+ * @param anchor An optional coordinate object in client coordinates.
+ */
+Viewport.prototype.step = function(direction, anchor) {
+    var zoom = this.zoom;
+    var levels = Viewport.zoomLevels.filter(function(level) {
+        return direction > 0 ? level > zoom + 0.001 : level < zoom - 0.001;
+    });
+    if(levels.length) {
+        this.setZoom(direction > 0 ? levels[0] : levels[levels.length - 1], anchor);
+    }
+};
+
+/**
+ * Zooms so that the whole picture fits inside of the viewport.
+ */
+Viewport.prototype.fit = function() {
+    var border = 2;
+    this.setZoom(Math.min((this.element.clientWidth - border * 2) / this.layers.width(),
+                          (this.element.clientHeight - border * 2) / this.layers.height()));
+};
+
+/**
+ * Scrolls the viewport by an offset in client pixels.
+ *
+ * @param dx The horizontal offset.
+ * @param dy The vertical offset.
+ */
+Viewport.prototype.pan = function(dx, dy) {
+    this.element.scrollLeft += dx;
+    this.element.scrollTop += dy;
+};
+
+/**
+ * The zoom control constructor creates buttons to zoom in and out, fit the picture to the window and display it at
+ * its actual size, along with the current zoom level which can also be typed in. Ctrl+wheel zooms toward the mouse
+ * and Ctrl+Plus, Ctrl+Minus and Ctrl+0 zoom in, out and to the actual size.
+ *
+ * Holding Space while dragging, or dragging with the middle mouse button, pans the picture instead of using the
+ * selected tool. The viewport's scrollbars can be used to pan as well. On touch screens one finger draws with the
+ * selected tool while two fingers pinch to zoom and drag to pan. When a second finger touches the screen during a
+ * stroke the stroke is undone, so starting a gesture does not leave a stray mark.
+ *
+ * @param cx The 2DCanvasContext for the canvas element of the Paint UI.
+ * @param paint The state object of the Paint program holding its viewport.
+ * @returns {Element} The DOM Element for the zoom control to be added to the toolbar UI.
+ */
+controls.zoom = function(cx, paint) {
+    var viewport = paint.viewport, element = viewport.element;
+    var spaceDown = false;
+
+    var level = createElement('input', {type: 'text', size: 5});
+    function update() {
+        level.value = Math.round(viewport.zoom * 100) + '%';
+    }
+    level.addEventListener('change', function() {
+        var percent = parseFloat(level.value);
+        if(percent > 0) {
+            viewport.setZoom(percent / 100);
+        }
+        update();
+    });
+
+    function button(label, title, onClick) {
+        var node = createElement('button', {type: 'button', title: title}, label);
+        node.addEventListener('click', onClick);
+        return node;
+    }
+
+    element.addEventListener('wheel', function(event) {
+        if(event.ctrlKey || event.metaKey) {
+            viewport.setZoom(viewport.zoom * (event.deltaY < 0 ? 1.25 : 0.8), {x: event.clientX, y: event.clientY});
+            event.preventDefault();
+        }
+    });
+
+    element.addEventListener('pointerdown', function(event) {
+        if(event.pointerType == 'touch') {
+            touchDown(event);
+            return;
+        }
+        if(!(spaceDown && event.button == 0) && event.button != 1) return;
+        var last = {x: event.clientX, y: event.clientY};
+        element.classList.add('panning');
+        trackDrag(function(event) {
+            viewport.pan(last.x - event.clientX, last.y - event.clientY);
+            last = {x: event.clientX, y: event.clientY};
+        }, function() {
+            element.classList.remove('panning');
+        }, event);
+        event.stopPropagation();
+        event.preventDefault();
+    }, true);
+
+    var touches = Object.create(null);
+    var gesture = null;
+
+    function touchList() {
+        return Object.keys(touches).map(function(id) {
+            return touches[id];
+        });
+    }
+    function measure() {
+        var list = touchList();
+        return {
+            x: (list[0].x + list[1].x) / 2,
+            y: (list[0].y + list[1].y) / 2,
+            distance: Math.max(1, Math.sqrt(Math.pow(list[0].x - list[1].x, 2) + Math.pow(list[0].y - list[1].y, 2)))
+        };
+    }
+
+    function touchDown(event) {
+        touches[event.pointerId] = {x: event.clientX, y: event.clientY};
+        if(touchList().length == 2) {
+            paint.history.cancel();
+            endDrags(element);
+            gesture = measure();
+        }
+        if(gesture) {
+            event.stopPropagation();
+            event.preventDefault();
+        }
+    }
+    element.addEventListener('pointermove', function(event) {
+        if(!(event.pointerId in touches)) return;
+        touches[event.pointerId] = {x: event.clientX, y: event.clientY};
+        if(!gesture || touchList().length != 2) return;
+        var current = measure();
+        viewport.setZoom(viewport.zoom * current.distance / gesture.distance, current);
+        viewport.pan(gesture.x - current.x, gesture.y - current.y);
+        gesture = current;
+    });
+    function touchUp(event) {
+        delete touches[event.pointerId];
+        if(!touchList().length) {
+            gesture = null;
+        }
+    }
+    element.addEventListener('pointerup', touchUp);
+    element.addEventListener('pointercancel', touchUp);
+
+    paint.listen(window, 'keydown', function(event) {
+        if(!paint.hasFocus() || isTextField(event.target) || dialogOpen()) return;
+        var ctrl = event.ctrlKey || event.metaKey;
+        if(event.key == ' ') {
+            spaceDown = true;
+            element.classList.add('pannable');
+        } else if(ctrl && (event.key == '+' || event.key == '=')) {
+            viewport.step(1);
+        } else if(ctrl && event.key == '-') {
+            viewport.step(-1);
+        } else if(ctrl && event.key == '0') {
+            viewport.setZoom(1);
+        } else {
+            return;
+        }
+        event.preventDefault();
+    });
+    paint.listen(window, 'keyup', function(event) {
+        if(event.key == ' ') {
+            spaceDown = false;
+            element.classList.remove('pannable');
+        }
+    });
+
+    viewport.onChange(update);
+    update();
+
+    return createElement('div', null, 'Zoom: ',
+        button('-', 'Zoom out (Ctrl+Minus)', function() {
+            viewport.step(-1);
+        }),
+        level,
+        button('+', 'Zoom in (Ctrl+Plus)', function() {
+            viewport.step(1);
+        }),
+        button('Fit', 'Fit to window', function() {
+            viewport.fit();
+        }),
+        button('1:1', 'Actual size (Ctrl+0)', function() {
+            viewport.setZoom(1);
+        }));
+};
@@ -0,0 +1,59 @@
+/**
+ * The Magic Wand tool selects the pixels matching the color under the mouse, using the same matching as the fill tool.
+ * The options of the tool decide the tolerance of the match and if only pixels connected to the mouse position or all
+ * pixels of this color are selected.
+ *
+ * Holding Shift adds the pixels to the current selection, holding Alt subtracts them from it and holding both keeps
+ * only the selected pixels which also match.
+ */
+tools['Magic Wand'] = {
+    cursor: 'crosshair',
+    options: wandOptions,
+    down: function(event, cx, paint, operation) {
+        var options = paint.wand;
+        var origin = keepInCanvasBounds(relativePos(event, cx.canvas), cx.canvas);
+        var image = cx.getImageData(0, 0, cx.canvas.width, cx.canvas.height);
+        var result = fillMask(image, origin, {tolerance: options.tolerance, contiguous: options.contiguous});
+
+        var mode = 'replace';
+        if(event.shiftKey && event.altKey) {
+            mode = 'intersect';
+        } else if(event.shiftKey) {
+            mode = 'add';
+        } else if(event.altKey) {
+            mode = 'subtract';
+        }
+        paint.selection.combine(result.mask, mode);
+        operation.end();
+    }
+};
+
+/**
+ * The wandOptions function creates the form controls for the options of the Magic Wand tool: a tolerance slider and a
+ * checkbox to select all pixels of the clicked color instead of only the connected ones. The options are stored in the
+ * paint state object.
+ *
+ * @param cx The 2DCanvasContext for the canvas element of the Paint UI.
+ * @param paint The state object of the Paint program.
+ * @returns {Element} The DOM Element holding the options, shown while the Magic Wand tool is selected.
+ */
+function wandOptions(cx, paint) {
+    var options = paint.wand;
+
+    var value = Math.round(options.tolerance / 2.55);
+    var tolerance = createElement('input', {type: 'range', min: 0, max: 100, value: value});
+    var percent = createElement('span', null, value + '%');
+    tolerance.addEventListener('input', function() {
+        options.tolerance = Math.round(tolerance.value * 2.55);
+        percent.textContent = tolerance.value + '%';
+    });
+
+    var global = createElement('input', {type: 'checkbox'});
+    global.checked = !options.contiguous;
+    global.addEventListener('change', function() {
+        options.contiguous = !global.checked;
+    });
+
+    return createElement('div', null, 'Wand tolerance: ', tolerance, percent, ' ',
+        createElement('label', null, global, ' Select all of this color'));
+}
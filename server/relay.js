@@ -0,0 +1,410 @@
+/**
+ * The relay server for drawing together, which only needs Node.js and no other packages. It serves the files of the
+ * Paint program and relays the messages of code/collaborate.js between the people in each room over WebSockets.
+ *
+ * Start it with `node server/relay.js [port]` and open http://localhost:8080/ (or the chosen port) in several
+ * browsers. The port can also be set with the PORT environment variable.
+ *
+ * The server numbers the commands of each room in the order it receives them and sends them to everyone in the room,
+ * which is what keeps the pictures the same. It does not keep the picture itself: when someone joins a room with
+ * people in it, the server asks one of them for a snapshot of the picture and sends it to the newcomer, followed by
+ * the commands numbered after the snapshot. Rooms are forgotten when the last person leaves.
+ */
+var http = require('http');
+var crypto = require('crypto');
+var fs = require('fs');
+var path = require('path');
+
+var port = Number(process.argv[2] || process.env.PORT) || 8080;
+var root = path.join(__dirname, '..');
+
+/**
+ * The largest message accepted from a client in bytes. Snapshots and document commands hold the whole picture.
+ */
+var maxMessageSize = 64 * 1024 * 1024;
+
+/**
+ * The content types of the files served by the server.
+ */
+var contentTypes = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json',
+    '.png': 'image/png',
+    '.svg': 'image/svg+xml'
+};
+
+/**
+ * Serves a file of the Paint program. Only files inside of the program's directory are served.
+ *
+ * @param request The HTTP request.
+ * @param response The HTTP response.
+ */
+function serveFile(request, response) {
+    var pathname;
+    try {
+        pathname = decodeURIComponent(new URL(request.url, 'http://localhost').pathname);
+    } catch(e) {
+        pathname = null;
+    }
+    // Hidden files, such as the .git directory, are not served.
+    var file = pathname && !/\/\./.test(pathname) && path.join(root, path.normalize(pathname));
+    if(request.method != 'GET' || !file || file.indexOf(root) != 0) {
+        response.writeHead(400, {'Content-Type': 'text/plain'});
+        response.end('Bad request');
+        return;
+    }
+    if(pathname.slice(-1) == '/') {
+        file = path.join(file, 'index.html');
+    }
+    fs.readFile(file, function(error, data) {
+        if(error) {
+            response.writeHead(404, {'Content-Type': 'text/plain'});
+            response.end('Not found');
+            return;
+        }
+        response.writeHead(200, {'Content-Type': contentTypes[path.extname(file)] || 'application/octet-stream'});
+        response.end(data);
+    });
+}
+
+/**
+ * The Connection object speaks the WebSocket protocol (RFC 6455) over a socket whose HTTP upgrade was accepted. Text
+ * messages are passed to the onMessage function, and onClose is called once when the connection closes.
+ *
+ * @param socket The network socket.
+ */
+function Connection(socket) {
+    this.socket = socket;
+    this.buffer = Buffer.alloc(0);
+    this.fragments = [];
+    this.fragmentsSize = 0;
+    this.closed = false;
+    this.onMessage = function() {};
+    this.onClose = function() {};
+
+    var connection = this;
+    socket.on('data', function(data) {
+        connection.buffer = Buffer.concat([connection.buffer, data]);
+        connection.receive();
+    });
+    socket.on('close', function() {
+        connection.closed = true;
+        connection.onClose();
+    });
+    socket.on('error', function() {
+        socket.destroy();
+    });
+}
+
+/**
+ * Reads every complete frame from the received data.
+ */
+Connection.prototype.receive = function() {
+    while(!this.closed && this.buffer.length >= 2) {
+        var buffer = this.buffer;
+        var fin = (buffer[0] & 0x80) != 0, opcode = buffer[0] & 0x0f;
+        var masked = (buffer[1] & 0x80) != 0, length = buffer[1] & 0x7f, offset = 2;
+        if(length == 126) {
+            if(buffer.length < 4) return;
+            length = buffer.readUInt16BE(2);
+            offset = 4;
+        } else if(length == 127) {
+            if(buffer.length < 10) return;
+            if(buffer.readUInt32BE(2) != 0) {
+                this.close(1009);
+                return;
+            }
+            length = buffer.readUInt32BE(6);
+            offset = 10;
+        }
+        // Clients must mask every frame.
+        if(!masked) {
+            this.close(1002);
+            return;
+        }
+        if(length > maxMessageSize) {
+            this.close(1009);
+            return;
+        }
+        if(buffer.length < offset + 4 + length) return;
+
+        var mask = buffer.subarray(offset, offset + 4);
+        var payload = Buffer.from(buffer.subarray(offset + 4, offset + 4 + length));
+        for(var i = 0; i < payload.length; i++) {
+            payload[i] ^= mask[i % 4];
+        }
+        this.buffer = buffer.subarray(offset + 4 + length);
+        this.frame(fin, opcode, payload);
+    }
+};
+
+/**
+ * Handles a frame.
+ *
+ * @param fin A boolean indicating if the frame is the last frame of a message.
+ * @param opcode The opcode of the frame.
+ * @param payload The unmasked payload.
+ */
+Connection.prototype.frame = function(fin, opcode, payload) {
+    if(opcode == 0x8) {
+        this.close(1000);
+    } else if(opcode == 0x9) {
+        this.write(0xa, payload);
+    } else if(opcode == 0x1 || opcode == 0x2 || opcode == 0x0) {
+        if(opcode != 0x0) {
+            this.fragments = [];
+            this.fragmentsSize = 0;
+            this.binary = opcode == 0x2;
+        }
+        this.fragments.push(payload);
+        this.fragmentsSize += payload.length;
+        if(this.fragmentsSize > maxMessageSize) {
+            this.close(1009);
+        } else if(fin) {
+            var message = Buffer.concat(this.fragments);
+            this.fragments = [];
+            this.fragmentsSize = 0;
+            if(!this.binary) {
+                this.onMessage(message.toString('utf8'));
+            }
+        }
+    }
+};
+
+/**
+ * Writes an unmasked frame.
+ *
+ * @param opcode The opcode of the frame.
+ * @param payload A Buffer.
+ */
+Connection.prototype.write = function(opcode, payload) {
+    if(this.closed) return;
+    var header;
+    if(payload.length < 126) {
+        header = Buffer.from([0x80 | opcode, payload.length]);
+    } else if(payload.length < 0x10000) {
+        header = Buffer.from([0x80 | opcode, 126, 0, 0]);
+        header.writeUInt16BE(payload.length, 2);
+    } else {
+        header = Buffer.alloc(10);
+        header[0] = 0x80 | opcode;
+        header[1] = 127;
+        header.writeUInt32BE(Math.floor(payload.length / 0x100000000), 2);
+        header.writeUInt32BE(payload.length % 0x100000000, 6);
+    }
+    this.socket.write(Buffer.concat([header, payload]));
+};
+
+/**
+ * Sends a text message.
+ *
+ * @param text The message.
+ */
+Connection.prototype.send = function(text) {
+    this.write(0x1, Buffer.from(text, 'utf8'));
+};
+
+/**
+ * Sends a close frame and closes the socket.
+ *
+ * @param code The status code of the close frame.
+ */
+Connection.prototype.close = function(code) {
+    if(this.closed) return;
+    var payload = Buffer.alloc(2);
+    payload.writeUInt16BE(code, 0);
+    this.write(0x8, payload);
+    this.closed = true;
+    this.socket.end();
+    this.onClose();
+    this.onClose = function() {};
+};
+
+/**
+ * The rooms by name. A room is an object {{clients: Array, seq: number, waiting: Array, log: Array, snapshotFrom:
+ * Object}}. Clients which joined and wait for a snapshot are in the waiting array, and the commands numbered while
+ * anyone waits are kept in the log.
+ */
+var rooms = Object.create(null);
+
+var lastClientId = 0;
+
+/**
+ * Sends a message object to a client.
+ *
+ * @param client The client object.
+ * @param message The message object, or a message already converted to JSON.
+ */
+function sendTo(client, message) {
+    client.connection.send(typeof message == 'string' ? message : JSON.stringify(message));
+}
+
+/**
+ * Sends a message to everyone in a room except one client.
+ *
+ * @param room The room object.
+ * @param message The message object.
+ * @param except The client which does not receive the message, or null.
+ */
+function broadcast(room, message, except) {
+    var text = JSON.stringify(message);
+    room.clients.forEach(function(client) {
+        if(client != except) {
+            sendTo(client, text);
+        }
+    });
+}
+
+/**
+ * Asks a client which is up to date for a snapshot for the clients waiting in the room. When there is none, the
+ * waiting clients start with their own picture.
+ *
+ * @param room The room object.
+ */
+function requestSnapshot(room) {
+    if(room.snapshotFrom || !room.waiting.length) return;
+    var from = room.clients.filter(function(client) {
+        return client.ready;
+    })[0];
+    if(from) {
+        room.snapshotFrom = from;
+        sendTo(from, {type: 'snapshot-request'});
+    } else {
+        deliverSnapshot(room, null, room.seq);
+    }
+}
+
+/**
+ * Sends a snapshot and the commands numbered after it to the clients waiting in the room, which then receive every
+ * new command.
+ *
+ * @param room The room object.
+ * @param project The project of the snapshot, or null.
+ * @param seq The number of the last command included in the snapshot.
+ */
+function deliverSnapshot(room, project, seq) {
+    var text = JSON.stringify({type: 'snapshot', seq: seq, project: project});
+    room.waiting.forEach(function(client) {
+        sendTo(client, text);
+        room.log.forEach(function(entry) {
+            if(entry.seq > seq) {
+                sendTo(client, entry.text);
+            }
+        });
+        client.ready = true;
+    });
+    room.waiting = [];
+    room.log = [];
+}
+
+/**
+ * Handles a message from a client.
+ *
+ * @param client The client object.
+ * @param message The message object.
+ */
+function handleMessage(client, message) {
+    var room = client.room;
+    if(message.type == 'hello' && !room) {
+        var name = String(message.room || '').slice(0, 100) || 'sketch';
+        room = client.room = rooms[name] = rooms[name] || {name: name, clients: [], seq: 0, waiting: [], log: [],
+                                                          snapshotFrom: null};
+        client.name = String(message.name || '').slice(0, 50) || 'Guest';
+        var waiting = room.clients.some(function(other) {
+            return other.ready;
+        });
+        sendTo(client, {type: 'welcome', user: client.id, seq: room.seq, waiting: waiting,
+                        users: room.clients.map(function(other) {
+                            return {id: other.id, name: other.name};
+                        })});
+        broadcast(room, {type: 'join', user: {id: client.id, name: client.name}}, null);
+        room.clients.push(client);
+        if(waiting) {
+            room.waiting.push(client);
+            requestSnapshot(room);
+        } else {
+            client.ready = true;
+        }
+    } else if(!room || !client.ready) {
+        return;
+    } else if(message.type == 'command') {
+        var text = JSON.stringify({type: 'command', seq: ++room.seq, user: client.id, id: message.id,
+                                   command: message.command});
+        room.clients.forEach(function(other) {
+            if(other.ready) {
+                sendTo(other, text);
+            }
+        });
+        if(room.waiting.length) {
+            room.log.push({seq: room.seq, text: text});
+        }
+    } else if(message.type == 'cursor') {
+        broadcast(room, {type: 'cursor', user: client.id, x: message.x, y: message.y}, client);
+    } else if(message.type == 'snapshot' && room.snapshotFrom == client) {
+        room.snapshotFrom = null;
+        deliverSnapshot(room, message.project || null, Number(message.seq) || 0);
+    }
+}
+
+/**
+ * Removes a client from its room when its connection closes.
+ *
+ * @param client The client object.
+ */
+function leave(client) {
+    var room = client.room;
+    if(!room) return;
+    client.room = null;
+    room.clients.splice(room.clients.indexOf(client), 1);
+    if(room.waiting.indexOf(client) != -1) {
+        room.waiting.splice(room.waiting.indexOf(client), 1);
+    }
+    if(!room.clients.length) {
+        delete rooms[room.name];
+        return;
+    }
+    broadcast(room, {type: 'leave', user: client.id}, null);
+    if(room.snapshotFrom == client) {
+        room.snapshotFrom = null;
+        requestSnapshot(room);
+    }
+}
+
+var server = http.createServer(serveFile);
+
+server.on('upgrade', function(request, socket) {
+    var key = request.headers['sec-websocket-key'];
+    if(String(request.headers.upgrade).toLowerCase() != 'websocket' || !key ||
+       request.headers['sec-websocket-version'] != '13') {
+        socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+        return;
+    }
+    var accept = crypto.createHash('sha1').update(key + '258EAFA5-E914-47DA-95CA-C5AB0DC85B11').digest('base64');
+    socket.write('HTTP/1.1 101 Switching Protocols\r\n' +
+                 'Upgrade: websocket\r\n' +
+                 'Connection: Upgrade\r\n' +
+                 'Sec-WebSocket-Accept: ' + accept + '\r\n\r\n');
+    socket.setNoDelay(true);
+
+    var client = {id: ++lastClientId, name: null, room: null, ready: false, connection: new Connection(socket)};
+    client.connection.onMessage = function(text) {
+        var message;
+        try {
+            message = JSON.parse(text);
+        } catch(e) {
+            return;
+        }
+        if(message && typeof message == 'object') {
+            handleMessage(client, message);
+        }
+    };
+    client.connection.onClose = function() {
+        leave(client);
+    };
+});
+
+server.listen(port, function() {
+    console.log('Paint relay server running at http://localhost:' + port + '/');
+});